@@ -0,0 +1,35 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Fetches an inbound attachment. Files over `maxBytes` are refused with
+// statusCode 413, before downloading when the size is announced.
+const downloadFile = async (url, { headers = {}, size = null, maxBytes = 10 * 1024 * 1024 } = {}) => {
+  try {
+    if (!url) {
+      throw Object.assign(new Error('Media has no URL'), { statusCode: 400 });
+    }
+    if (size && size > maxBytes) {
+      throw Object.assign(new Error('Media is too large'), { statusCode: 413 });
+    }
+
+    const response = await axios.get(url, {
+      headers,
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes,
+      timeout: 30000
+    });
+
+    logger.info(`Media downloaded: ${response.data.byteLength} bytes`);
+    return Buffer.from(response.data);
+  } catch (error) {
+    logger.error('Error downloading media:', error.message);
+    const tooLarge = error.statusCode === 413 || /maxContentLength/.test(error.message);
+    throw Object.assign(new Error(tooLarge ? 'Media is too large' : 'Failed to download media'), {
+      statusCode: tooLarge ? 413 : error.statusCode || 502
+    });
+  }
+};
+
+module.exports = {
+  downloadFile
+};
@@ -0,0 +1,20 @@
+const SendPulseChannel = require('./sendPulseChannel');
+const WhatsAppCloudChannel = require('./whatsAppCloudChannel');
+const TelegramChannel = require('./telegramChannel');
+
+// Every channel is available; one without credentials fails when used.
+// Each adapter offers sendMessage, sendButtons, sendImage, sendAudio,
+// sendDocument, sendTemplate, extractEvents, parseIncomingMessage,
+// downloadMedia and markAsRead.
+const createChannels = () => [
+  new SendPulseChannel(),
+  new WhatsAppCloudChannel(),
+  new TelegramChannel()
+];
+
+module.exports = {
+  createChannels,
+  SendPulseChannel,
+  WhatsAppCloudChannel,
+  TelegramChannel
+};
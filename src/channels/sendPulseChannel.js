@@ -0,0 +1,329 @@
+const logger = require('../utils/logger');
+const { downloadFile } = require('./download');
+const { Transport, sendError, isUnreachable } = require('./transport');
+
+// Message types whose payload is an attachment
+const MEDIA_TYPES = ['image', 'audio', 'voice', 'ptt', 'video', 'document', 'sticker'];
+
+// Receipt statuses, by the names SendPulse uses for them
+const RECEIPT_STATUSES = { sent: 'sent', delivered: 'delivered', read: 'read', failed: 'failed', undelivered: 'failed', error: 'failed' };
+
+// WhatsApp through SendPulse. Addresses are phone numbers, written
+// "sp:<phone>" unless this is the WHATSAPP_PROVIDER channel (see
+// WhatsAppService).
+class SendPulseChannel {
+  constructor({
+    userId = process.env.SENDPULSE_USER_ID,
+    secret = process.env.SENDPULSE_SECRET,
+    serviceId = process.env.SENDPULSE_WHATSAPP_SERVICE_ID,
+    baseUrl = process.env.SENDPULSE_BASE_URL || 'https://api.sendpulse.com',
+    buttonsEnabled = process.env.WHATSAPP_BUTTONS_ENABLED !== 'false'
+  } = {}) {
+    this.name = 'sendpulse';
+    this.prefix = 'sp:';
+    this.userId = userId;
+    this.secret = secret;
+    this.serviceId = serviceId;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    this.buttonsEnabled = buttonsEnabled;
+    this.transport = new Transport({
+      name: 'SendPulse',
+      authenticate: async ({ force }) => ({ 'Authorization': `Bearer ${await this.getAccessToken({ force })}` })
+    });
+  }
+
+  // `force` fetches a new token even if ours hasn't expired, after the API
+  // rejected it
+  async getAccessToken({ force = false } = {}) {
+    if (!force && this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
+      return this.accessToken;
+    }
+
+    try {
+      const data = await this.transport.request({
+        url: `${this.baseUrl}/oauth/access_token`,
+        data: {
+          grant_type: 'client_credentials',
+          client_id: this.userId,
+          client_secret: this.secret
+        },
+        authenticated: false,
+        idempotent: true
+      });
+
+      this.accessToken = data.access_token;
+      this.tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000; // Refresh 1 minute before expiry
+      
+      logger.info('SendPulse access token obtained successfully');
+      return this.accessToken;
+    } catch (error) {
+      logger.error('Error getting SendPulse access token:', error.details || error.message);
+      throw sendError('Failed to authenticate with SendPulse', error);
+    }
+  }
+
+  async sendByPhones(phone, message) {
+    return this.transport.request({
+      url: `${this.baseUrl}/whatsapp/contacts/sendByPhones`,
+      data: { phones: [this.formatPhone(phone)], ...message }
+    });
+  }
+
+  async sendMessage(phone, message) {
+    try {
+      const result = await this.sendByPhones(phone, { body: message });
+      logger.info(`Message sent to ${phone}: ${message.substring(0, 50)}...`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp message:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp message', error);
+    }
+  }
+
+  // Sends a message with quick-reply buttons ({ id, title }; WhatsApp allows
+  // three, 20 characters each). When interactive messages are disabled or
+  // rejected the options are listed in a plain text message instead.
+  async sendButtons(phone, message, buttons) {
+    const fallback = `${message}\n\n${buttons.map(button => `• ${button.title}`).join('\n')}`;
+
+    if (!this.buttonsEnabled) {
+      return this.sendMessage(phone, fallback);
+    }
+
+    try {
+      const result = await this.sendByPhones(phone, {
+        message: {
+          type: 'interactive',
+          interactive: {
+            type: 'button',
+            body: { text: message },
+            action: {
+              buttons: buttons.slice(0, 3).map(button => ({
+                type: 'reply',
+                reply: { id: button.id, title: button.title.substring(0, 20) }
+              }))
+            }
+          }
+        }
+      });
+
+      logger.info(`Buttons sent to ${phone}: ${message.substring(0, 50)}...`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp buttons, falling back to text:', error.details || error.message);
+      return this.sendMessage(phone, fallback);
+    }
+  }
+
+  async sendImage(phone, imageUrl, caption = '') {
+    try {
+      const result = await this.sendByPhones(phone, {
+        body: caption,
+        media: {
+          type: 'image',
+          url: imageUrl
+        }
+      });
+
+      logger.info(`Image sent to ${phone}: ${imageUrl}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp image:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp image', error);
+    }
+  }
+
+  // WhatsApp shows Ogg/Opus audio as a voice note
+  async sendAudio(phone, audioUrl) {
+    try {
+      const result = await this.sendByPhones(phone, {
+        media: {
+          type: 'audio',
+          url: audioUrl
+        }
+      });
+
+      logger.info(`Audio sent to ${phone}: ${audioUrl}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp audio:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp audio', error);
+    }
+  }
+
+  async sendDocument(phone, documentUrl, filename, caption = '') {
+    try {
+      const result = await this.sendByPhones(phone, {
+        body: caption,
+        media: {
+          type: 'document',
+          url: documentUrl,
+          filename: filename
+        }
+      });
+
+      logger.info(`Document sent to ${phone}: ${filename}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp document:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp document', error);
+    }
+  }
+
+  async sendTemplate(phone, templateName, variables = []) {
+    try {
+      const result = await this.transport.request({
+        url: `${this.baseUrl}/whatsapp/contacts/sendTemplate`,
+        data: {
+          phones: [this.formatPhone(phone)],
+          template: {
+            name: templateName,
+            language: 'en',
+            variables: variables
+          }
+        }
+      });
+
+      logger.info(`Template sent to ${phone}: ${templateName}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp template:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp template', error);
+    }
+  }
+
+  // The provider's ID for a sent message, for the outbound log
+  messageId(result) {
+    const data = result?.data || result;
+    return data?.message_id || data?.id || null;
+  }
+
+  formatPhone(phone) {
+    // Remove any non-digit characters and ensure it starts with country code
+    let formatted = phone.replace(/\D/g, '');
+    
+    // If it doesn't start with country code, assume it's US (+1)
+    if (!formatted.startsWith('1') && formatted.length === 10) {
+      formatted = '1' + formatted;
+    }
+    
+    return formatted;
+  }
+
+  // One webhook carries one message
+  extractEvents(body) {
+    return [body];
+  }
+
+  // Status events posted to /webhook/sendpulse/status: one event or a list
+  // of them, each { message_id, status, timestamp, error } either at the top
+  // or under `info`. Returns { providerMessageId, status, timestamp, error }.
+  extractStatuses(body) {
+    const events = Array.isArray(body) ? body : [body];
+
+    return events.flatMap(event => {
+      const info = (event && event.info) || event || {};
+      const status = RECEIPT_STATUSES[String(info.status || event?.status || '').toLowerCase()];
+      const providerMessageId = info.message_id || info.message?.id || null;
+      if (!status || !providerMessageId) {
+        return [];
+      }
+
+      const reason = info.error?.message || info.error || info.reason || 'Message was not delivered';
+      const timestamp = parseInt(info.timestamp || event.timestamp, 10);
+      return [{
+        providerMessageId: String(providerMessageId),
+        status,
+        // Unix seconds or milliseconds
+        timestamp: timestamp ? (timestamp < 1e12 ? timestamp * 1000 : timestamp) : Date.now(),
+        error: status === 'failed' ? { code: isUnreachable(String(reason)) ? 'unreachable' : 'rejected', reason: String(reason) } : null
+      }];
+    });
+  }
+
+  parseIncomingMessage(webhook) {
+    try {
+      const buttonReply = webhook.message?.interactive?.button_reply || webhook.button_reply || null;
+
+      const media = this.parseMedia(webhook.message);
+
+      return {
+        phone: webhook.contact?.phone || webhook.from,
+        message: webhook.message?.text || webhook.text || buttonReply?.title || '',
+        buttonId: buttonReply?.id || null,
+        messageId: webhook.message?.id || webhook.id,
+        timestamp: webhook.timestamp || Date.now(),
+        type: this.messageType(webhook.message, media),
+        media,
+        contact: {
+          name: webhook.contact?.name || 'Unknown',
+          phone: webhook.contact?.phone || webhook.from
+        }
+      };
+    } catch (error) {
+      logger.error('Error parsing incoming message:', error);
+      throw new Error('Failed to parse incoming message');
+    }
+  }
+
+  // Voice notes ('voice', 'ptt') count as audio. Attachments without a type
+  // are typed by their MIME type.
+  messageType(message, media) {
+    const type = message?.type;
+    if (type === 'voice' || type === 'ptt') {
+      return 'audio';
+    }
+    if (type) {
+      return type;
+    }
+    if (!media) {
+      return 'text';
+    }
+    return (media.mimeType || '').startsWith('audio/') ? 'audio' : 'image';
+  }
+
+  // Attachments come under `media`, or under a key named after the message
+  // type ({ type: 'image', image: { link, mime_type, caption } }).
+  // Returns { url, mimeType, size, caption, filename } or null.
+  parseMedia(message) {
+    if (!message || typeof message !== 'object') {
+      return null;
+    }
+
+    const media = message.media || (MEDIA_TYPES.includes(message.type) ? message[message.type] : null);
+    if (!media || typeof media !== 'object') {
+      return null;
+    }
+
+    return {
+      url: media.url || media.link || null,
+      mimeType: media.mime_type || media.mimeType || null,
+      size: parseInt(media.size || media.file_size, 10) || null,
+      caption: (media.caption || message.caption || '').trim(),
+      filename: media.filename || null
+    };
+  }
+
+  // SendPulse-hosted files need our token
+  async downloadMedia(media, { maxBytes } = {}) {
+    const url = media && media.url;
+    const headers = url && url.startsWith(this.baseUrl)
+      ? { 'Authorization': `Bearer ${await this.getAccessToken()}` }
+      : {};
+
+    return downloadFile(url, { headers, size: media && media.size, maxBytes });
+  }
+
+  async markAsRead(messageId) {
+    try {
+      await this.transport.request({ url: `${this.baseUrl}/whatsapp/messages/${messageId}/read`, data: {}, idempotent: true });
+      logger.info(`Message marked as read: ${messageId}`);
+    } catch (error) {
+      logger.error('Error marking message as read:', error.details || error.message);
+    }
+  }
+}
+
+module.exports = SendPulseChannel;
\ No newline at end of file
@@ -0,0 +1,253 @@
+const logger = require('../utils/logger');
+const { downloadFile } = require('./download');
+const { Transport, sendError } = require('./transport');
+
+// Telegram through the Bot API. Users are addressed by chat ID, written
+// "tg:<chat id>" elsewhere in the bot (see WhatsAppService).
+class TelegramChannel {
+  constructor({
+    token = process.env.TELEGRAM_BOT_TOKEN,
+    baseUrl = process.env.TELEGRAM_BASE_URL || 'https://api.telegram.org'
+  } = {}) {
+    this.name = 'telegram';
+    this.prefix = 'tg:';
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.transport = new Transport({ name: 'Telegram' });
+  }
+
+  // Errors carry Telegram's description as their message. Every method is
+  // POSTed; `idempotent` marks the ones that are safe to repeat.
+  async call(method, params, { idempotent = false } = {}) {
+    const data = await this.transport.request({ url: `${this.baseUrl}/bot${this.token}/${method}`, data: params, idempotent });
+    return data.result;
+  }
+
+  // Telegram's Markdown uses the same *bold* and _italic_ as WhatsApp. Text
+  // it can't parse (e.g. a lone underscore) is sent plain.
+  async sendFormatted(method, params, textField) {
+    try {
+      return await this.call(method, { ...params, parse_mode: 'Markdown' });
+    } catch (error) {
+      if (error.statusCode !== 400 || !/parse entities/i.test(error.message) || !params[textField]) {
+        throw error;
+      }
+      return this.call(method, params);
+    }
+  }
+
+  async sendMessage(chatId, message) {
+    try {
+      const result = await this.sendFormatted('sendMessage', { chat_id: chatId, text: message }, 'text');
+      logger.info(`Message sent to ${chatId}: ${message.substring(0, 50)}...`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending Telegram message:', error.message);
+      throw sendError('Failed to send Telegram message', error);
+    }
+  }
+
+  async sendButtons(chatId, message, buttons) {
+    try {
+      const result = await this.sendFormatted('sendMessage', {
+        chat_id: chatId,
+        text: message,
+        reply_markup: {
+          inline_keyboard: [buttons.map(button => ({ text: button.title, callback_data: button.id }))]
+        }
+      }, 'text');
+      logger.info(`Buttons sent to ${chatId}: ${message.substring(0, 50)}...`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending Telegram buttons:', error.message);
+      throw sendError('Failed to send Telegram message', error);
+    }
+  }
+
+  async sendImage(chatId, imageUrl, caption = '') {
+    try {
+      const result = await this.sendFormatted('sendPhoto', { chat_id: chatId, photo: imageUrl, caption }, 'caption');
+      logger.info(`Image sent to ${chatId}: ${imageUrl}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending Telegram image:', error.message);
+      throw sendError('Failed to send Telegram image', error);
+    }
+  }
+
+  // Only Ogg/Opus shows as a voice message; other formats as an audio file
+  async sendAudio(chatId, audioUrl) {
+    try {
+      const result = /\.ogg(?:\?|$)/.test(audioUrl)
+        ? await this.call('sendVoice', { chat_id: chatId, voice: audioUrl })
+        : await this.call('sendAudio', { chat_id: chatId, audio: audioUrl });
+      logger.info(`Audio sent to ${chatId}: ${audioUrl}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending Telegram audio:', error.message);
+      throw sendError('Failed to send Telegram audio', error);
+    }
+  }
+
+  async sendDocument(chatId, documentUrl, filename, caption = '') {
+    try {
+      const result = await this.sendFormatted('sendDocument', { chat_id: chatId, document: documentUrl, caption }, 'caption');
+      logger.info(`Document sent to ${chatId}: ${filename}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending Telegram document:', error.message);
+      throw sendError('Failed to send Telegram document', error);
+    }
+  }
+
+  // Telegram has no message templates (and no 24-hour window that needs
+  // them), so the variables are sent as a plain message
+  async sendTemplate(chatId, templateName, variables = []) {
+    return this.sendMessage(chatId, variables.length > 0 ? variables.join('\n') : templateName);
+  }
+
+  // "<chat id>:<message id>", the same form as inbound message IDs
+  messageId(result) {
+    return result && result.message_id !== undefined
+      ? `${result.chat ? `${result.chat.id}:` : ''}${result.message_id}`
+      : null;
+  }
+
+  // Bots get no delivery receipts
+  extractStatuses() {
+    return [];
+  }
+
+  // Only messages and button presses are answered
+  extractEvents(update) {
+    return update && (update.message || update.callback_query) ? [update] : [];
+  }
+
+  parseIncomingMessage(update) {
+    try {
+      if (update.callback_query) {
+        return this.parseCallback(update.callback_query);
+      }
+
+      const message = update.message;
+      const chatId = message.chat?.id;
+      const { type, media } = this.parseMedia(message);
+
+      return {
+        phone: chatId !== undefined ? String(chatId) : null,
+        message: message.text || '',
+        buttonId: null,
+        // Message IDs are only unique within a chat
+        messageId: `${chatId}:${message.message_id}`,
+        timestamp: message.date ? message.date * 1000 : Date.now(),
+        type,
+        media,
+        contact: {
+          name: this.displayName(message.from),
+          phone: chatId !== undefined ? String(chatId) : null
+        }
+      };
+    } catch (error) {
+      logger.error('Error parsing incoming Telegram message:', error);
+      throw new Error('Failed to parse incoming message');
+    }
+  }
+
+  // A press on an inline button; the title is looked up on the message
+  // that carried the buttons
+  parseCallback(callback) {
+    const chatId = callback.message?.chat?.id ?? callback.from?.id;
+    const buttons = (callback.message?.reply_markup?.inline_keyboard || []).flat();
+    const pressed = buttons.find(button => button.callback_data === callback.data);
+
+    return {
+      phone: String(chatId),
+      message: pressed ? pressed.text : '',
+      buttonId: callback.data || null,
+      messageId: `callback:${callback.id}`,
+      timestamp: Date.now(),
+      type: 'text',
+      media: null,
+      contact: {
+        name: this.displayName(callback.from),
+        phone: String(chatId)
+      }
+    };
+  }
+
+  displayName(user) {
+    if (!user) {
+      return 'Unknown';
+    }
+    return [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || 'Unknown';
+  }
+
+  // Returns { type, media } with media as { id, url, mimeType, size,
+  // caption, filename }, or null for text
+  parseMedia(message) {
+    const caption = (message.caption || '').trim();
+    const describe = (file, mimeType) => ({
+      id: file.file_id,
+      url: null,
+      mimeType: file.mime_type || mimeType,
+      size: file.file_size || null,
+      caption,
+      filename: file.file_name || null
+    });
+
+    // Photos come in several sizes, largest last
+    if (Array.isArray(message.photo) && message.photo.length > 0) {
+      return { type: 'image', media: describe(message.photo[message.photo.length - 1], 'image/jpeg') };
+    }
+    if (message.voice) {
+      return { type: 'audio', media: describe(message.voice, 'audio/ogg') };
+    }
+    if (message.audio) {
+      return { type: 'audio', media: describe(message.audio, null) };
+    }
+    for (const type of ['video', 'document', 'sticker']) {
+      if (message[type]) {
+        return { type, media: describe(message[type], null) };
+      }
+    }
+
+    return { type: 'text', media: null };
+  }
+
+  async downloadMedia(media, { maxBytes } = {}) {
+    if (!media || !media.id) {
+      throw Object.assign(new Error('Media has no ID'), { statusCode: 400 });
+    }
+
+    let file;
+    try {
+      file = await this.call('getFile', { file_id: media.id }, { idempotent: true });
+    } catch (error) {
+      logger.error('Error looking up Telegram file:', error.message);
+      // Bots can't download files over 20 MB
+      const tooLarge = /too big/i.test(error.message);
+      throw Object.assign(new Error(tooLarge ? 'Media is too large' : 'Failed to download media'), { statusCode: tooLarge ? 413 : 502 });
+    }
+
+    return downloadFile(`${this.baseUrl}/file/bot${this.token}/${file.file_path}`, {
+      size: file.file_size || media.size,
+      maxBytes
+    });
+  }
+
+  // Bots have no read receipts; a button press is acknowledged so the
+  // client stops showing a spinner
+  async markAsRead(messageId) {
+    if (!String(messageId).startsWith('callback:')) {
+      return;
+    }
+
+    try {
+      await this.call('answerCallbackQuery', { callback_query_id: messageId.substring('callback:'.length) }, { idempotent: true });
+    } catch (error) {
+      logger.error('Error answering Telegram callback:', error.message);
+    }
+  }
+}
+
+module.exports = TelegramChannel;
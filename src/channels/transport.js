@@ -0,0 +1,177 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Failures without a response that may go away on their own. Only the
+// connection errors are known to have happened before the request was sent;
+// after the others (and timeouts) the provider may have acted on it.
+const CONNECT_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN'];
+const NETWORK_ERRORS = [...CONNECT_ERRORS, 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE'];
+
+// Provider errors meaning the user can't be reached at all: Telegram users
+// who blocked the bot or deleted their account, numbers not on WhatsApp
+const UNREACHABLE = /blocked by the user|user is deactivated|chat not found|not (?:a )?(?:valid )?whatsapp (?:user|number|account)|not on whatsapp|undeliverable/i;
+
+const isUnreachable = (reason) => UNREACHABLE.test(reason || '');
+
+const envInt = (name, fallback) => (process.env[name] !== undefined ? parseInt(process.env[name], 10) : fallback);
+
+const TIMEOUT_MS = 15000;
+
+// Longest a Transport.request can take before giving up: every attempt
+// (including the one after a 401) timing out, with the longest wait between
+// the retries
+const maxRequestMs = ({
+  maxRetries = envInt('SEND_MAX_RETRIES', 3),
+  retryMaxMs = envInt('SEND_RETRY_MAX_MS', 30000),
+  timeoutMs = TIMEOUT_MS
+} = {}) => (maxRetries + 2) * timeoutMs + maxRetries * retryMaxMs;
+
+// Retry-After is seconds or an HTTP date; Telegram sends retry_after in the
+// body instead. Returns milliseconds or null.
+const retryAfterMs = (response) => {
+  const header = response?.headers?.['retry-after'];
+  if (header !== undefined) {
+    if (/^\d+$/.test(String(header).trim())) {
+      return parseInt(header, 10) * 1000;
+    }
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const seconds = response?.data?.parameters?.retry_after;
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+// Turns an axios error into an Error with the provider's message and
+//   code: 'rate_limited' | 'unavailable' | 'network' | 'unauthorized' |
+//         'unreachable' | 'rejected'
+//   statusCode, retryable, retryAfterMs and details (the provider's error body)
+// A request that isn't `idempotent` (a send) is only retryable when it can't
+// have been carried out: it never left, or the provider answered 429 or 503.
+const classifyError = (error, { idempotent = false } = {}) => {
+  const response = error.response;
+
+  if (!response) {
+    const network = NETWORK_ERRORS.includes(error.code) || /timeout/i.test(error.message);
+    return Object.assign(new Error(error.message), {
+      code: network ? 'network' : 'rejected',
+      statusCode: 502,
+      retryable: network && (idempotent || CONNECT_ERRORS.includes(error.code)),
+      retryAfterMs: null,
+      details: null
+    });
+  }
+
+  const { status, data } = response;
+  const message = data?.description || data?.error?.message || data?.message || data?.error_description || error.message;
+  let code = 'rejected';
+  if (status === 429) {
+    code = 'rate_limited';
+  } else if (status === 401) {
+    code = 'unauthorized';
+  } else if (status >= 500 || status === 408) {
+    code = 'unavailable';
+  } else if (isUnreachable(message)) {
+    code = 'unreachable';
+  }
+
+  return Object.assign(new Error(message), {
+    code,
+    statusCode: status,
+    retryable: code === 'rate_limited' || (code === 'unavailable' && (idempotent || status === 503)),
+    retryAfterMs: retryAfterMs(response),
+    details: data === undefined ? null : data
+  });
+};
+
+// Wraps a classified error in a channel's own message, keeping the
+// classification for callers and the outbound log
+const sendError = (message, error) => Object.assign(new Error(message), {
+  reason: error.reason || error.message,
+  code: error.code || 'rejected',
+  statusCode: error.statusCode,
+  retryable: Boolean(error.retryable),
+  attempts: error.attempts || 1,
+  details: error.details || null
+});
+
+// HTTP calls to a messaging provider. Rate limits (429), provider errors
+// (5xx) and network failures are retried with exponential backoff and full
+// jitter, never sooner than Retry-After asks; a Retry-After longer than
+// retryMaxMs is not waited out. Sends are retried only when they can't have
+// gone through (see classifyError), so a user never gets a message twice.
+// After a 401 the credentials are fetched again once with
+// `authenticate({ force: true })`.
+class Transport {
+  constructor({
+    name = 'provider',
+    authenticate = null,
+    maxRetries = envInt('SEND_MAX_RETRIES', 3),
+    retryBaseMs = envInt('SEND_RETRY_BASE_MS', 500),
+    retryMaxMs = envInt('SEND_RETRY_MAX_MS', 30000),
+    timeoutMs = TIMEOUT_MS
+  } = {}) {
+    this.name = name;
+    this.authenticate = authenticate;
+    this.maxRetries = maxRetries;
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  retryDelay(attempt, retryAfter) {
+    const backoff = Math.random() * Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+    return Math.max(backoff, retryAfter || 0);
+  }
+
+  // GETs or POSTs and returns the response body. `authenticated: false`
+  // skips the credentials (e.g. for the token request itself). POSTs are
+  // taken to be sends unless `idempotent` says repeating them is harmless.
+  async request({ method = 'post', url, data, headers = {}, authenticated = true, idempotent = method === 'get' }) {
+    let forceAuth = false;
+    let reauthenticated = false;
+
+    for (let attempt = 1; ; attempt++) {
+      // A failure to authenticate is the caller's; it is not retried here
+      const authHeaders = authenticated && this.authenticate ? await this.authenticate({ force: forceAuth }) : {};
+      forceAuth = false;
+
+      try {
+        const config = { headers: { 'Content-Type': 'application/json', ...headers, ...authHeaders }, timeout: this.timeoutMs };
+        const response = method === 'get' ? await axios.get(url, config) : await axios.post(url, data, config);
+        return response.data;
+      } catch (error) {
+        const failure = classifyError(error, { idempotent });
+        failure.attempts = attempt;
+
+        if (failure.code === 'unauthorized' && authenticated && this.authenticate && !reauthenticated) {
+          logger.warn(`${this.name} rejected our credentials, authenticating again`);
+          forceAuth = true;
+          reauthenticated = true;
+          attempt--;
+          continue;
+        }
+
+        const delay = this.retryDelay(attempt, failure.retryAfterMs);
+        if (!failure.retryable || attempt > this.maxRetries || delay > this.retryMaxMs) {
+          throw failure;
+        }
+
+        logger.warn(`${this.name} request failed (${failure.code}, attempt ${attempt}), retrying in ${Math.round(delay)}ms: ${failure.message}`);
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = {
+  Transport,
+  classifyError,
+  maxRequestMs,
+  sendError,
+  isUnreachable
+};
@@ -0,0 +1,304 @@
+const logger = require('../utils/logger');
+const { downloadFile } = require('./download');
+const { Transport, sendError, isUnreachable } = require('./transport');
+
+// Message types whose payload is an attachment
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+const RECEIPT_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+// Error codes of failed messages that aren't plain rejections
+const ERROR_CODES = {
+  131026: 'unreachable', // Not a WhatsApp user, or hasn't accepted the terms
+  130429: 'rate_limited',
+  131048: 'rate_limited',
+  131056: 'rate_limited'
+};
+
+// WhatsApp through Meta's Cloud API (Graph API). Addresses are phone
+// numbers, written "wa:<phone>" unless this is the WHATSAPP_PROVIDER channel
+// (see WhatsAppService); the webhook is verified with WHATSAPP_CLOUD_VERIFY_TOKEN and
+// signed with the app secret (see webhookAuth).
+class WhatsAppCloudChannel {
+  constructor({
+    accessToken = process.env.WHATSAPP_CLOUD_ACCESS_TOKEN,
+    phoneNumberId = process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID,
+    verifyToken = process.env.WHATSAPP_CLOUD_VERIFY_TOKEN,
+    apiVersion = process.env.WHATSAPP_CLOUD_API_VERSION || 'v19.0',
+    baseUrl = process.env.WHATSAPP_CLOUD_BASE_URL || 'https://graph.facebook.com',
+    buttonsEnabled = process.env.WHATSAPP_BUTTONS_ENABLED !== 'false'
+  } = {}) {
+    this.name = 'whatsapp_cloud';
+    this.prefix = 'wa:';
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
+    this.verifyToken = verifyToken;
+    this.apiUrl = `${baseUrl.replace(/\/$/, '')}/${apiVersion}`;
+    this.buttonsEnabled = buttonsEnabled;
+    // The access token is long-lived and can't be refreshed from here
+    this.transport = new Transport({ name: 'WhatsApp Cloud API' });
+  }
+
+  authHeaders() {
+    return {
+      'Authorization': `Bearer ${this.accessToken}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async send(phone, message) {
+    return this.transport.request({
+      url: `${this.apiUrl}/${this.phoneNumberId}/messages`,
+      data: {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: this.formatPhone(phone),
+        ...message
+      },
+      headers: this.authHeaders()
+    });
+  }
+
+  // The provider's ID for a sent message ("wamid..."), for the outbound log
+  messageId(result) {
+    return result?.messages?.[0]?.id || null;
+  }
+
+  async sendMessage(phone, message) {
+    try {
+      const result = await this.send(phone, { type: 'text', text: { body: message, preview_url: false } });
+      logger.info(`Message sent to ${phone}: ${message.substring(0, 50)}...`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp Cloud message:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp message', error);
+    }
+  }
+
+  // Up to three reply buttons of 20 characters; listed as text when
+  // interactive messages are disabled or rejected
+  async sendButtons(phone, message, buttons) {
+    const fallback = `${message}\n\n${buttons.map(button => `• ${button.title}`).join('\n')}`;
+
+    if (!this.buttonsEnabled) {
+      return this.sendMessage(phone, fallback);
+    }
+
+    try {
+      const result = await this.send(phone, {
+        type: 'interactive',
+        interactive: {
+          type: 'button',
+          body: { text: message },
+          action: {
+            buttons: buttons.slice(0, 3).map(button => ({
+              type: 'reply',
+              reply: { id: button.id, title: button.title.substring(0, 20) }
+            }))
+          }
+        }
+      });
+      logger.info(`Buttons sent to ${phone}: ${message.substring(0, 50)}...`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp Cloud buttons, falling back to text:', error.details || error.message);
+      return this.sendMessage(phone, fallback);
+    }
+  }
+
+  async sendImage(phone, imageUrl, caption = '') {
+    try {
+      const result = await this.send(phone, { type: 'image', image: { link: imageUrl, caption } });
+      logger.info(`Image sent to ${phone}: ${imageUrl}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp Cloud image:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp image', error);
+    }
+  }
+
+  async sendAudio(phone, audioUrl) {
+    try {
+      const result = await this.send(phone, { type: 'audio', audio: { link: audioUrl } });
+      logger.info(`Audio sent to ${phone}: ${audioUrl}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp Cloud audio:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp audio', error);
+    }
+  }
+
+  async sendDocument(phone, documentUrl, filename, caption = '') {
+    try {
+      const result = await this.send(phone, { type: 'document', document: { link: documentUrl, filename, caption } });
+      logger.info(`Document sent to ${phone}: ${filename}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp Cloud document:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp document', error);
+    }
+  }
+
+  async sendTemplate(phone, templateName, variables = []) {
+    try {
+      const result = await this.send(phone, {
+        type: 'template',
+        template: {
+          name: templateName,
+          language: { code: 'en' },
+          components: variables.length > 0
+            ? [{ type: 'body', parameters: variables.map(variable => ({ type: 'text', text: String(variable) })) }]
+            : []
+        }
+      });
+      logger.info(`Template sent to ${phone}: ${templateName}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending WhatsApp Cloud template:', error.details || error.message);
+      throw sendError('Failed to send WhatsApp template', error);
+    }
+  }
+
+  // The API wants digits only, with the country code
+  formatPhone(phone) {
+    return String(phone).replace(/\D/g, '');
+  }
+
+  // Answers Meta's subscription check (GET with hub.mode, hub.verify_token
+  // and hub.challenge). Returns the challenge to echo, or null.
+  verifySubscription(query) {
+    if (query['hub.mode'] === 'subscribe' && this.verifyToken && query['hub.verify_token'] === this.verifyToken) {
+      return query['hub.challenge'] || '';
+    }
+    return null;
+  }
+
+  // A webhook can batch several messages, and status updates that carry
+  // none. Returns one { message, contact } per message.
+  extractEvents(body) {
+    const events = [];
+
+    for (const entry of body?.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        for (const message of value.messages || []) {
+          const contacts = value.contacts || [];
+          events.push({ message, contact: contacts.find(contact => contact.wa_id === message.from) || contacts[0] || null });
+        }
+      }
+    }
+
+    return events;
+  }
+
+  // Delivery receipts for messages we sent, from the same webhook. Returns
+  // { providerMessageId, status, timestamp, error } per receipt, with
+  // error { code, reason } on failed messages.
+  extractStatuses(body) {
+    const receipts = [];
+
+    for (const entry of body?.entry || []) {
+      for (const change of entry.changes || []) {
+        for (const status of (change.value || {}).statuses || []) {
+          if (!status.id || !RECEIPT_STATUSES.includes(status.status)) {
+            continue;
+          }
+
+          const [error = {}] = status.errors || [];
+          const reason = error.error_data?.details || error.message || error.title || 'Message was not delivered';
+          receipts.push({
+            providerMessageId: status.id,
+            status: status.status,
+            timestamp: status.timestamp ? parseInt(status.timestamp, 10) * 1000 : Date.now(),
+            error: status.status === 'failed'
+              ? { code: ERROR_CODES[error.code] || (isUnreachable(reason) ? 'unreachable' : 'rejected'), reason }
+              : null
+          });
+        }
+      }
+    }
+
+    return receipts;
+  }
+
+  parseIncomingMessage({ message = {}, contact = null } = {}) {
+    try {
+      // Reply buttons, and quick replies on a template
+      const buttonReply = message.interactive?.button_reply ||
+        (message.button ? { id: message.button.payload, title: message.button.text } : null);
+      const media = this.parseMedia(message);
+      const phone = message.from ? `+${message.from}` : null;
+
+      return {
+        phone,
+        message: message.text?.body || buttonReply?.title || '',
+        buttonId: buttonReply?.id || null,
+        messageId: message.id,
+        timestamp: message.timestamp ? parseInt(message.timestamp, 10) * 1000 : Date.now(),
+        type: ['interactive', 'button'].includes(message.type) ? 'text' : message.type || 'text',
+        media,
+        contact: {
+          name: contact?.profile?.name || 'Unknown',
+          phone
+        }
+      };
+    } catch (error) {
+      logger.error('Error parsing incoming WhatsApp Cloud message:', error);
+      throw new Error('Failed to parse incoming message');
+    }
+  }
+
+  // Attachments are referenced by media ID; the download URL is looked up
+  // when the file is needed
+  parseMedia(message) {
+    const media = MEDIA_TYPES.includes(message.type) ? message[message.type] : null;
+    if (!media || typeof media !== 'object') {
+      return null;
+    }
+
+    return {
+      id: media.id || null,
+      url: null,
+      mimeType: media.mime_type || null,
+      size: null,
+      caption: (media.caption || '').trim(),
+      filename: media.filename || null
+    };
+  }
+
+  async downloadMedia(media, { maxBytes } = {}) {
+    if (!media || !media.id) {
+      throw Object.assign(new Error('Media has no ID'), { statusCode: 400 });
+    }
+
+    let info;
+    try {
+      info = await this.transport.request({ method: 'get', url: `${this.apiUrl}/${media.id}`, headers: this.authHeaders() });
+    } catch (error) {
+      logger.error('Error looking up WhatsApp Cloud media:', error.details || error.message);
+      throw Object.assign(new Error('Failed to download media'), { statusCode: 502 });
+    }
+
+    return downloadFile(info.url, {
+      headers: { 'Authorization': `Bearer ${this.accessToken}` },
+      size: parseInt(info.file_size, 10) || null,
+      maxBytes
+    });
+  }
+
+  async markAsRead(messageId) {
+    try {
+      await this.transport.request({
+        url: `${this.apiUrl}/${this.phoneNumberId}/messages`,
+        data: { messaging_product: 'whatsapp', status: 'read', message_id: messageId },
+        headers: this.authHeaders(),
+        idempotent: true
+      });
+      logger.info(`Message marked as read: ${messageId}`);
+    } catch (error) {
+      logger.error('Error marking message as read:', error.details || error.message);
+    }
+  }
+}
+
+module.exports = WhatsAppCloudChannel;
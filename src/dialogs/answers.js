@@ -0,0 +1,26 @@
+// Helpers for reading short answers to dialog prompts
+
+const normalize = (text) => text.trim().toLowerCase().replace(/[.!]+$/, '');
+
+const isYes = (text) => /^(y|yes|yep|yeah|ok|okay|sure|confirm|save|👍|✅)$/.test(normalize(text));
+
+const isNo = (text) => /^(n|no|nope|none|once|just once|never|no repeat|don'?t repeat)$/.test(normalize(text));
+
+// Picks an option by its number in the list ("2") or by name ("digital art"
+// matches 'digital-art'). Returns null if nothing matches.
+const pickOption = (text, options) => {
+  const answer = normalize(text).replace(/[\s_-]+/g, ' ');
+
+  const number = answer.match(/^(\d+)$/);
+  if (number) {
+    return options[parseInt(number[1], 10) - 1] || null;
+  }
+
+  return options.find(option => option.replace(/[\s_-]+/g, ' ') === answer) || null;
+};
+
+module.exports = {
+  isYes,
+  isNo,
+  pickOption
+};
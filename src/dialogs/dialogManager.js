@@ -0,0 +1,241 @@
+const moment = require('moment');
+const logger = require('../utils/logger');
+const { createDialogStore } = require('../storage');
+
+const CANCEL_PATTERN = /^(cancel|stop|quit|exit|never ?mind)$/;
+const BACK_PATTERN = /^(back|go back|previous)$/;
+
+const normalize = (message) => message.trim().toLowerCase().replace(/[.!]+$/, '');
+
+// Runs declarative multi-step conversations ("flows"). A flow looks like:
+//
+//   {
+//     name: 'reminder_wizard',
+//     start: 'what',
+//     timeoutMinutes: 15,               // optional, per flow
+//     passive: false,                   // passive flows ignore cancel/back
+//     steps: {
+//       what: {
+//         prompt: (data, dialog) => '...',     // optional, sent on entering
+//         handle: async (text, data, dialog) => result,
+//         timeoutMinutes: 5                    // optional, per step
+//       }
+//     },
+//     complete: async (data, dialog) => 'optional reply'
+//   }
+//
+// A step handler returns one of:
+//   { next: 'step', data }      move on, merging `data` into the dialog data
+//   { retry: 'message', data }  stay on the step and tell the user why
+//   { finish: true, data }      end the dialog and run `complete`
+//   { cancel: true }            end the dialog as if the user said "cancel"
+//   { exit: true }              end the dialog and treat the message normally
+//   null                        not meant for this dialog; keep it and treat
+//                               the message normally
+//
+// Dialog state is persisted through the dialog store so a conversation
+// survives restarts and is shared between instances.
+class DialogManager {
+  constructor(store = createDialogStore(), send = async () => {}) {
+    this.store = store;
+    this.send = send;
+    this.flows = new Map();
+    this.defaultTimeoutMinutes = parseInt(process.env.DIALOG_TIMEOUT_MINUTES) || 15;
+  }
+
+  register(flow) {
+    if (!flow.steps || !flow.steps[flow.start]) {
+      throw new Error(`Dialog flow ${flow.name} has no start step`);
+    }
+    this.flows.set(flow.name, flow);
+    return this;
+  }
+
+  // The active dialog for a phone, or null. Expired dialogs are dropped.
+  async get(phone) {
+    try {
+      const dialog = await this.store.get(phone);
+      if (!dialog) {
+        return null;
+      }
+
+      if (!moment().isBefore(dialog.expires_at) || !this.flows.has(dialog.flow)) {
+        logger.info(`Dialog ${dialog.flow} for ${phone} expired at step ${dialog.step}`);
+        await this.store.delete(phone);
+        return null;
+      }
+
+      return dialog;
+    } catch (error) {
+      logger.error('Error getting dialog:', error);
+      throw new Error('Failed to get dialog');
+    }
+  }
+
+  // Starts a flow, replacing any dialog the user was in. `options.step`
+  // skips ahead when earlier answers are already known; "back" still
+  // returns to the skipped steps.
+  async start(phone, name, data = {}, options = {}) {
+    try {
+      const flow = this.flows.get(name);
+      if (!flow) {
+        throw new Error(`Unknown dialog flow: ${name}`);
+      }
+
+      const step = options.step || flow.start;
+      const dialog = {
+        phone,
+        flow: name,
+        step,
+        data,
+        history: step === flow.start ? [] : [flow.start],
+        started_at: moment().toISOString()
+      };
+
+      await this.enter(dialog, flow);
+      return dialog;
+    } catch (error) {
+      logger.error('Error starting dialog:', error);
+      throw new Error(`Failed to start dialog: ${error.message}`);
+    }
+  }
+
+  // True if the message would cancel the user's dialog, so words like "stop"
+  // can mean something else outside one
+  async isCancelling(phone, message) {
+    const dialog = await this.get(phone);
+    return Boolean(dialog) && !this.flows.get(dialog.flow).passive && CANCEL_PATTERN.test(normalize(message));
+  }
+
+  // Feeds a message to the user's dialog. Returns true if the dialog
+  // consumed it, false if it should be handled as a normal message.
+  async handle(phone, message) {
+    const dialog = await this.get(phone);
+    if (!dialog) {
+      return false;
+    }
+
+    const flow = this.flows.get(dialog.flow);
+    const text = message.trim();
+    const word = normalize(text);
+
+    if (!flow.passive && CANCEL_PATTERN.test(word)) {
+      await this.cancel(phone);
+      return true;
+    }
+    if (!flow.passive && BACK_PATTERN.test(word)) {
+      await this.back(dialog, flow);
+      return true;
+    }
+
+    let result;
+    try {
+      result = await flow.steps[dialog.step].handle(text, dialog.data, dialog);
+    } catch (error) {
+      logger.error(`Error in dialog ${dialog.flow} at step ${dialog.step}:`, error);
+      await this.store.delete(phone);
+      await this.send(phone, '⚠️ Sorry, something went wrong. Please start again.');
+      return true;
+    }
+
+    return this.apply(dialog, flow, result);
+  }
+
+  async apply(dialog, flow, result) {
+    if (!result) {
+      return false;
+    }
+
+    if (result.exit) {
+      await this.store.delete(dialog.phone);
+      return false;
+    }
+
+    if (result.cancel) {
+      await this.cancel(dialog.phone);
+      return true;
+    }
+
+    dialog.data = { ...dialog.data, ...result.data };
+
+    if (result.retry) {
+      dialog.expires_at = this.expiresAt(flow, dialog.step);
+      await this.store.set(dialog.phone, dialog);
+      await this.send(dialog.phone, result.retry);
+      return true;
+    }
+
+    if (result.next) {
+      dialog.history.push(dialog.step);
+      dialog.step = result.next;
+      await this.enter(dialog, flow);
+      return true;
+    }
+
+    await this.store.delete(dialog.phone);
+    const reply = flow.complete ? await flow.complete(dialog.data, dialog) : null;
+    if (reply) {
+      await this.send(dialog.phone, reply);
+    }
+    return true;
+  }
+
+  async back(dialog, flow) {
+    if (dialog.history.length === 0) {
+      await this.send(dialog.phone, '↩️ This is the first step. Reply *cancel* to stop.');
+    } else {
+      dialog.step = dialog.history.pop();
+    }
+    await this.enter(dialog, flow);
+  }
+
+  // Ends the active dialog. Returns false if there was none.
+  async cancel(phone, { silent = false } = {}) {
+    const dialog = await this.get(phone);
+    if (!dialog) {
+      return false;
+    }
+
+    await this.store.delete(phone);
+    if (!silent) {
+      await this.send(phone, '❌ Cancelled. What else can I do for you?');
+    }
+    return true;
+  }
+
+  async enter(dialog, flow) {
+    const step = flow.steps[dialog.step];
+    if (!step) {
+      throw new Error(`Dialog flow ${flow.name} has no step ${dialog.step}`);
+    }
+
+    dialog.expires_at = this.expiresAt(flow, dialog.step);
+    dialog.updated_at = moment().toISOString();
+    await this.store.set(dialog.phone, dialog);
+
+    const prompt = typeof step.prompt === 'function' ? await step.prompt(dialog.data, dialog) : step.prompt;
+    if (prompt) {
+      await this.send(dialog.phone, prompt);
+    }
+  }
+
+  expiresAt(flow, stepName) {
+    const minutes = flow.steps[stepName].timeoutMinutes || flow.timeoutMinutes || this.defaultTimeoutMinutes;
+    return moment().add(minutes, 'minutes').toISOString();
+  }
+
+  async cleanupExpired() {
+    try {
+      const removed = await this.store.removeExpired(moment().toISOString());
+      if (removed > 0) {
+        logger.info(`Cleaned up ${removed} expired dialogs`);
+      }
+      return removed;
+    } catch (error) {
+      logger.error('Error cleaning up dialogs:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = DialogManager;
@@ -0,0 +1,81 @@
+const { isYes, isNo, pickOption } = require('./answers');
+
+// Stability style presets offered by the wizard
+const IMAGE_STYLES = ['photographic', 'digital-art', 'anime', 'cinematic', 'comic-book', 'fantasy-art', '3d-model', 'pixel-art'];
+
+// Dimensions supported by the SDXL engine
+const IMAGE_SIZES = {
+  square: { width: 1024, height: 1024 },
+  landscape: { width: 1344, height: 768 },
+  portrait: { width: 768, height: 1344 }
+};
+
+const listOptions = (options) => options
+  .map((option, index) => `${index + 1}. ${option.replace(/-/g, ' ')}`)
+  .join('\n');
+
+// Guided image generation: description → style → size → confirm
+const createImageWizard = (handler) => ({
+  name: 'image_wizard',
+  start: 'description',
+  steps: {
+    description: {
+      prompt: '🎨 What should the image show? Describe it in a sentence or two.\n\nReply *back* to go back or *cancel* to stop at any time.',
+      handle: (text) => text
+        ? { next: 'style', data: { description: text } }
+        : { retry: '🎨 Please describe the image you\'d like.' }
+    },
+
+    style: {
+      prompt: `🖌️ Which style?\n\n${listOptions(IMAGE_STYLES)}\n\nReply with a number or name, or *any* to let me choose.`,
+      handle: (text) => {
+        if (/^(any|skip|none|no|whatever)$/i.test(text)) {
+          return { next: 'size', data: { style: 'enhance' } };
+        }
+
+        const style = pickOption(text, IMAGE_STYLES);
+        return style
+          ? { next: 'size', data: { style } }
+          : { retry: `Please pick one of these styles:\n\n${listOptions(IMAGE_STYLES)}` };
+      }
+    },
+
+    size: {
+      prompt: `📐 Which shape?\n\n${listOptions(Object.keys(IMAGE_SIZES))}`,
+      handle: (text) => {
+        const size = pickOption(text, Object.keys(IMAGE_SIZES));
+        return size
+          ? { next: 'confirm', data: { size } }
+          : { retry: 'Please reply *square*, *landscape* or *portrait*.' };
+      }
+    },
+
+    confirm: {
+      prompt: (data) => {
+        const { width, height } = IMAGE_SIZES[data.size];
+        const style = data.style === 'enhance' ? 'any' : data.style.replace(/-/g, ' ');
+        return `📋 *New image*\n\n🎨 ${data.description}\n🖌️ Style: ${style}\n📐 Size: ${data.size} (${width}×${height})\n\nReply *yes* to generate it, *back* to change something or *cancel*.`;
+      },
+      handle: (text) => {
+        if (isYes(text)) {
+          return { finish: true };
+        }
+        if (isNo(text)) {
+          return { cancel: true };
+        }
+        return { retry: 'Please reply *yes* to generate the image, *back* to change it or *cancel*.' };
+      }
+    }
+  },
+
+  complete: async (data, dialog) => {
+    await handler.generateImage(dialog.phone, data.description, { style: data.style, ...IMAGE_SIZES[data.size] });
+    return null;
+  }
+});
+
+module.exports = {
+  IMAGE_STYLES,
+  IMAGE_SIZES,
+  createImageWizard
+};
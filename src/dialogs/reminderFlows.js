@@ -0,0 +1,159 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { parseTimeExpression } = require('../utils/timeParser');
+const { normalizeRule, firstOccurrence, describeRule } = require('../utils/recurrence');
+const { isYes, isNo } = require('./answers');
+
+// How long "done" / "snooze" replies are matched to the last delivered reminder
+const REMINDER_REPLY_HOURS = 12;
+
+// Guided reminder creation: what → when → repeat? → confirm
+const createReminderWizard = (handler) => ({
+  name: 'reminder_wizard',
+  start: 'what',
+  steps: {
+    what: {
+      prompt: '📝 What should I remind you about?\n\nReply *back* to go back or *cancel* to stop at any time.',
+      handle: (text) => text
+        ? { next: 'when', data: { message: text } }
+        : { retry: '📝 Please tell me what the reminder is about.' }
+    },
+
+    when: {
+      prompt: (data) => `⏰ When should I remind you to "${data.message}"?\n\nFor example: *tomorrow at 9am*, *in 2 hours* or *friday 18:30*.`,
+      handle: (text, data) => {
+        // A reply to the "did you mean" question asked below
+        if (data.alternatives) {
+          const picked = handler.pickReminderTime(text, data);
+          if (picked) {
+            return { next: 'repeat', data: { datetime: picked, alternatives: null } };
+          }
+        }
+
+        const parsed = parseTimeExpression(text, { timezone: data.timezone });
+        switch (parsed.status) {
+          case 'ok':
+            return { next: 'repeat', data: { datetime: parsed.datetime.toISOString(), alternatives: null } };
+          case 'ambiguous': {
+            const alternatives = parsed.alternatives.map(datetime => datetime.toISOString());
+            return {
+              retry: handler.describeTimeChoices(parsed.error, alternatives, data.timezone),
+              data: { alternatives }
+            };
+          }
+          case 'unrecognized':
+            return { retry: '⚠️ I couldn\'t understand that time. Try something like *tomorrow at 9am*, *in 2 hours* or *friday 18:30*.' };
+          default:
+            return { retry: `⚠️ ${parsed.error}. When should it be?` };
+        }
+      }
+    },
+
+    repeat: {
+      prompt: '🔁 Should it repeat?\n\nReply *no*, or something like *every day*, *every weekday*, *every 2 weeks* or *monthly*.',
+      handle: (text, data) => {
+        if (isNo(text)) {
+          return { next: 'confirm', data: { recurrence: null, start: data.datetime } };
+        }
+
+        let rule;
+        try {
+          rule = normalizeRule(text, data.timezone);
+        } catch (error) {
+          return { retry: `⚠️ ${error.message}. Reply *no* if it shouldn't repeat.` };
+        }
+
+        // The time picked in the previous step unless the rule names one
+        const chosen = moment.tz(data.datetime, data.timezone);
+        const recurrence = { hour: chosen.hour(), minute: chosen.minute(), ...rule };
+        const first = firstOccurrence(recurrence, data.timezone, chosen);
+        if (!first) {
+          return { retry: '⚠️ That schedule never comes round after the chosen time. Please try another one.' };
+        }
+
+        return { next: 'confirm', data: { recurrence, start: first.toISOString() } };
+      }
+    },
+
+    confirm: {
+      prompt: (data) => {
+        const repeats = data.recurrence ? `\n🔁 Repeats: ${describeRule(data.recurrence, data.timezone)}` : '';
+        return `📋 *New reminder*\n\n📝 ${data.message}\n⏰ ${data.recurrence ? 'First' : 'Time'}: ${handler.reminderService.formatTime(data.start, data.timezone)}${repeats}\n\nReply *yes* to save it, *back* to change something or *cancel*.`;
+      },
+      handle: (text) => {
+        if (isYes(text)) {
+          return { finish: true };
+        }
+        if (isNo(text)) {
+          return { cancel: true };
+        }
+        return { retry: 'Please reply *yes* to save the reminder, *back* to change it or *cancel*.' };
+      }
+    }
+  },
+
+  complete: async (data, dialog) => {
+    try {
+      await handler.createReminder(
+        dialog.phone,
+        { message: data.message, datetime: data.start, recurrence: data.recurrence },
+        data.timezone
+      );
+      return null;
+    } catch (error) {
+      logger.error('Error creating reminder from wizard:', error);
+      return error.statusCode === 400
+        ? `⚠️ ${error.message.replace('Failed to set reminder: ', '')}. Please start again with /remind.`
+        : '⚠️ Sorry, I couldn\'t set the reminder. Please try again.';
+    }
+  }
+});
+
+// Asks which time was meant when a one-line reminder had several readings
+const createReminderTimeChoice = (handler) => ({
+  name: 'reminder_time_choice',
+  start: 'choose',
+  steps: {
+    choose: {
+      prompt: (data) => handler.describeTimeChoices(data.question, data.alternatives, data.timezone),
+      // Anything that isn't one of the offered times is a normal message
+      handle: (text, data) => {
+        const datetime = handler.pickReminderTime(text, data);
+        return datetime ? { finish: true, data: { datetime } } : { exit: true };
+      }
+    }
+  },
+
+  complete: async (data, dialog) => {
+    await handler.createReminder(dialog.phone, { message: data.message, datetime: data.datetime }, data.timezone);
+    return null;
+  }
+});
+
+// Listens for "done" / "snooze ..." after a reminder was delivered. Other
+// messages are handled normally and the dialog keeps listening.
+const createReminderReply = (handler) => ({
+  name: 'reminder_delivered',
+  start: 'reply',
+  passive: true,
+  timeoutMinutes: REMINDER_REPLY_HOURS * 60,
+  steps: {
+    reply: {
+      handle: (text) => {
+        const action = handler.parseReminderAction(text);
+        return action ? { finish: true, data: { action } } : null;
+      }
+    }
+  },
+
+  complete: async (data, dialog) => {
+    await handler.applyReminderAction(dialog.phone, data.reminderId, data.action);
+    return null;
+  }
+});
+
+module.exports = {
+  createReminderWizard,
+  createReminderTimeChoice,
+  createReminderReply
+};
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const providerMetrics = require('../utils/providerMetrics');
+
+const PLAN_NAMES = { free: 'Free', pro: 'Pro', admin: 'Admin' };
+
+const HELP = `🛠️ *Admin commands:*
+
+/admin stats - Users, delivery, jobs and provider health
+/admin user <phone> - A user's plan, credits, quotas and reminders
+/admin block <phone> - Ignore a user's messages
+/admin unblock <phone> - Answer a blocked user again
+/admin broadcast <message> - Send a message to every user who can get announcements
+/admin campaigns - Latest broadcasts and their progress
+/admin pause <id> - Pause a broadcast
+/admin resume <id> - Resume a paused broadcast
+/admin cancel <id> - Stop a broadcast for good
+/admin reload - Re-read settings from .env`;
+
+// Phone numbers are compared by their digits, so "+1 234 567-890" and
+// "1234567890" match; chat addresses such as "tg:12345" must match exactly
+const normalize = (address) => {
+  const value = String(address || '').trim().toLowerCase();
+  return /^\+?[\d\s().-]+$/.test(value) ? value.replace(/\D/g, '') : value;
+};
+
+// Settings the services' loadConfig methods read; the rest of .env only
+// takes effect after a restart
+const RELOADABLE_SETTINGS = [
+  'ADMIN_PHONE',
+  'MAX_INBOUND_MEDIA_MB',
+  'MAX_MESSAGE_LENGTH',
+  'MAX_MESSAGE_PARTS',
+  'MESSAGE_PART_DELAY_MS',
+  'STARTING_CREDITS',
+  'IMAGE_CREDITS',
+  'CREDITS_PER_1K_TOKENS',
+  'CONVERSATION_TTL_HOURS',
+  'CONVERSATION_TOKEN_BUDGET'
+];
+
+// The settings in an env file, or null if there is none
+const readEnvFile = (file) => {
+  try {
+    return dotenv.parse(fs.readFileSync(file));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const percent = (part, total) => (total > 0 ? `${Math.round((part / total) * 1000) / 10}%` : '0%');
+
+// /admin commands, for the numbers in ADMIN_PHONE (comma-separated). Works
+// with MessageHandler's services; every action is recorded in its audit log.
+class AdminCommandHandler {
+  constructor(handler) {
+    this.handler = handler;
+    this.subcommands = {
+      stats: this.handleStats.bind(this),
+      user: this.handleUser.bind(this),
+      block: this.handleBlock.bind(this),
+      unblock: this.handleUnblock.bind(this),
+      broadcast: this.handleBroadcast.bind(this),
+      campaigns: this.handleCampaigns.bind(this),
+      pause: (phone, id) => this.handleCampaignAction(phone, 'pause', id),
+      resume: (phone, id) => this.handleCampaignAction(phone, 'resume', id),
+      cancel: (phone, id) => this.handleCampaignAction(phone, 'cancel', id),
+      reload: this.handleReload.bind(this)
+    };
+    // .env as it was last read, to tell which settings were removed from it
+    this.envPath = path.resolve('.env');
+    try {
+      this.envFile = readEnvFile(this.envPath) || {};
+    } catch (error) {
+      logger.warn(`Could not read ${this.envPath}:`, error.message);
+      this.envFile = {};
+    }
+    this.loadConfig();
+  }
+
+  loadConfig() {
+    this.admins = new Set((process.env.ADMIN_PHONE || '').split(',').map(normalize).filter(Boolean));
+  }
+
+  isAdmin(phone) {
+    return this.admins.has(normalize(phone));
+  }
+
+  async send(phone, text) {
+    return this.handler.whatsappService.sendMessage(phone, text);
+  }
+
+  async audit(phone, action, { target = null, details = null, outcome = 'ok' } = {}) {
+    return this.handler.auditLog.record({ actor: phone, source: 'command', action, target, details, outcome });
+  }
+
+  async handle(phone, args) {
+    const [subcommand = '', ...rest] = args.split(' ');
+    const handler = this.subcommands[subcommand.toLowerCase()];
+
+    if (!handler) {
+      await this.send(phone, HELP);
+      return;
+    }
+
+    try {
+      await handler(phone, rest.join(' ').trim());
+    } catch (error) {
+      logger.error(`Error in /admin ${subcommand}:`, error);
+      await this.audit(phone, subcommand.toLowerCase(), { details: { error: error.message }, outcome: 'error' });
+      await this.send(phone, `⚠️ /admin ${subcommand.toLowerCase()} failed: ${error.message}`);
+    }
+  }
+
+  async handleStats(phone) {
+    const { userService, outboundLogService, jobQueue, reminderService } = this.services();
+    const dayAgo = moment().subtract(24, 'hours').toISOString();
+
+    const users = await userService.listUsers();
+    const plans = {};
+    for (const user of users) {
+      const plan = PLAN_NAMES[user.plan] ? user.plan : 'free';
+      plans[plan] = (plans[plan] || 0) + 1;
+    }
+
+    const outbound = await outboundLogService.getStats();
+    const reminders = await reminderService.getStats();
+    const providers = Object.entries(providerMetrics.summary());
+
+    const lines = [
+      '📊 *Admin statistics:*',
+      '',
+      '👥 *Users:*',
+      `• Known: ${users.length}`,
+      `• Active in the last 24h: ${users.filter(user => user.last_seen_at && user.last_seen_at >= dayAgo).length}`,
+      `• Blocked: ${users.filter(user => user.blocked_at).length}`,
+      `• Unreachable: ${users.filter(user => user.unreachable_since).length}`,
+      `• Opted out of announcements: ${users.filter(user => user.opted_out_at).length}`,
+      `• Plans: ${Object.entries(plans).map(([plan, count]) => `${PLAN_NAMES[plan]} ${count}`).join(', ') || 'none'}`,
+      '',
+      '📤 *Outbound messages (24h):*',
+      `• Sent: ${outbound.total}, delivered: ${outbound.delivered + outbound.read}, failed: ${outbound.failed} (${percent(outbound.failed, outbound.total)})`,
+      '',
+      '⏰ *Reminders:*',
+      `• Active: ${reminders.active}, completed: ${reminders.sent}`
+    ];
+
+    if (jobQueue) {
+      const jobs = await jobQueue.getStats();
+      lines.push('', '⚙️ *Jobs:*', `• Queued: ${jobs.queued}, running: ${jobs.running}, dead: ${jobs.dead}`);
+    }
+
+    lines.push('', '🌐 *Providers (last hour):*');
+    if (providers.length === 0) {
+      lines.push('• No calls');
+    }
+    for (const [host, stats] of providers) {
+      lines.push(`• ${host}: ${stats.calls} calls, ${percent(stats.errors, stats.calls)} errors, avg ${stats.avgMs} ms, p95 ${stats.p95Ms} ms`);
+    }
+
+    await this.audit(phone, 'stats');
+    await this.send(phone, lines.join('\n'));
+  }
+
+  async handleUser(phone, target) {
+    if (!target) {
+      await this.send(phone, '❓ Usage: /admin user <phone>');
+      return;
+    }
+
+    const { userService, accountService, reminderService, mistralService } = this.services();
+    const profile = await userService.getProfile(target);
+    const account = await accountService.getAccount(target);
+    const timezone = await userService.getTimezone(target);
+    const reminders = await reminderService.getUserReminders(target, { status: 'active' });
+    const history = await mistralService.getConversationHistory(target);
+    const tokens = history.reduce((sum, message) => sum + mistralService.estimateTokens(message.content), 0);
+    const quotas = await this.handler.describeQuotas(target, account.plan);
+    const format = (time) => moment.tz(time, timezone).format('MMM DD, YYYY HH:mm z');
+
+    const status = [
+      profile.blocked_at ? `🚫 Blocked since ${format(profile.blocked_at)}${profile.blocked_reason ? ` (${profile.blocked_reason})` : ''}` : null,
+      profile.unreachable_since ? `📵 Unreachable since ${format(profile.unreachable_since)}` : null,
+      profile.opted_out_at ? `🔕 Opted out of announcements since ${format(profile.opted_out_at)}` : null,
+      profile.tags && profile.tags.length > 0 ? `Tags: ${profile.tags.join(', ')}` : null
+    ].filter(Boolean);
+
+    const lines = [
+      `👤 *${target}*${profile.name ? ` (${profile.name})` : ''}`,
+      '',
+      `• Plan: ${PLAN_NAMES[account.plan]}`,
+      `• Credits: ${account.metered ? account.balance : 'unlimited'}`,
+      `• Timezone: ${timezone}`,
+      `• Last seen: ${profile.last_seen_at ? format(profile.last_seen_at) : 'never'}`,
+      ...status.map(line => `• ${line}`),
+      `• Active reminders: ${reminders.length}${reminders.length > 0 ? `, next ${format(reminders[0].datetime)}` : ''}`,
+      `• Conversation history: ${history.length} messages, ~${tokens} tokens`,
+      '',
+      ...(quotas.length > 0 ? quotas : ['No usage limits.'])
+    ];
+
+    await this.audit(phone, 'user', { target });
+    await this.send(phone, lines.join('\n'));
+  }
+
+  async handleBlock(phone, args) {
+    const [target, ...reason] = args.split(' ');
+    if (!target) {
+      await this.send(phone, '❓ Usage: /admin block <phone> [reason]');
+      return;
+    }
+
+    if (this.isAdmin(target)) {
+      await this.audit(phone, 'block', { target, outcome: 'invalid' });
+      await this.send(phone, '⚠️ Admin numbers can\'t be blocked.');
+      return;
+    }
+
+    await this.handler.userService.block(target, { by: phone, reason: reason.join(' ') || null });
+    await this.audit(phone, 'block', { target, details: reason.length > 0 ? { reason: reason.join(' ') } : null });
+    await this.send(phone, `🚫 ${target} is blocked. Their messages will be ignored.`);
+  }
+
+  async handleUnblock(phone, target) {
+    if (!target) {
+      await this.send(phone, '❓ Usage: /admin unblock <phone>');
+      return;
+    }
+
+    const unblocked = await this.handler.userService.unblock(target);
+    await this.audit(phone, 'unblock', { target, outcome: unblocked ? 'ok' : 'invalid' });
+    await this.send(phone, unblocked ? `✅ ${target} is unblocked.` : `ℹ️ ${target} isn't blocked.`);
+  }
+
+  // A campaign to every user who can get announcements (see
+  // BroadcastService); segments and templates go through the admin API
+  async handleBroadcast(phone, text) {
+    if (!text) {
+      await this.send(phone, '❓ Usage: /admin broadcast <message>');
+      return;
+    }
+
+    let campaign;
+    try {
+      campaign = await this.handler.broadcasts.create({ message: text, createdBy: phone, source: 'command' });
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        throw error;
+      }
+      await this.audit(phone, 'broadcast', { details: { text }, outcome: 'invalid' });
+      await this.send(phone, `⚠️ ${error.message}`);
+      return;
+    }
+
+    await this.audit(phone, 'broadcast', { target: campaign.id, details: { text, recipients: campaign.progress.total } });
+    if (campaign.status === 'running') {
+      await this.send(phone, `📣 Broadcast ${campaign.id.substring(0, 8)} is sending to ${campaign.progress.total} user${campaign.progress.total === 1 ? '' : 's'}. I'll report back when it's done.`);
+    }
+  }
+
+  async handleCampaigns(phone) {
+    const campaigns = await this.handler.broadcasts.listCampaigns({ limit: 5 });
+    const lines = campaigns.map(campaign => {
+      const { total, sent, failed, skipped } = campaign.progress;
+      return `• ${campaign.id.substring(0, 8)} ${campaign.status}: "${campaign.name}" ${sent}/${total} sent${failed > 0 ? `, ${failed} failed` : ''}${skipped > 0 ? `, ${skipped} skipped` : ''}`;
+    });
+
+    await this.audit(phone, 'campaigns');
+    await this.send(phone, lines.length > 0 ? `📣 *Broadcasts:*\n\n${lines.join('\n')}` : '📣 No broadcasts yet.');
+  }
+
+  async handleCampaignAction(phone, action, id) {
+    if (!id) {
+      await this.send(phone, `❓ Usage: /admin ${action} <broadcast id>`);
+      return;
+    }
+
+    let campaign;
+    try {
+      campaign = await this.handler.broadcasts[action](id);
+    } catch (error) {
+      if (![404, 409].includes(error.statusCode)) {
+        throw error;
+      }
+      await this.audit(phone, action, { target: id, outcome: 'invalid' });
+      await this.send(phone, `⚠️ ${error.message}`);
+      return;
+    }
+
+    await this.audit(phone, action, { target: campaign.id });
+    await this.send(phone, `📣 Broadcast ${campaign.id.substring(0, 8)} is ${campaign.status} (${campaign.progress.sent}/${campaign.progress.total} sent).`);
+  }
+
+  // Completion listener for broadcasts started from the chat
+  async reportBroadcast(campaign) {
+    if (campaign.source !== 'command' || !campaign.created_by) {
+      return;
+    }
+
+    const { total, sent, failed, skipped } = campaign.progress;
+    await this.send(
+      campaign.created_by,
+      `📣 Broadcast ${campaign.id.substring(0, 8)} is done: sent to ${sent} of ${total} user${total === 1 ? '' : 's'}${failed > 0 ? `, ${failed} failed` : ''}${skipped > 0 ? `, ${skipped} skipped (opted out or blocked)` : ''}.`
+    );
+  }
+
+  // Applies the reloadable settings from .env, including ones removed from
+  // it. Only the names of changed settings are reported, never their values.
+  async handleReload(phone) {
+    const file = readEnvFile(this.envPath);
+    const current = file || {};
+    const applied = [];
+
+    for (const key of RELOADABLE_SETTINGS) {
+      if (current[key] !== undefined) {
+        if (process.env[key] !== current[key]) {
+          process.env[key] = current[key];
+          applied.push(key);
+        }
+      } else if (this.envFile[key] !== undefined && process.env[key] === this.envFile[key]) {
+        delete process.env[key];
+        applied.push(key);
+      }
+    }
+
+    const restart = Object.keys({ ...this.envFile, ...current })
+      .filter(key => !RELOADABLE_SETTINGS.includes(key) && this.envFile[key] !== current[key])
+      .sort();
+    this.envFile = current;
+
+    const { accountService, mistralService } = this.services();
+    this.handler.loadConfig();
+    accountService.loadConfig();
+    mistralService.loadConfig();
+
+    await this.audit(phone, 'reload', { details: { applied, restart } });
+
+    const lines = [`🔄 Settings reloaded${file ? '' : ' (no .env file found)'}.`, ''];
+    lines.push(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'No reloadable settings changed.');
+    if (restart.length > 0) {
+      lines.push(`Not applied, take effect after a restart: ${restart.join(', ')}`);
+    }
+    lines.push('', 'Settings other than admin numbers, message splitting, media size, conversation history and credits take effect after a restart.');
+    await this.send(phone, lines.join('\n'));
+  }
+
+  services() {
+    const { userService, accountService, reminderService, mistralService, jobQueue, whatsappService } = this.handler;
+    return { userService, accountService, reminderService, mistralService, jobQueue, outboundLogService: whatsappService.outboundLog };
+  }
+}
+
+module.exports = AdminCommandHandler;
@@ -1,60 +1,347 @@
 const logger = require('../utils/logger');
-const moment = require('moment');
+const moment = require('moment-timezone');
+const UserService = require('../services/userService');
+const AccountService = require('../services/accountService');
+const AuditLogService = require('../services/auditLogService');
+const BroadcastService = require('../services/broadcastService');
+const IntentService = require('../services/intentService');
+const IdempotencyService = require('../services/idempotencyService');
+const SpeechService = require('../services/speechService');
+const MediaService = require('../services/mediaService');
+const { extractRecurrence, firstOccurrence, parseTimeOfDay } = require('../utils/recurrence');
+const { parseTimeExpression, extractTimeExpression } = require('../utils/timeParser');
+const { readImageInfo } = require('../utils/imageInfo');
+const { detectAudioType } = require('../utils/audioInfo');
+const { markdownToWhatsApp, splitMessage } = require('../utils/whatsappFormat');
+const { createDialogStore, createIdempotencyStore } = require('../storage');
+const { checkUserLimits, getRemainingPoints } = require('../middleware/rateLimiter');
+const DialogManager = require('../dialogs/dialogManager');
+const AdminCommandHandler = require('./adminCommandHandler');
+const { createReminderWizard, createReminderTimeChoice, createReminderReply } = require('../dialogs/reminderFlows');
+const { createImageWizard } = require('../dialogs/imageWizard');
+
+// Photos we can send to Stability, and the largest input ESRGAN upscales
+const PHOTO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const UPSCALE_MAX_PIXELS = 1024 * 1024;
+const PHOTO_MIN_SIDE = 64;
+
+// Used for photos sent without a caption: a light touch-up
+const DEFAULT_PHOTO_PROMPT = 'the same photo with sharper details, balanced lighting and vivid natural colors, high quality';
+
+// Replies that opt a user out of broadcasts, or back in
+const OPT_OUT_KEYWORDS = ['stop', 'unsubscribe'];
+const OPT_IN_KEYWORDS = ['start', 'subscribe'];
+
+// Room left in each part of a split reply for its "(2/3) " label
+const PART_LABEL_LENGTH = 10;
+
+const PLAN_NAMES = { free: 'Free', pro: 'Pro', admin: 'Admin' };
+
+// Per-user quotas (see checkUserLimits), in the order /quota lists them
+const QUOTAS = {
+  chat: { label: '💬 AI chat', name: 'AI chat' },
+  image: { label: '🎨 Images', name: 'images' },
+  translate: { label: '🌍 Translations', name: 'translations' },
+  reminder: { label: '⏰ New reminders', name: 'new reminders' }
+};
 
 class MessageHandler {
-  constructor(whatsappService, stabilityService, mistralService, reminderService) {
+  constructor(whatsappService, stabilityService, mistralService, reminderService, options = {}) {
+    const {
+      userService = new UserService(),
+      dialogStore = createDialogStore(),
+      idempotencyStore = createIdempotencyStore(),
+      accountService = new AccountService(userService)
+    } = options;
+
     this.whatsappService = whatsappService;
     this.stabilityService = stabilityService;
     this.mistralService = mistralService;
     this.reminderService = reminderService;
+    this.userService = userService;
+    this.accountService = accountService;
+    this.intentService = new IntentService(this.mistralService);
+    this.idempotency = new IdempotencyService(idempotencyStore);
+    this.mediaService = new MediaService();
+    this.speechService = new SpeechService(undefined, this.mediaService);
+    this.auditLog = new AuditLogService();
+    this.broadcasts = new BroadcastService(this.whatsappService, this.userService);
+    this.admin = new AdminCommandHandler(this);
+    this.loadConfig();
     
-    // Inject WhatsApp service into reminder service
+    // Inject WhatsApp and user services into reminder service
     this.reminderService.setWhatsAppService(this.whatsappService);
+    this.reminderService.setUserService(this.userService);
+    this.reminderService.setDeliveryListener(this.trackDeliveredReminder.bind(this));
+
+    // Admins who start a broadcast from the chat hear when it's done
+    this.broadcasts.setCompletionListener(campaign => this.admin.reportBroadcast(campaign));
+
+    // AI work is paid for with the user's credits
+    this.stabilityService.setUsageListener(usage => this.accountService.recordUsage(usage));
+    this.mistralService.setUsageListener(usage => this.accountService.recordUsage(usage));
     
     // Command patterns
     this.commands = {
       '/help': this.handleHelpCommand.bind(this),
       '/start': this.handleStartCommand.bind(this),
       '/image': this.handleImageCommand.bind(this),
+      '/upscale': this.handleUpscaleCommand.bind(this),
       '/remind': this.handleReminderCommand.bind(this),
       '/reminders': this.handleListRemindersCommand.bind(this),
       '/cancel': this.handleCancelReminderCommand.bind(this),
+      '/skip': this.handleSkipReminderCommand.bind(this),
+      '/edit': this.handleEditReminderCommand.bind(this),
+      '/timezone': this.handleTimezoneCommand.bind(this),
+      '/voice': this.handleVoiceCommand.bind(this),
       '/chat': this.handleChatCommand.bind(this),
       '/translate': this.handleTranslateCommand.bind(this),
       '/summarize': this.handleSummarizeCommand.bind(this),
       '/joke': this.handleJokeCommand.bind(this),
       '/story': this.handleStoryCommand.bind(this),
       '/clear': this.handleClearHistoryCommand.bind(this),
-      '/stats': this.handleStatsCommand.bind(this)
+      '/stats': this.handleStatsCommand.bind(this),
+      '/quota': this.handleQuotaCommand.bind(this)
     };
     
-    // User states for multi-step interactions
-    this.userStates = new Map();
+    // Multi-step conversations, persisted per user
+    this.dialogs = new DialogManager(dialogStore, (phone, text) => this.whatsappService.sendMessage(phone, text));
+    this.dialogs
+      .register(createReminderWizard(this))
+      .register(createReminderTimeChoice(this))
+      .register(createReminderReply(this))
+      .register(createImageWizard(this));
+  }
+
+  // Settings from the environment, re-read by /admin reload
+  loadConfig() {
+    this.maxMediaBytes = (parseFloat(process.env.MAX_INBOUND_MEDIA_MB) || 10) * 1024 * 1024;
+    // Replies longer than maxMessageLength go out in numbered parts; more
+    // than maxMessageParts parts are sent as a text document instead
+    this.maxMessageLength = parseInt(process.env.MAX_MESSAGE_LENGTH) || 4096;
+    this.maxMessageParts = parseInt(process.env.MAX_MESSAGE_PARTS) || 5;
+    this.messagePartDelayMs = process.env.MESSAGE_PART_DELAY_MS !== undefined ? parseInt(process.env.MESSAGE_PART_DELAY_MS) : 500;
+    this.admin.loadConfig();
   }
 
-  async handleIncomingMessage(webhook) {
+  // Messages are answered by queue workers so webhooks can be acknowledged
+  // right away; jobs are grouped by phone to keep each user's replies in order.
+  // A message is handled at most once: replies and charges already made by a
+  // failed attempt would be repeated by a retry.
+  setJobQueue(jobQueue) {
+    this.jobQueue = jobQueue;
+    this.jobQueue.register('incoming_message', (messageData) => this.processMessage(messageData), { maxAttempts: 1 });
+    this.broadcasts.setJobQueue(jobQueue);
+  }
+
+  // Queues a message from a channel's webhook once per message ID. Returns
+  // { duplicate, status, outcome: { job_id } }, or null if the webhook holds
+  // nothing to answer.
+  async enqueueIncomingMessage(webhook, channel) {
     try {
-      const messageData = this.whatsappService.parseIncomingMessage(webhook);
-      const { phone, message, messageId, contact } = messageData;
-      
-      logger.info(`Processing message from ${contact.name} (${phone}): ${message}`);
-      
-      // Mark message as read
-      if (messageId) {
-        await this.whatsappService.markAsRead(messageId);
-      }
-      
-      // Check for commands
-      if (message.startsWith('/')) {
-        await this.handleCommand(phone, message, contact);
-      } else {
-        // Handle natural conversation
-        await this.handleNaturalMessage(phone, message, contact);
+      const messageData = this.whatsappService.parseIncomingMessage(webhook, channel);
+      if (!messageData.phone || (!messageData.message && !messageData.buttonId && !messageData.media)) {
+        logger.warn('Ignoring webhook without a message');
+        return null;
       }
-      
+
+      return await this.idempotency.run(messageData.messageId, async () => {
+        const job = await this.jobQueue.enqueue('incoming_message', messageData, { group: messageData.phone });
+        return { job_id: job.id };
+      });
+    } catch (error) {
+      logger.error('Error queuing incoming message:', error);
+      throw new Error('Failed to queue incoming message');
+    }
+  }
+
+  // Processes a webhook message right away. Returns { duplicate, status,
+  // outcome } (see IdempotencyService.run), or null if the message could not
+  // be processed.
+  async handleIncomingMessage(webhook, channel) {
+    try {
+      const messageData = this.whatsappService.parseIncomingMessage(webhook, channel);
+
+      // Providers retry webhooks; each message ID is processed only once
+      return await this.idempotency.run(messageData.messageId, () => this.processMessage(messageData));
     } catch (error) {
       logger.error('Error handling incoming message:', error);
+      return null;
+    }
+  }
+
+  // Returns the outcome remembered for redeliveries of the message
+  async processMessage(messageData) {
+    const { phone, message, messageId, buttonId, contact, media, type } = messageData;
+
+    logger.info(`Processing ${type} message from ${contact.name} (${phone}): ${message}`);
+
+    // STOP and UNSUBSCRIBE, for announcements; "stop" inside a dialog leaves
+    // the dialog instead
+    const keyword = !media && message ? message.trim().toLowerCase() : null;
+    const optOut = OPT_OUT_KEYWORDS.includes(keyword) && !(await this.dialogs.isCancelling(phone, keyword));
+
+    if (await this.userService.isBlocked(phone)) {
+      logger.info(`Ignoring message from blocked user ${phone}`);
+      // Blocked users get no reply, but can still stop announcements
+      if (optOut) {
+        await this.userService.optOut(phone);
+      }
+      return { action: 'blocked', handled_at: new Date().toISOString() };
+    }
+
+    // Mark message as read
+    if (messageId) {
+      await this.whatsappService.markAsRead(messageId, phone);
+    }
+
+    // Remember when the user last wrote; someone writing to us can be
+    // reached again, even if a provider said otherwise before
+    await this.userService.recordActivity(phone, { name: contact?.name });
+
+    if (optOut || (OPT_IN_KEYWORDS.includes(keyword) && await this.userService.isOptedOut(phone))) {
+      return this.handleSubscriptionKeyword(phone, optOut);
+    }
+
+    // Quick-reply buttons on a delivered reminder
+    if (buttonId && buttonId.startsWith('reminder:')) {
+      await this.handleReminderButton(phone, buttonId);
+      return { action: 'button', button: buttonId, handled_at: new Date().toISOString() };
+    }
+
+    // Photos, edited according to their caption
+    if (media && (type === 'image' || (media.mimeType || '').startsWith('image/'))) {
+      await this.handlePhotoMessage(phone, media);
+      return { action: 'photo', handled_at: new Date().toISOString() };
+    }
+
+    // Voice notes are transcribed, then handled like a typed message
+    if (media && (type === 'audio' || (media.mimeType || '').startsWith('audio/'))) {
+      const transcript = await this.transcribeVoiceNote(phone, media);
+      if (!transcript) {
+        return { action: 'voice', transcribed: false, handled_at: new Date().toISOString() };
+      }
+      return { ...(await this.routeText(phone, transcript, contact)), source: 'voice' };
+    }
+
+    if (media || !message) {
+      await this.whatsappService.sendMessage(
+        phone,
+        '📎 I can\'t open that kind of message yet. Send me text, a voice note, or a photo with a caption like "make it watercolor" or "/upscale".'
+      );
+      return { action: 'unsupported', type, handled_at: new Date().toISOString() };
+    }
+
+    return this.routeText(phone, message, contact);
+  }
+
+  async handleSubscriptionKeyword(phone, optOut) {
+    if (optOut) {
+      await this.userService.optOut(phone);
+      await this.whatsappService.sendMessage(
+        phone,
+        '🔕 You won\'t get announcements anymore. Your reminders and replies to your messages still work.\n\nSend START to get announcements again.'
+      );
+      return { action: 'opt_out', handled_at: new Date().toISOString() };
+    }
+
+    await this.userService.optIn(phone);
+    await this.whatsappService.sendMessage(phone, '🔔 You\'ll get announcements again. Send STOP at any time to unsubscribe.');
+    return { action: 'opt_in', handled_at: new Date().toISOString() };
+  }
+
+  // Commands and natural language, typed or spoken
+  async routeText(phone, message, contact) {
+    // Check for commands
+    if (message.startsWith('/')) {
+      await this.handleCommand(phone, message, contact);
+      return { action: 'command', command: message.split(' ')[0].toLowerCase(), handled_at: new Date().toISOString() };
+    }
+
+    // Handle natural conversation
+    await this.handleNaturalMessage(phone, message, contact);
+    return { action: 'message', handled_at: new Date().toISOString() };
+  }
+
+  // Returns the transcript of a voice note, or null after telling the user
+  // why there isn't one. The transcript is echoed so a misheard note is easy
+  // to spot.
+  async transcribeVoiceNote(phone, media) {
+    try {
+      const audio = await this.whatsappService.downloadMedia(media, { maxBytes: this.maxMediaBytes });
+
+      const audioType = detectAudioType(audio);
+      if (!audioType) {
+        await this.whatsappService.sendMessage(phone, '⚠️ I couldn\'t play that voice note. Please try recording it again.');
+        return null;
+      }
+
+      const transcript = await this.speechService.transcribe(audio, { mimeType: audioType.mimeType });
+      if (!transcript) {
+        await this.whatsappService.sendMessage(phone, '🎙️ I couldn\'t make out any words in that voice note. Please try again or type your message.');
+        return null;
+      }
+
+      await this.whatsappService.sendMessage(phone, `🎙️ _"${transcript}"_`);
+      return transcript;
+    } catch (error) {
+      logger.error('Error handling voice note:', error);
+      await this.whatsappService.sendMessage(
+        phone,
+        error.statusCode === 413
+          ? `⚠️ That voice note is too long. Please keep it under ${Math.round(this.maxMediaBytes / 1024 / 1024)} MB.`
+          : '⚠️ Sorry, I couldn\'t understand your voice note. Please try again or type your message.'
+      );
+      return null;
+    }
+  }
+
+  // Sends AI-written content: Markdown is converted to WhatsApp formatting
+  // and `title` (already WhatsApp formatted) is put on top. Users who turned
+  // on spoken replies get it as a voice note, unless it is too long to speak
+  // or synthesis fails.
+  async sendReply(phone, content, { title = null, filename = 'reply.txt' } = {}) {
+    const text = [title, markdownToWhatsApp(content)].filter(Boolean).join('\n\n');
+
+    try {
+      if (this.speechService.canSpeak(text) && await this.userService.getVoiceReplies(phone)) {
+        const audioUrl = await this.speechService.synthesize(text);
+        return await this.whatsappService.sendAudio(phone, audioUrl);
+      }
+    } catch (error) {
+      logger.error('Error sending spoken reply, sending text instead:', error.message);
+    }
+
+    return this.sendLongMessage(phone, text, { filename });
+  }
+
+  // Splits text over the message length limit into numbered parts, sent in
+  // order with a short pause. Text that would need too many parts is sent
+  // as a document.
+  async sendLongMessage(phone, text, { filename = 'reply.txt' } = {}) {
+    if (text.length <= this.maxMessageLength) {
+      return this.whatsappService.sendMessage(phone, text);
+    }
+
+    const parts = splitMessage(text, this.maxMessageLength - PART_LABEL_LENGTH);
+
+    if (parts.length > this.maxMessageParts) {
+      try {
+        const document = await this.mediaService.save(Buffer.from(text, 'utf8'), { extension: 'txt' });
+        return await this.whatsappService.sendDocument(phone, document.url, filename, '📄 This reply is too long for a chat message, so here it is as a document.');
+      } catch (error) {
+        logger.error('Error sending reply as a document, sending it in parts:', error.message);
+      }
     }
+
+    let result;
+    for (const [index, part] of parts.entries()) {
+      if (index > 0 && this.messagePartDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.messagePartDelayMs));
+      }
+      result = await this.whatsappService.sendMessage(phone, `(${index + 1}/${parts.length}) ${part}`);
+    }
+    return result;
   }
 
   async handleCommand(phone, message, contact) {
@@ -63,9 +350,16 @@ class MessageHandler {
       const command = commandParts[0].toLowerCase();
       const args = commandParts.slice(1).join(' ');
       
-      if (this.commands[command]) {
+      if (command === '/admin' && this.admin.isAdmin(phone)) {
+        await this.admin.handle(phone, args);
+      } else if (this.commands[command]) {
         await this.commands[command](phone, args, contact);
       } else {
+        // Attempts at admin commands are recorded, but answered like any
+        // unknown command
+        if (command === '/admin') {
+          await this.auditLog.record({ actor: phone, source: 'command', action: args.split(' ')[0] || 'admin', details: { command: message }, outcome: 'denied' });
+        }
         await this.whatsappService.sendMessage(
           phone,
           `❓ Unknown command: ${command}\n\nType /help to see available commands.`
@@ -82,23 +376,26 @@ class MessageHandler {
 
   async handleNaturalMessage(phone, message, contact) {
     try {
-      // Check if user is in a specific state (multi-step interaction)
-      const userState = this.userStates.get(phone);
-      
-      if (userState) {
-        await this.handleStateBasedMessage(phone, message, userState);
+      // Check if user is in the middle of a dialog (multi-step interaction)
+      if (await this.dialogs.handle(phone, message)) {
         return;
       }
       
       // Detect intent from natural language
-      const intent = this.detectIntent(message);
+      const { intent, slots } = await this.intentService.classify(message, {
+        phone,
+        useModel: await this.canClassify(phone)
+      });
       
       switch (intent) {
         case 'image_generation':
-          await this.handleImageGenerationFromText(phone, message);
+          await this.handleImageGenerationFromText(phone, message, slots);
           break;
         case 'reminder_setting':
-          await this.handleReminderFromText(phone, message);
+          await this.handleReminderFromText(phone, message, slots);
+          break;
+        case 'translation':
+          await this.handleTranslationFromText(phone, message, slots);
           break;
         case 'question':
           await this.handleQuestionFromText(phone, message);
@@ -119,47 +416,21 @@ class MessageHandler {
     }
   }
 
-  detectIntent(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    // Image generation keywords
-    if (lowerMessage.includes('generate image') || 
-        lowerMessage.includes('create image') || 
-        lowerMessage.includes('draw') || 
-        lowerMessage.includes('picture') ||
-        lowerMessage.includes('image of')) {
-      return 'image_generation';
-    }
-    
-    // Reminder keywords
-    if (lowerMessage.includes('remind me') || 
-        lowerMessage.includes('reminder') || 
-        lowerMessage.includes('schedule') ||
-        /remind.*to/.test(lowerMessage)) {
-      return 'reminder_setting';
+  // Whether the user can pay for asking the model about a message. It is
+  // billed like chat, so this needs chat credits and a chat point left; the
+  // point itself is only used up by the handler the message is routed to.
+  async canClassify(phone) {
+    if (!(await this.accountService.canAfford(phone, 'chat'))) {
+      return false;
     }
-    
-    // Question keywords
-    if (lowerMessage.startsWith('what') || 
-        lowerMessage.startsWith('how') || 
-        lowerMessage.startsWith('why') || 
-        lowerMessage.startsWith('when') ||
-        lowerMessage.startsWith('where') ||
-        lowerMessage.includes('?')) {
-      return 'question';
-    }
-    
-    // Greeting keywords
-    if (lowerMessage.includes('hello') || 
-        lowerMessage.includes('hi') || 
-        lowerMessage.includes('hey') ||
-        lowerMessage.includes('good morning') ||
-        lowerMessage.includes('good afternoon') ||
-        lowerMessage.includes('good evening')) {
-      return 'greeting';
-    }
-    
-    return 'chat';
+
+    const points = await getRemainingPoints(phone, 'chat', await this.accountService.getPlan(phone));
+    return !points || points.remaining > 0;
+  }
+
+  // Keyword-only intent detection, without asking the model
+  detectIntent(message) {
+    return this.intentService.matchKeywords(message).intent;
   }
 
   async handleHelpCommand(phone, args, contact) {
@@ -167,17 +438,34 @@ class MessageHandler {
 
 *🎨 Image Generation:*
 /image [description] - Generate an image
+/image - Guided image creation (style and size)
 Example: /image sunset over mountains
+Send a photo with a caption like "make it watercolor" to restyle it
+Send a photo with the caption /upscale to double its resolution
 
 *⏰ Reminders:*
 /remind [message] at [time] - Set a reminder
+/remind [message] every [schedule] - Set a recurring reminder
+/remind - Guided reminder creation
 /reminders - List your reminders
-/cancel [reminder_id] - Cancel a reminder
+/edit [reminder_id] [new text or time] - Change a reminder
+/cancel [reminder_id] - Cancel a reminder (whole series)
+/skip [reminder_id] - Skip one occurrence of a recurring reminder
+/timezone [zone] - Show or set your timezone
+Reply *done* or *snooze 10m* to a reminder you received
+
+*↩️ Guided steps:*
+Reply *back* to go back a step or *cancel* to stop
 
 *💬 AI Chat:*
 /chat [message] - Chat with AI
 /clear - Clear chat history
 
+*🎙️ Voice:*
+Send a voice note and I'll answer it like a typed message
+/voice on - Get answers as voice notes
+/voice off - Get answers as text
+
 *🔧 Utilities:*
 /translate [text] to [language] - Translate text
 /summarize [text] - Summarize text
@@ -185,13 +473,15 @@ Example: /image sunset over mountains
 /story [topic] - Generate a story
 
 *📊 Other:*
-/stats - Bot statistics
+/stats - Bot statistics and your credits
+/quota - Your remaining usage
 /help - Show this help
 
 *Natural Language Support:*
 You can also use natural language like:
 • "Generate an image of a cat"
 • "Remind me to call mom at 3pm"
+• "Remind me to stretch every weekday at 11am"
 • "What is the weather like?"
 
 Type any message to start chatting! 😊`;
@@ -200,7 +490,8 @@ Type any message to start chatting! 😊`;
   }
 
   async handleStartCommand(phone, args, contact) {
-    const welcomeMessage = `👋 Welcome to Advanced WhatsApp Bot, ${contact.name}!
+    const name = contact && contact.name ? `, ${contact.name}` : '';
+    const welcomeMessage = `👋 Welcome to Advanced WhatsApp Bot${name}!
 
 I'm your AI-powered assistant that can:
 🎨 Generate amazing images
@@ -219,27 +510,112 @@ What would you like to do today? ✨`;
 
   async handleImageCommand(phone, args, contact) {
     if (!args.trim()) {
+      await this.dialogs.start(phone, 'image_wizard');
+      return;
+    }
+
+    await this.generateImage(phone, args);
+  }
+
+  async handleUpscaleCommand(phone, args, contact) {
+    await this.whatsappService.sendMessage(
+      phone,
+      '🔍 Send me a photo with the caption */upscale* and I\'ll double its resolution.'
+    );
+  }
+
+  // A photo from the user: upscaled if the caption asks for it, otherwise
+  // redrawn with the caption as the prompt (image-to-image)
+  async handlePhotoMessage(phone, media) {
+    const caption = media.caption || '';
+    const upscale = /^\/?upscale\b/i.test(caption) ||
+      /\b(?:upscale|enlarge|higher resolution|increase (?:the )?resolution)\b/i.test(caption);
+
+    try {
+      const image = await this.whatsappService.downloadMedia(media, { maxBytes: this.maxMediaBytes });
+
+      const info = readImageInfo(image);
+      const problem = this.checkPhoto(info, upscale);
+      if (problem) {
+        await this.whatsappService.sendMessage(phone, problem);
+        return;
+      }
+
+      if (!(await this.withinQuota(phone, 'image'))) {
+        return;
+      }
+
+      if (upscale) {
+        await this.whatsappService.sendMessage(phone, '🔍 Upscaling your photo... This may take a few moments.');
+        const imageUrl = await this.stabilityService.upscaleImage(image, { phone, originalWidth: info.width, originalHeight: info.height });
+        await this.whatsappService.sendImage(phone, imageUrl, '🔍 Here\'s your upscaled photo');
+        return;
+      }
+
+      const prompt = this.photoPrompt(caption);
+      await this.whatsappService.sendMessage(phone, '🎨 Working on your photo... This may take a few moments.');
+      // Without a caption, stay close to the original
+      const imageUrl = await this.stabilityService.generateImageFromImage(prompt || DEFAULT_PHOTO_PROMPT, image, {
+        image_strength: prompt ? 0.35 : 0.6,
+        phone
+      });
+      await this.whatsappService.sendImage(phone, imageUrl, prompt ? `🎨 Here's your photo: "${prompt}"` : '🎨 Here\'s your touched-up photo');
+    } catch (error) {
+      logger.error('Error handling photo:', error);
       await this.whatsappService.sendMessage(
         phone,
-        '🎨 Please provide a description for the image.\n\nExample: /image sunset over mountains with purple clouds'
+        error.statusCode === 413
+          ? `⚠️ That photo is too large. Please send one under ${Math.round(this.maxMediaBytes / 1024 / 1024)} MB.`
+          : '⚠️ Sorry, I couldn\'t process your photo. Please try again.'
       );
-      return;
     }
+  }
+
+  // Returns a reply explaining why the photo can't be used, or null
+  checkPhoto(info, upscale) {
+    if (!info || !PHOTO_TYPES.includes(info.mimeType) || !info.width || !info.height) {
+      return '⚠️ Please send a JPEG, PNG or WebP photo.';
+    }
+    if (Math.min(info.width, info.height) < PHOTO_MIN_SIDE) {
+      return `⚠️ That photo is too small (${info.width}×${info.height}).`;
+    }
+    if (upscale && info.width * info.height > UPSCALE_MAX_PIXELS) {
+      return `⚠️ That photo is already ${info.width}×${info.height}. I can upscale photos up to about 1 megapixel (e.g. 1024×1024).`;
+    }
+    return null;
+  }
+
+  // "make it watercolor" -> "watercolor"; "/image as a pencil sketch" ->
+  // "a pencil sketch". Returns '' when the caption has no instructions.
+  photoPrompt(caption) {
+    return caption
+      .replace(/^\/image\b\s*/i, '')
+      .replace(/^(?:please\s+|can you\s+|could you\s+)*/i, '')
+      .replace(/^(?:make|turn|change|convert|transform|redraw|draw)\s+(?:it|this|me|the (?:photo|picture|image))\s+(?:into\s+|to\s+|as\s+|in\s+|like\s+)?/i, '')
+      .replace(/^as\s+/i, '')
+      .replace(/[\s?!.]+$/, '')
+      .trim();
+  }
 
+  async generateImage(phone, description, options = {}) {
     try {
+      if (!(await this.withinQuota(phone, 'image'))) {
+        return;
+      }
+
       await this.whatsappService.sendMessage(phone, '🎨 Generating your image... This may take a few moments.');
       
       // Enhance the prompt with Mistral
-      const enhancedPrompt = await this.mistralService.generateImagePrompt(args);
+      const enhancedPrompt = await this.mistralService.generateImagePrompt(description, { phone });
       
       // Generate image
-      const imageUrl = await this.stabilityService.generateImage(enhancedPrompt);
+      const imageUrl = await this.stabilityService.generateImage(enhancedPrompt, { ...options, phone });
       
       // Send image
       await this.whatsappService.sendImage(
         phone, 
         imageUrl, 
-        `🎨 Here's your generated image: "${args}"`
+        `🎨 Here's your generated image: "${description}"`
       );
       
     } catch (error) {
@@ -253,17 +629,25 @@ What would you like to do today? ✨`;
 
   async handleReminderCommand(phone, args, contact) {
     if (!args.trim()) {
-      await this.whatsappService.sendMessage(
-        phone,
-        '⏰ Please provide reminder details.\n\nExamples:\n• /remind Buy groceries at 5pm\n• /remind Call doctor tomorrow at 10am\n• /remind Meeting in 2 hours'
-      );
+      await this.startReminderWizard(phone);
       return;
     }
 
     try {
-      const { message, datetime } = this.parseReminderText(args);
+      const timezone = await this.userService.getTimezone(phone);
+      const parsed = this.parseReminderText(args, timezone);
+
+      if (await this.handleUnresolvedTime(phone, parsed, timezone)) {
+        return;
+      }
+
+      // No time in it at all: ask for one
+      if (!parsed.message && !parsed.datetime && !parsed.recurrence) {
+        await this.startReminderWizard(phone, args.trim());
+        return;
+      }
       
-      if (!message || !datetime) {
+      if (!parsed.message || !parsed.datetime) {
         await this.whatsappService.sendMessage(
           phone,
           '⚠️ I couldn\'t understand the reminder format. Please try:\n/remind [message] at [time]'
@@ -271,12 +655,7 @@ What would you like to do today? ✨`;
         return;
       }
 
-      const reminder = await this.reminderService.setReminder(phone, message, datetime);
-      
-      await this.whatsappService.sendMessage(
-        phone,
-        `✅ Reminder set!\n\n📝 Message: ${message}\n⏰ Time: ${moment(datetime).format('YYYY-MM-DD HH:mm')}\n🆔 ID: ${reminder.id.substring(0, 8)}`
-      );
+      await this.createReminder(phone, parsed, timezone);
       
     } catch (error) {
       logger.error('Error in reminder command:', error);
@@ -287,6 +666,85 @@ What would you like to do today? ✨`;
     }
   }
 
+  // Walks the user through what, when and how often. A message that is
+  // already known skips straight to asking when.
+  async startReminderWizard(phone, message = null) {
+    const timezone = await this.userService.getTimezone(phone);
+    await this.dialogs.start(
+      phone,
+      'reminder_wizard',
+      { message, timezone },
+      message ? { step: 'when' } : {}
+    );
+  }
+
+  // Asks which time was meant when the parser found several readings, or
+  // explains why the time can't be used. Returns true if it replied.
+  async handleUnresolvedTime(phone, parsed, timezone) {
+    if (parsed.alternatives && parsed.alternatives.length > 1) {
+      await this.dialogs.start(phone, 'reminder_time_choice', {
+        message: parsed.message,
+        question: parsed.error,
+        alternatives: parsed.alternatives,
+        timezone
+      });
+      return true;
+    }
+
+    if (parsed.message && parsed.error) {
+      await this.whatsappService.sendMessage(
+        phone,
+        `⚠️ ${parsed.error}. Please try again with a different time.`
+      );
+      return true;
+    }
+
+    return false;
+  }
+
+  describeTimeChoices(question, alternatives, timezone) {
+    const options = alternatives
+      .map((datetime, index) => `${index + 1}. ${this.reminderService.formatTime(datetime, timezone, 'ddd, MMM D [at] h:mm A')}`)
+      .join('\n');
+
+    return `🤔 ${question}\n\n${options}\n\nReply with the number of the right one.`;
+  }
+
+  // Matches a reply like "2", "pm" or "evening" to one of the offered times
+  pickReminderTime(reply, { alternatives, timezone }) {
+    const text = reply.trim().toLowerCase();
+
+    const number = text.match(/^(\d+)\.?$/);
+    if (number) {
+      return alternatives[parseInt(number[1], 10) - 1] || null;
+    }
+
+    const meridiem = text.match(/\b(am|pm|morning|afternoon|evening|night)\b/);
+    if (meridiem) {
+      const wanted = ['am', 'morning'].includes(meridiem[1]) ? 'am' : 'pm';
+      return alternatives.find(datetime => moment.tz(datetime, timezone).format('a') === wanted) || null;
+    }
+
+    return null;
+  }
+
+  // Returns null when the user is over their reminder quota
+  async createReminder(phone, { message, datetime, recurrence }, timezone) {
+    if (!(await this.withinQuota(phone, 'reminder'))) {
+      return null;
+    }
+
+    const reminder = await this.reminderService.setReminder(phone, message, datetime, { timezone, recurrence });
+    const repeats = this.reminderService.describeRecurrence(reminder);
+
+    await this.whatsappService.sendMessage(
+      phone,
+      `✅ Reminder set!\n\n📝 Message: ${message}\n⏰ ${repeats ? 'First' : 'Time'}: ${this.reminderService.formatTime(reminder.datetime, timezone)}${repeats ? `\n🔁 Repeats: ${repeats}` : ''}\n🆔 ID: ${reminder.id.substring(0, 8)}`
+    );
+
+    return reminder;
+  }
+
   async handleListRemindersCommand(phone, args, contact) {
     try {
       const reminders = await this.reminderService.getUserReminders(phone, { status: 'active' });
@@ -302,11 +760,13 @@ What would you like to do today? ✨`;
       let message = '📅 *Your Active Reminders:*\n\n';
       
       reminders.forEach((reminder, index) => {
-        const time = moment(reminder.datetime).format('MMM DD, YYYY HH:mm');
+        const time = this.reminderService.formatTime(reminder.datetime, reminder.timezone, 'MMM DD, YYYY HH:mm z');
         const shortId = reminder.id.substring(0, 8);
-        message += `${index + 1}. 📝 ${reminder.message}\n⏰ ${time}\n🆔 ${shortId}\n\n`;
+        const repeats = this.reminderService.describeRecurrence(reminder);
+        message += `${index + 1}. 📝 ${reminder.message}\n⏰ ${time}\n${repeats ? `🔁 ${repeats}\n` : ''}🆔 ${shortId}\n\n`;
       });
 
+      message += 'To change a reminder, use: /edit [ID] [new text or time]\n';
       message += 'To cancel a reminder, use: /cancel [ID]';
       
       await this.whatsappService.sendMessage(phone, message);
@@ -321,6 +781,11 @@ What would you like to do today? ✨`;
   }
 
   async handleCancelReminderCommand(phone, args, contact) {
+    // A bare /cancel stops the guided steps the user is in
+    if (!args.trim() && await this.dialogs.cancel(phone)) {
+      return;
+    }
+
     if (!args.trim()) {
       await this.whatsappService.sendMessage(
         phone,
@@ -342,11 +807,12 @@ What would you like to do today? ✨`;
         return;
       }
 
-      await this.reminderService.cancelReminder(phone, reminder.id);
+      await this.reminderService.cancelReminder(phone, reminder.id, { scope: 'series' });
+      const seriesNote = this.reminderService.isRecurring(reminder) ? '\n🔁 The whole recurring series was cancelled.' : '';
       
       await this.whatsappService.sendMessage(
         phone,
-        `✅ Reminder cancelled!\n\n📝 "${reminder.message}"\n⏰ Was scheduled for: ${moment(reminder.datetime).format('MMM DD, YYYY HH:mm')}`
+        `✅ Reminder cancelled!\n\n📝 "${reminder.message}"\n⏰ Was scheduled for: ${this.reminderService.formatTime(reminder.datetime, reminder.timezone, 'MMM DD, YYYY HH:mm z')}${seriesNote}`
       );
       
     } catch (error) {
@@ -358,6 +824,158 @@ What would you like to do today? ✨`;
     }
   }
 
+  async handleSkipReminderCommand(phone, args, contact) {
+    if (!args.trim()) {
+      await this.whatsappService.sendMessage(
+        phone,
+        '⏭️ Please provide the reminder ID.\n\nExample: /skip 12345678'
+      );
+      return;
+    }
+
+    try {
+      const userReminders = await this.reminderService.getUserReminders(phone, { status: 'active' });
+      const reminder = userReminders.find(r => r.id.startsWith(args.trim()));
+
+      if (!reminder) {
+        await this.whatsappService.sendMessage(
+          phone,
+          '❌ Reminder not found. Use /reminders to see your active reminders.'
+        );
+        return;
+      }
+
+      if (!this.reminderService.isRecurring(reminder)) {
+        await this.whatsappService.sendMessage(
+          phone,
+          '⚠️ That reminder doesn\'t repeat. Use /cancel to cancel it instead.'
+        );
+        return;
+      }
+
+      const { next } = await this.reminderService.cancelReminder(phone, reminder.id, { scope: 'occurrence' });
+      const nextNote = next
+        ? `⏭️ Next one: ${this.reminderService.formatTime(next.datetime, next.timezone, 'MMM DD, YYYY HH:mm z')}\n🆔 ID: ${next.id.substring(0, 8)}`
+        : '🏁 That was the last one in the series.';
+
+      await this.whatsappService.sendMessage(
+        phone,
+        `✅ Skipped "${reminder.message}" on ${this.reminderService.formatTime(reminder.datetime, reminder.timezone, 'MMM DD, YYYY HH:mm z')}.\n\n${nextNote}`
+      );
+    } catch (error) {
+      logger.error('Error skipping reminder:', error);
+      await this.whatsappService.sendMessage(
+        phone,
+        '⚠️ Sorry, I couldn\'t skip the reminder. Please try again.'
+      );
+    }
+  }
+
+  async handleEditReminderCommand(phone, args, contact) {
+    const [idPrefix, ...rest] = args.trim().split(/\s+/);
+    const change = rest.join(' ');
+
+    if (!idPrefix || !change) {
+      await this.whatsappService.sendMessage(
+        phone,
+        '✏️ Please provide the reminder ID and the change.\n\nExamples:\n• /edit 12345678 Call dad instead\n• /edit 12345678 tomorrow at 9:30am\n• /edit 12345678 Call dad at 18:00'
+      );
+      return;
+    }
+
+    try {
+      const userReminders = await this.reminderService.getUserReminders(phone);
+      const reminder = userReminders.find(r => r.id.startsWith(idPrefix) && r.status !== 'cancelled' && !this.reminderService.isDelivered(r));
+
+      if (!reminder) {
+        await this.whatsappService.sendMessage(
+          phone,
+          '❌ Reminder not found. Use /reminders to see your active reminders.'
+        );
+        return;
+      }
+
+      const updates = this.parseReminderEdit(change, reminder.timezone);
+      const updated = await this.reminderService.updateReminder(phone, reminder.id, updates);
+
+      await this.whatsappService.sendMessage(
+        phone,
+        `✅ Reminder updated!\n\n📝 Message: ${updated.message}\n⏰ Time: ${this.reminderService.formatTime(updated.datetime, updated.timezone)}\n🆔 ID: ${updated.id.substring(0, 8)}`
+      );
+    } catch (error) {
+      logger.error('Error editing reminder:', error);
+      await this.whatsappService.sendMessage(
+        phone,
+        error.statusCode === 400
+          ? `⚠️ ${error.message.replace('Failed to update reminder: ', '')}`
+          : '⚠️ Sorry, I couldn\'t update the reminder. Please try again.'
+      );
+    }
+  }
+
+  async handleTimezoneCommand(phone, args, contact) {
+    try {
+      const requested = args.trim();
+
+      if (!requested) {
+        const { timezone, source } = await this.userService.getTimezoneInfo(phone);
+        const sourceNote = source === 'user' ? '' : source === 'phone'
+          ? ' (guessed from your phone number)'
+          : ' (default)';
+
+        await this.whatsappService.sendMessage(
+          phone,
+          `🌍 Your timezone is *${timezone}*${sourceNote}.\n🕒 Local time: ${moment.tz(timezone).format('YYYY-MM-DD HH:mm')}\n\nChange it with: /timezone Europe/Istanbul`
+        );
+        return;
+      }
+
+      const timezone = requested.toLowerCase() === 'auto'
+        ? await this.userService.clearTimezone(phone)
+        : await this.userService.setTimezone(phone, requested);
+
+      await this.whatsappService.sendMessage(
+        phone,
+        `✅ Timezone set to *${timezone}*.\n🕒 Local time: ${moment.tz(timezone).format('YYYY-MM-DD HH:mm')}\n\nNew reminders will use this timezone.`
+      );
+    } catch (error) {
+      logger.error('Error in timezone command:', error);
+      await this.whatsappService.sendMessage(
+        phone,
+        '⚠️ I don\'t know that timezone. Please use a name like Europe/Istanbul, America/New_York or Asia/Dubai, or /timezone auto to guess it from your number.'
+      );
+    }
+  }
+
+  async handleVoiceCommand(phone, args, contact) {
+    try {
+      const choice = args.trim().toLowerCase();
+
+      if (!['on', 'off'].includes(choice)) {
+        const enabled = await this.userService.getVoiceReplies(phone);
+        await this.whatsappService.sendMessage(
+          phone,
+          `🔊 Spoken replies are *${enabled ? 'on' : 'off'}*.\n\nUse /voice on to get my answers as voice notes, or /voice off for text.`
+        );
+        return;
+      }
+
+      const enabled = await this.userService.setVoiceReplies(phone, choice === 'on');
+      await this.whatsappService.sendMessage(
+        phone,
+        enabled
+          ? '🔊 Spoken replies are on. I\'ll answer your chats and questions with voice notes.'
+          : '💬 Spoken replies are off. I\'ll answer in text.'
+      );
+    } catch (error) {
+      logger.error('Error in voice command:', error);
+      await this.whatsappService.sendMessage(
+        phone,
+        '⚠️ Sorry, I couldn\'t change your reply setting. Please try again.'
+      );
+    }
+  }
+
   async handleChatCommand(phone, args, contact) {
     if (!args.trim()) {
       await this.whatsappService.sendMessage(
@@ -368,8 +986,12 @@ What would you like to do today? ✨`;
     }
 
     try {
+      if (!(await this.withinQuota(phone, 'chat'))) {
+        return;
+      }
+
       const response = await this.mistralService.chat(phone, args);
-      await this.whatsappService.sendMessage(phone, response);
+      await this.sendReply(phone, response);
     } catch (error) {
       logger.error('Error in chat command:', error);
       await this.whatsappService.sendMessage(
@@ -391,13 +1013,14 @@ What would you like to do today? ✨`;
     }
 
     try {
+      if (!(await this.withinQuota(phone, 'translate'))) {
+        return;
+      }
+
       const [, text, targetLanguage] = translateMatch;
-      const translation = await this.mistralService.translateText(text.trim(), targetLanguage.trim());
+      const translation = await this.mistralService.translateText(text.trim(), targetLanguage.trim(), { phone });
       
-      await this.whatsappService.sendMessage(
-        phone,
-        `🌍 *Translation to ${targetLanguage}:*\n\n${translation}`
-      );
+      await this.sendReply(phone, translation, { title: `🌍 *Translation to ${targetLanguage}:*` });
     } catch (error) {
       logger.error('Error in translate command:', error);
       await this.whatsappService.sendMessage(
@@ -417,11 +1040,12 @@ What would you like to do today? ✨`;
     }
 
     try {
-      const summary = await this.mistralService.summarizeText(args);
-      await this.whatsappService.sendMessage(
-        phone,
-        `📝 *Summary:*\n\n${summary}`
-      );
+      if (!(await this.withinQuota(phone, 'chat'))) {
+        return;
+      }
+
+      const summary = await this.mistralService.summarizeText(args, { phone });
+      await this.sendReply(phone, summary, { title: '📝 *Summary:*', filename: 'summary.txt' });
     } catch (error) {
       logger.error('Error in summarize command:', error);
       await this.whatsappService.sendMessage(
@@ -433,10 +1057,14 @@ What would you like to do today? ✨`;
 
   async handleJokeCommand(phone, args, contact) {
     try {
+      if (!(await this.withinQuota(phone, 'chat'))) {
+        return;
+      }
+
       const topic = args.trim() || 'general';
-      const joke = await this.mistralService.generateCreativeContent('joke', topic);
+      const joke = await this.mistralService.generateCreativeContent('joke', topic, { phone });
       
-      await this.whatsappService.sendMessage(phone, `😄 ${joke}`);
+      await this.sendReply(phone, `😄 ${joke}`);
     } catch (error) {
       logger.error('Error in joke command:', error);
       await this.whatsappService.sendMessage(
@@ -456,8 +1084,12 @@ What would you like to do today? ✨`;
     }
 
     try {
-      const story = await this.mistralService.generateCreativeContent('story', args, { length: 'medium' });
-      await this.whatsappService.sendMessage(phone, `📚 *Story: ${args}*\n\n${story}`);
+      if (!(await this.withinQuota(phone, 'chat'))) {
+        return;
+      }
+
+      const story = await this.mistralService.generateCreativeContent('story', args, { length: 'medium', phone });
+      await this.sendReply(phone, story, { title: `📚 *Story: ${args}*`, filename: 'story.txt' });
     } catch (error) {
       logger.error('Error in story command:', error);
       await this.whatsappService.sendMessage(
@@ -469,7 +1101,7 @@ What would you like to do today? ✨`;
 
   async handleClearHistoryCommand(phone, args, contact) {
     try {
-      this.mistralService.clearConversationHistory(phone);
+      await this.mistralService.clearConversationHistory(phone);
       await this.whatsappService.sendMessage(
         phone,
         '🧹 Your conversation history has been cleared. We can start fresh!'
@@ -485,10 +1117,15 @@ What would you like to do today? ✨`;
 
   async handleStatsCommand(phone, args, contact) {
     try {
-      const reminderStats = this.reminderService.getStats();
+      const reminderStats = await this.reminderService.getStats();
+      const account = await this.accountService.getAccount(phone);
       
       const statsMessage = `📊 *Bot Statistics:*
 
+💳 *Your account:*
+• Plan: ${PLAN_NAMES[account.plan]}
+• Credits: ${account.metered ? account.balance : 'unlimited'}
+
 ⏰ *Reminders:*
 • Total: ${reminderStats.total}
 • Active: ${reminderStats.active}
@@ -510,49 +1147,150 @@ Thank you for using Advanced WhatsApp Bot! 🚀`;
     }
   }
 
-  // Natural language handlers
-  async handleImageGenerationFromText(phone, message) {
-    const prompt = message.replace(/generate image|create image|draw|picture|image of/gi, '').trim();
-    if (prompt) {
-      await this.handleImageCommand(phone, prompt, null);
-    } else {
+  async handleQuotaCommand(phone, args, contact) {
+    try {
+      const plan = await this.accountService.getPlan(phone);
+      const lines = await this.describeQuotas(phone, plan);
+
+      await this.whatsappService.sendMessage(
+        phone,
+        `📊 *Your usage (${PLAN_NAMES[plan]} plan):*\n\n${lines.length > 0 ? lines.join('\n') : 'Your plan has no usage limits.'}`
+      );
+    } catch (error) {
+      logger.error('Error in quota command:', error);
+      await this.whatsappService.sendMessage(
+        phone,
+        '⚠️ Sorry, I couldn\'t check your usage. Please try again.'
+      );
+    }
+  }
+
+  // One line per quota of the user's plan, e.g. "💬 AI chat: 28 of 30 left,
+  // resets in 12 minutes" (also used by /admin user)
+  async describeQuotas(phone, plan) {
+    const timezone = await this.userService.getTimezone(phone);
+    const lines = [];
+
+    for (const [operation, { label }] of Object.entries(QUOTAS)) {
+      const points = await getRemainingPoints(phone, operation, plan);
+      if (!points) {
+        continue;
+      }
+
+      const resets = points.remaining < points.total ? `, resets ${this.describeQuotaReset(points.resetTime, timezone)}` : '';
+      lines.push(`${label}: ${points.remaining} of ${points.total} left${resets}`);
+    }
+
+    return lines;
+  }
+
+  // Checks the user can pay for `operation` and uses up one point of their
+  // plan's quota for it. Without enough credits, or over the quota, the user
+  // is told why, and false is returned.
+  async withinQuota(phone, operation) {
+    if (!(await this.accountService.canAfford(phone, operation))) {
+      const balance = await this.accountService.getBalance(phone);
       await this.whatsappService.sendMessage(
         phone,
-        '🎨 What image would you like me to generate? Please describe it.'
+        `💳 You don't have enough credits for ${QUOTAS[operation].name} (balance: ${balance}).\n\nType /stats to see your account.`
       );
+      return false;
+    }
+
+    try {
+      return await checkUserLimits(phone, operation, await this.accountService.getPlan(phone));
+    } catch (error) {
+      if (error.statusCode !== 429) {
+        throw error;
+      }
+
+      const timezone = await this.userService.getTimezone(phone);
+      await this.whatsappService.sendMessage(
+        phone,
+        `⏳ You've reached your limit for ${QUOTAS[operation].name}. It resets ${this.describeQuotaReset(error.resetTime, timezone)}.\n\nType /quota to see your remaining usage.`
+      );
+      return false;
+    }
+  }
+
+  // "in 12 minutes", "at 4:30 PM EDT" or "on Tue, Oct 20 at 9:00 AM EDT"
+  describeQuotaReset(resetTime, timezone) {
+    const reset = moment.tz(resetTime, timezone);
+    const minutes = Math.max(1, Math.ceil(reset.diff(moment(), 'minutes', true)));
+
+    if (minutes <= 60) {
+      return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    return reset.isSame(moment.tz(timezone), 'day')
+      ? `at ${reset.format('h:mm A z')}`
+      : `on ${reset.format('ddd, MMM D [at] h:mm A z')}`;
+  }
+
+  // Natural language handlers
+  async handleImageGenerationFromText(phone, message, slots = {}) {
+    const prompt = slots.prompt || this.intentService.imageSlots(message).prompt;
+    if (prompt) {
+      await this.generateImage(phone, prompt);
+    } else {
+      await this.dialogs.start(phone, 'image_wizard');
     }
   }
 
-  async handleReminderFromText(phone, message) {
+  async handleReminderFromText(phone, message, slots = {}) {
     try {
-      const { message: reminderText, datetime } = this.parseReminderText(message);
-      if (reminderText && datetime) {
-        await this.handleReminderCommand(phone, `${reminderText} at ${datetime}`, null);
+      const timezone = await this.userService.getTimezone(phone);
+      let parsed = this.parseReminderText(message, timezone);
+
+      // The classifier may have pulled out what and when from a phrasing
+      // the reminder parser doesn't follow
+      if (!parsed.message && slots.reminder && slots.time) {
+        parsed = this.parseReminderText(`${slots.reminder} ${slots.time}`, timezone);
+      }
+      if (await this.handleUnresolvedTime(phone, parsed, timezone)) {
+        return;
+      }
+
+      if (parsed.message && parsed.datetime) {
+        await this.createReminder(phone, parsed, timezone);
       } else {
-        await this.whatsappService.sendMessage(
-          phone,
-          '⏰ I understand you want to set a reminder. Please specify what and when.\n\nExample: "Remind me to call mom at 3pm"'
-        );
+        // "Remind me to call mom" without a time: ask for the rest
+        const what = slots.reminder || this.intentService.reminderSlots(message).reminder;
+        await this.startReminderWizard(phone, what || null);
       }
     } catch (error) {
       await this.handleReminderCommand(phone, message.replace(/remind me/gi, '').trim(), null);
     }
   }
 
+  async handleTranslationFromText(phone, message, slots = {}) {
+    const { text, language } = slots.text && slots.language ? slots : this.intentService.translationSlots(message);
+    if (!text || !language) {
+      await this.handleTranslateCommand(phone, '', null);
+      return;
+    }
+
+    await this.handleTranslateCommand(phone, `${text} to ${language}`, null);
+  }
+
   async handleQuestionFromText(phone, message) {
+    if (!(await this.withinQuota(phone, 'chat'))) {
+      return;
+    }
+
     try {
-      const answer = await this.mistralService.answerQuestion(message);
-      await this.whatsappService.sendMessage(phone, answer);
+      const answer = await this.mistralService.answerQuestion(message, null, { phone });
+      await this.sendReply(phone, answer);
     } catch (error) {
-      await this.handleChatFromText(phone, message);
+      await this.replyWithChat(phone, message);
     }
   }
 
   async handleGreeting(phone, contact) {
+    const name = contact && contact.name ? ` ${contact.name}` : '';
     const greetings = [
-      `👋 Hello ${contact.name}! How can I help you today?`,
+      `👋 Hello${name}! How can I help you today?`,
       `Hi there! 😊 What would you like to do?`,
-      `Hey ${contact.name}! Ready for some AI magic? ✨`,
+      `Hey${name}! Ready for some AI magic? ✨`,
       `Hello! I'm here to help with images, reminders, or just to chat! 🤖`
     ];
     
@@ -561,9 +1299,16 @@ Thank you for using Advanced WhatsApp Bot! 🚀`;
   }
 
   async handleChatFromText(phone, message) {
+    if (await this.withinQuota(phone, 'chat')) {
+      await this.replyWithChat(phone, message);
+    }
+  }
+
+  // Answers from the conversation; the caller has checked the chat quota
+  async replyWithChat(phone, message) {
     try {
       const response = await this.mistralService.chat(phone, message);
-      await this.whatsappService.sendMessage(phone, response);
+      await this.sendReply(phone, response);
     } catch (error) {
       logger.error('Error in natural chat:', error);
       await this.whatsappService.sendMessage(
@@ -573,34 +1318,28 @@ Thank you for using Advanced WhatsApp Bot! 🚀`;
     }
   }
 
-  parseReminderText(text) {
+  parseReminderText(text, timezone = 'UTC') {
     try {
+      const recurrence = extractRecurrence(text, timezone);
+      if (recurrence) {
+        return this.parseRecurringReminderText(recurrence, timezone);
+      }
+
       // Extract reminder message and time
-      const atMatch = text.match(/(.+?)\s+at\s+(.+)/i);
-      const inMatch = text.match(/(.+?)\s+in\s+(.+)/i);
-      const onMatch = text.match(/(.+?)\s+on\s+(.+)/i);
-      
-      let reminderMessage, timeString;
-      
-      if (atMatch) {
-        [, reminderMessage, timeString] = atMatch;
-      } else if (inMatch) {
-        [, reminderMessage, timeString] = inMatch;
-      } else if (onMatch) {
-        [, reminderMessage, timeString] = onMatch;
-      } else {
+      const cleaned = text.replace(/remind me to|remind me|reminder/gi, '').trim();
+      const parsed = extractTimeExpression(cleaned, { timezone });
+
+      if (parsed.status === 'unrecognized' || !parsed.message) {
         return { message: null, datetime: null };
       }
-      
-      // Clean up the message
-      reminderMessage = reminderMessage.replace(/remind me to|remind me|reminder/gi, '').trim();
-      
-      // Parse the time
-      const datetime = this.reminderService.parseNaturalLanguageTime(timeString);
-      
+
+      // Ambiguous, past and impossible times come back with an error and,
+      // when the user has to choose, the alternatives
       return {
-        message: reminderMessage,
-        datetime: datetime.toISOString()
+        message: parsed.message,
+        datetime: parsed.status === 'ok' ? parsed.datetime.toISOString() : null,
+        alternatives: parsed.alternatives.map(datetime => datetime.toISOString()),
+        error: parsed.status === 'ok' ? null : parsed.error
       };
     } catch (error) {
       logger.error('Error parsing reminder text:', error);
@@ -608,28 +1347,137 @@ Thank you for using Advanced WhatsApp Bot! 🚀`;
     }
   }
 
-  async handleStateBasedMessage(phone, message, state) {
-    // Handle multi-step interactions
-    // This can be extended for complex workflows
-    switch (state.type) {
-      case 'image_details':
-        // Handle additional image generation details
-        break;
-      case 'reminder_confirmation':
-        // Handle reminder confirmation
-        break;
-      default:
-        this.userStates.delete(phone);
-        await this.handleNaturalMessage(phone, message, null);
+  // "standup at 9am" left over after the recurrence phrase was removed. The
+  // time of day becomes part of the rule (9am when none is given) and the
+  // first reminder is the first matching occurrence from now.
+  parseRecurringReminderText({ rule, text }, timezone) {
+    let reminderMessage = text;
+    let timeOfDay = { hour: 9, minute: 0 };
+
+    const atMatch = text.match(/^(.*)\s+at\s+(.+)$/i) || text.match(/^()at\s+(.+)$/i);
+    if (atMatch && parseTimeOfDay(atMatch[2])) {
+      reminderMessage = atMatch[1];
+      timeOfDay = parseTimeOfDay(atMatch[2]);
+    }
+
+    reminderMessage = reminderMessage.replace(/remind me to|remind me|reminder/gi, '').trim();
+
+    const recurrence = { ...rule, ...timeOfDay };
+    const first = firstOccurrence(recurrence, timezone);
+
+    return {
+      message: reminderMessage || null,
+      datetime: first ? first.toISOString() : null,
+      recurrence
+    };
+  }
+
+  // Works out whether an /edit argument is a new time, a new text and time,
+  // or just a new text. Times that didn't parse cleanly are passed on as
+  // written so the service reports why (e.g. "Did you mean 5 AM or 5 PM?").
+  parseReminderEdit(text, timezone = 'UTC') {
+    const time = parseTimeExpression(text, { timezone });
+    if (time.status !== 'unrecognized') {
+      return { datetime: time.status === 'ok' ? time.datetime.toISOString() : text };
+    }
+
+    const parsed = extractTimeExpression(text, { timezone });
+    if (parsed.status !== 'unrecognized' && parsed.message) {
+      return { message: parsed.message, datetime: parsed.status === 'ok' ? parsed.datetime.toISOString() : parsed.text };
+    }
+
+    return { message: text };
+  }
+
+  // Remembers the reminder that was just delivered so that a plain "done" or
+  // "snooze 10m" reply can be tied back to it. Other dialogs in progress
+  // (e.g. the reminder wizard) are not interrupted.
+  async trackDeliveredReminder(reminder) {
+    const current = await this.dialogs.get(reminder.phone);
+    if (current && current.flow !== 'reminder_delivered') {
+      return;
+    }
+
+    await this.dialogs.start(reminder.phone, 'reminder_delivered', { reminderId: reminder.id });
+  }
+
+  // "done", "snooze", "snooze 10m", "snooze for 2 hours", "snooze until
+  // tomorrow". The snooze time is parsed by the reminder service.
+  parseReminderAction(text) {
+    const trimmed = text.trim().toLowerCase().replace(/[.!]+$/, '');
+
+    if (/^(done|ok|okay|got it|finished|complete|completed|ack|✅|👍)$/.test(trimmed)) {
+      return { type: 'done' };
+    }
+
+    const snooze = trimmed.match(/^snooze\b\s*(.*)$/);
+    if (!snooze) {
+      return null;
+    }
+
+    const when = snooze[1].trim();
+    if (!when) {
+      return { type: 'snooze', until: null };
+    }
+
+    const until = when.match(/^(?:until|till|til|to)\s+(.+)$/);
+    if (until) {
+      return { type: 'snooze', until: until[1] };
+    }
+
+    const duration = when.replace(/^for\s+/, '');
+    return { type: 'snooze', until: /^(\d|an?\b|half\b)/.test(duration) ? `in ${duration}` : duration };
+  }
+
+  async handleReminderButton(phone, buttonId) {
+    const [, actionName, reminderId] = buttonId.split(':');
+    const snooze = (actionName || '').match(/^snooze-(.+)$/);
+
+    if (actionName === 'done') {
+      await this.applyReminderAction(phone, reminderId, { type: 'done' });
+    } else if (snooze) {
+      await this.applyReminderAction(phone, reminderId, { type: 'snooze', until: `in ${snooze[1]}` });
+    } else {
+      logger.warn(`Unknown reminder button from ${phone}: ${buttonId}`);
     }
   }
 
-  setUserState(phone, state) {
-    this.userStates.set(phone, state);
+  async applyReminderAction(phone, reminderId, action) {
+    try {
+      if (action.type === 'done') {
+        await this.reminderService.acknowledgeReminder(phone, reminderId);
+        await this.whatsappService.sendMessage(phone, '✅ Great, marked as done!');
+      } else {
+        const followUp = await this.reminderService.snoozeReminder(phone, reminderId, action.until);
+        await this.whatsappService.sendMessage(
+          phone,
+          `⏰ Snoozed until ${this.reminderService.formatTime(followUp.datetime, followUp.timezone, 'ddd, MMM D [at] HH:mm z')}.\n🆔 ID: ${followUp.id.substring(0, 8)}`
+        );
+      }
+
+      await this.forgetDeliveredReminder(phone, reminderId);
+    } catch (error) {
+      logger.error('Error handling reminder reply:', error);
+
+      if (error.statusCode === 409) {
+        await this.forgetDeliveredReminder(phone, reminderId);
+      }
+
+      const reason = error.message.replace(/^Failed to \w+ reminder: /, '');
+      await this.whatsappService.sendMessage(
+        phone,
+        error.statusCode === 400 ? `⚠️ ${reason}`
+          : error.statusCode === 409 ? `ℹ️ ${reason}.`
+            : '⚠️ Sorry, I couldn\'t update the reminder. Please try again.'
+      );
+    }
   }
 
-  clearUserState(phone) {
-    this.userStates.delete(phone);
+  async forgetDeliveredReminder(phone, reminderId) {
+    const dialog = await this.dialogs.get(phone);
+    if (dialog && dialog.flow === 'reminder_delivered' && dialog.data.reminderId === reminderId) {
+      await this.dialogs.cancel(phone, { silent: true });
+    }
   }
 }
 
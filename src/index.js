@@ -4,6 +4,7 @@ const helmet = require('helmet');
 const dotenv = require('dotenv');
 const winston = require('winston');
 const cron = require('node-cron');
+const axios = require('axios');
 
 // Load environment variables
 dotenv.config();
@@ -13,26 +14,61 @@ const WhatsAppService = require('./services/whatsappService');
 const StabilityService = require('./services/stabilityService');
 const MistralService = require('./services/mistralService');
 const ReminderService = require('./services/reminderService');
+const UserService = require('./services/userService');
+const AccountService = require('./services/accountService');
+const MediaService = require('./services/mediaService');
+const JobQueueService = require('./services/jobQueueService');
+const DeliveryStatusService = require('./services/deliveryStatusService');
 const MessageHandler = require('./handlers/messageHandler');
-const { rateLimiter } = require('./middleware/rateLimiter');
+const { rateLimiter, checkUserLimits } = require('./middleware/rateLimiter');
+const { webhookAuth, metaWebhookAuth, telegramWebhookAuth } = require('./middleware/webhookAuth');
+const { adminAuth } = require('./middleware/adminAuth');
 const logger = require('./utils/logger');
+const providerMetrics = require('./utils/providerMetrics');
+
+// Time every provider call made through axios (see /admin stats)
+providerMetrics.instrument(axios);
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a proxy (e.g. Vercel) req.ip should be the client address
+// (true, a hop count or a list of proxy addresses)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body around for webhook signature checks
+app.use(express.json({ limit: '50mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Initialize services
 const whatsappService = new WhatsAppService();
-const stabilityService = new StabilityService();
+const mediaService = new MediaService();
+const stabilityService = new StabilityService(mediaService);
 const mistralService = new MistralService();
 const reminderService = new ReminderService();
-const messageHandler = new MessageHandler(whatsappService, stabilityService, mistralService, reminderService);
+const userService = new UserService();
+const accountService = new AccountService(userService);
+const messageHandler = new MessageHandler(whatsappService, stabilityService, mistralService, reminderService, { userService, accountService });
+const deliveryStatus = new DeliveryStatusService(whatsappService.outboundLog, reminderService, userService);
+
+// Slow AI work runs in the background; webhooks only queue it
+const jobQueue = new JobQueueService();
+jobQueue.register('generate_image', async ({ prompt, phone }) => {
+  const imageUrl = await stabilityService.generateImage(prompt, { phone });
+  if (phone) {
+    await whatsappService.sendImage(phone, imageUrl, `Generated image: ${prompt}`);
+  }
+  return { imageUrl };
+});
+messageHandler.setJobQueue(jobQueue);
+jobQueue.start();
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -54,21 +90,68 @@ app.get('/health', (req, res) => {
   });
 });
 
-// SendPulse webhook endpoint for incoming messages
-app.post('/webhook/sendpulse', rateLimiter, async (req, res) => {
+// Incoming messages from a channel. Each message is queued and the webhook
+// acknowledged at once; redeliveries get the original job. Delivery receipts
+// sent to the same webhook (WhatsApp Cloud API) are applied as well.
+const receiveWebhook = (channel) => async (req, res) => {
   try {
-    logger.info('Received webhook from SendPulse:', req.body);
+    logger.info(`Received webhook from ${channel}:`, req.body);
     
-    // Process the incoming message
-    await messageHandler.handleIncomingMessage(req.body);
+    const updated = await deliveryStatus.apply(channel, whatsappService.extractStatuses(req.body, channel));
+
+    const results = [];
+    for (const event of whatsappService.extractEvents(req.body, channel)) {
+      const result = await messageHandler.enqueueIncomingMessage(event, channel);
+      if (result) {
+        results.push(result);
+      }
+    }
     
-    res.status(200).json({ status: 'success' });
+    if (results.length === 0) {
+      return res.status(200).json(updated > 0 ? { status: 'success', updated } : { status: 'ignored' });
+    }
+    // One job ID per message; batches (WhatsApp Cloud) get a list
+    const jobIds = results.map(result => (result.outcome ? result.outcome.job_id : null));
+    res.status(200).json({
+      status: results.every(result => result.duplicate) ? 'duplicate' : 'success',
+      ...(jobIds.length === 1 ? { jobId: jobIds[0] } : { jobIds })
+    });
   } catch (error) {
-    logger.error('Error processing webhook:', error);
+    logger.error(`Error processing ${channel} webhook:`, error);
     res.status(500).json({ status: 'error', message: 'Internal server error' });
   }
+};
+
+// SendPulse webhook endpoint for incoming messages
+app.post('/webhook/sendpulse', rateLimiter, webhookAuth, receiveWebhook('sendpulse'));
+
+// SendPulse delivery receipts (sent/delivered/read/failed), signed like the
+// message webhook
+app.post('/webhook/sendpulse/status', rateLimiter, webhookAuth, async (req, res) => {
+  try {
+    const updated = await deliveryStatus.apply('sendpulse', whatsappService.extractStatuses(req.body, 'sendpulse'));
+    res.status(200).json({ status: updated > 0 ? 'success' : 'ignored', updated });
+  } catch (error) {
+    logger.error('Error processing sendpulse status webhook:', error);
+    res.status(500).json({ status: 'error', message: 'Internal server error' });
+  }
+});
+
+// WhatsApp Cloud API: Meta checks the verify token before subscribing
+app.get('/webhook/whatsapp', (req, res) => {
+  const challenge = whatsappService.getChannel('whatsapp_cloud').verifySubscription(req.query);
+  
+  if (challenge === null) {
+    return res.status(403).json({ status: 'error', message: 'Invalid verify token' });
+  }
+  res.status(200).type('text/plain').send(challenge);
 });
 
+app.post('/webhook/whatsapp', rateLimiter, metaWebhookAuth, receiveWebhook('whatsapp_cloud'));
+
+// Telegram Bot API updates
+app.post('/webhook/telegram', rateLimiter, telegramWebhookAuth, receiveWebhook('telegram'));
+
 // Manual send message endpoint (for testing)
 app.post('/send-message', rateLimiter, async (req, res) => {
   try {
@@ -89,8 +172,9 @@ app.post('/send-message', rateLimiter, async (req, res) => {
   }
 });
 
-// Generate image endpoint
-app.post('/generate-image', rateLimiter, async (req, res) => {
+// Generate image endpoint (admin only). With a phone, the image is sent to
+// that user and charged to them, within their credits and image quota.
+app.post('/generate-image', adminAuth, async (req, res) => {
   try {
     const { prompt, phone } = req.body;
     
@@ -100,16 +184,204 @@ app.post('/generate-image', rateLimiter, async (req, res) => {
         message: 'Prompt is required' 
       });
     }
-    
-    const imageUrl = await stabilityService.generateImage(prompt);
-    
+
     if (phone) {
-      await whatsappService.sendImage(phone, imageUrl, `Generated image: ${prompt}`);
+      if (!(await accountService.canAfford(phone, 'image'))) {
+        return res.status(402).json({ status: 'error', message: 'Not enough credits for an image' });
+      }
+      await checkUserLimits(phone, 'image', await accountService.getPlan(phone));
     }
     
-    res.json({ status: 'success', imageUrl });
+    // Generation can outlast the request; poll the job for the image URL
+    const job = await jobQueue.enqueue('generate_image', { prompt, phone: phone || null }, { group: phone || null });
+    
+    res.status(202).json({ status: 'queued', jobId: job.id, statusUrl: `/jobs/${job.id}` });
   } catch (error) {
     logger.error('Error generating image:', error);
+    if (error.retryAfter) {
+      res.set('Retry-After', error.retryAfter);
+    }
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Status of a background job
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ status: 'error', message: 'Job not found' });
+    }
+    
+    // Payloads carry user messages and are not exposed
+    const { payload, worker, lease_until, ...details } = job;
+    res.json({ status: 'success', job: details });
+  } catch (error) {
+    logger.error('Error getting job:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Messages the bot sent, newest first (admin only). Filter with ?to=,
+// ?channel=, ?status=sent|delivered|read|failed and ?limit=.
+app.get('/admin/outbound-messages', adminAuth, async (req, res) => {
+  try {
+    const { to, channel, status, limit } = req.query;
+    const messages = await whatsappService.outboundLog.list({ to, channel, status, limit });
+    res.json({ status: 'success', messages });
+  } catch (error) {
+    logger.error('Error listing outbound messages:', error);
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// A user's plan, credit balance and latest ledger entries (admin only)
+app.get('/admin/accounts/:phone', adminAuth, async (req, res) => {
+  try {
+    const account = await accountService.getAccount(req.params.phone);
+    const ledger = await accountService.getLedger(req.params.phone, { limit: req.query.limit });
+    res.json({ status: 'success', account, ledger });
+  } catch (error) {
+    logger.error('Error getting account:', error);
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Adds credits to a user's balance: { amount, reason }
+app.post('/admin/accounts/:phone/credits', adminAuth, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    const { entry, account } = await accountService.grant(req.params.phone, amount, { reason, by: 'admin-api' });
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action: 'grant_credits', target: req.params.phone, details: { amount: entry.amount, reason: reason || null } });
+    res.json({ status: 'success', account, entry });
+  } catch (error) {
+    logger.error('Error granting credits:', error);
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action: 'grant_credits', target: req.params.phone, details: { error: error.message }, outcome: error.statusCode === 400 ? 'invalid' : 'error' });
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Moves a user to another plan: { plan: 'free' | 'pro' | 'admin' }
+app.put('/admin/accounts/:phone/plan', adminAuth, async (req, res) => {
+  try {
+    const account = await accountService.setPlan(req.params.phone, req.body.plan, { by: 'admin-api' });
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action: 'set_plan', target: req.params.phone, details: { plan: account.plan } });
+    res.json({ status: 'success', account });
+  } catch (error) {
+    logger.error('Error setting plan:', error);
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action: 'set_plan', target: req.params.phone, details: { error: error.message }, outcome: error.statusCode === 400 ? 'invalid' : 'error' });
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Announcements to all users or a segment (admin only):
+// { name, message } or { name, template, variables }, with an optional
+// filter: { tags, plans, active_since, active_before }
+app.post('/admin/broadcasts', adminAuth, async (req, res) => {
+  const { name, message, template, variables, filter } = req.body;
+
+  try {
+    const campaign = await messageHandler.broadcasts.create({ name, message, template, variables, filter, createdBy: 'admin-api' });
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action: 'broadcast', target: campaign.id, details: { name: campaign.name, recipients: campaign.progress.total } });
+    res.status(201).json({ status: 'success', campaign });
+  } catch (error) {
+    logger.error('Error creating broadcast:', error);
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action: 'broadcast', details: { error: error.message }, outcome: error.statusCode === 400 ? 'invalid' : 'error' });
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Broadcasts with their progress, newest first. Filter with ?status= and ?limit=.
+app.get('/admin/broadcasts', adminAuth, async (req, res) => {
+  try {
+    const campaigns = await messageHandler.broadcasts.listCampaigns({ status: req.query.status, limit: req.query.limit });
+    res.json({ status: 'success', campaigns });
+  } catch (error) {
+    logger.error('Error listing broadcasts:', error);
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// A broadcast with the result for each recipient
+app.get('/admin/broadcasts/:id', adminAuth, async (req, res) => {
+  try {
+    const campaign = await messageHandler.broadcasts.getCampaign(req.params.id);
+    res.json({ status: 'success', campaign });
+  } catch (error) {
+    logger.error('Error getting broadcast:', error);
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Pause, resume or cancel a broadcast
+app.post('/admin/broadcasts/:id/:action(pause|resume|cancel)', adminAuth, async (req, res) => {
+  const { id, action } = req.params;
+
+  try {
+    const campaign = await messageHandler.broadcasts[action](id);
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action, target: campaign.id });
+    res.json({ status: 'success', campaign });
+  } catch (error) {
+    logger.error(`Error trying to ${action} broadcast:`, error);
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action, target: id, details: { error: error.message }, outcome: [404, 409].includes(error.statusCode) ? 'invalid' : 'error' });
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Replaces a user's tags, used to pick broadcast recipients: { tags: [...] }
+app.put('/admin/users/:phone/tags', adminAuth, async (req, res) => {
+  try {
+    const tags = await userService.setTags(req.params.phone, req.body.tags);
+    await messageHandler.auditLog.record({ actor: 'admin-api', source: 'api', action: 'set_tags', target: req.params.phone, details: { tags } });
+    res.json({ status: 'success', phone: req.params.phone, tags });
+  } catch (error) {
+    logger.error('Error setting tags:', error);
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Admin actions, newest first (admin only). Filter with ?actor=, ?action=,
+// ?target= and ?limit=.
+app.get('/admin/audit-log', adminAuth, async (req, res) => {
+  try {
+    const { actor, action, target, limit } = req.query;
+    const entries = await messageHandler.auditLog.list({ actor, action, target, limit });
+    res.json({ status: 'success', entries });
+  } catch (error) {
+    logger.error('Error listing audit log:', error);
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Serve stored media through expiring signed URLs
+app.get('/media/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const verdict = mediaService.verifyUrl(key, req.query.expires, req.query.signature);
+
+    if (verdict === 'invalid') {
+      return res.status(403).json({ status: 'error', message: 'Invalid media link' });
+    }
+    if (verdict === 'expired') {
+      return res.status(410).json({ status: 'error', message: 'Media link has expired' });
+    }
+
+    const media = await mediaService.read(key);
+    if (!media) {
+      return res.status(404).json({ status: 'error', message: 'Media not found' });
+    }
+
+    const maxAge = Math.max(0, parseInt(req.query.expires, 10) - Math.floor(Date.now() / 1000));
+    res.set({
+      'Content-Type': media.mimeType,
+      'Cache-Control': `private, max-age=${maxAge}`,
+      'ETag': `"${media.hash}"`,
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(media.data);
+  } catch (error) {
+    logger.error('Error serving media:', error);
     res.status(500).json({ status: 'error', message: error.message });
   }
 });
@@ -117,7 +389,7 @@ app.post('/generate-image', rateLimiter, async (req, res) => {
 // Set reminder endpoint
 app.post('/set-reminder', rateLimiter, async (req, res) => {
   try {
-    const { phone, message, datetime } = req.body;
+    const { phone, message, datetime, timezone, recurrence, priority } = req.body;
     
     if (!phone || !message || !datetime) {
       return res.status(400).json({ 
@@ -126,11 +398,17 @@ app.post('/set-reminder', rateLimiter, async (req, res) => {
       });
     }
     
-    const reminder = await reminderService.setReminder(phone, message, datetime);
+    // Without an explicit timezone the user's profile timezone is used.
+    // `datetime` may be ISO 8601 or a phrase such as "next friday at 5pm".
+    const reminder = await reminderService.setReminder(phone, message, datetime, { timezone, recurrence, priority });
     res.json({ status: 'success', reminder });
   } catch (error) {
     logger.error('Error setting reminder:', error);
-    res.status(500).json({ status: 'error', message: error.message });
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message,
+      alternatives: error.alternatives
+    });
   }
 });
 
@@ -146,6 +424,35 @@ app.get('/reminders/:phone', async (req, res) => {
   }
 });
 
+// Cancel a reminder (admin only); ?scope=occurrence skips a single
+// occurrence of a series
+app.delete('/reminders/:phone/:id', adminAuth, async (req, res) => {
+  try {
+    const { phone, id } = req.params;
+    const reminder = await reminderService.cancelReminder(phone, id, { scope: req.query.scope || 'series' });
+    res.json({ status: 'success', reminder });
+  } catch (error) {
+    logger.error('Error cancelling reminder:', error);
+    res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Update a reminder (admin only)
+app.patch('/reminders/:phone/:id', adminAuth, async (req, res) => {
+  try {
+    const { phone, id } = req.params;
+    const reminder = await reminderService.updateReminder(phone, id, req.body);
+    res.json({ status: 'success', reminder });
+  } catch (error) {
+    logger.error('Error updating reminder:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message,
+      alternatives: error.alternatives
+    });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   logger.error('Unhandled error:', error);
@@ -168,6 +475,19 @@ cron.schedule('* * * * *', () => {
   reminderService.checkReminders();
 });
 
+// Expire old conversation history, abandoned dialogs, processed message
+// records, finished jobs, old media, the outbound log and the audit log
+// every hour
+cron.schedule('0 * * * *', () => {
+  mistralService.cleanupOldConversations();
+  messageHandler.dialogs.cleanupExpired();
+  messageHandler.idempotency.cleanupExpired();
+  jobQueue.cleanup();
+  mediaService.cleanup();
+  whatsappService.outboundLog.cleanup();
+  messageHandler.auditLog.cleanup();
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
@@ -183,7 +503,7 @@ process.on('SIGINT', () => {
 app.listen(PORT, () => {
   logger.info(`Advanced WhatsApp Bot server is running on port ${PORT}`);
   logger.info('Bot features enabled:');
-  logger.info('- WhatsApp messaging via SendPulse');
+  logger.info(`- WhatsApp messaging via ${whatsappService.whatsappChannel}, and Telegram`);
   logger.info('- AI image generation via Stability AI');
   logger.info('- AI text generation via Mistral');
   logger.info('- Smart reminder system');
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Admin routes take `Authorization: Bearer <ADMIN_API_TOKEN>`. They are
+// switched off (503) until a token is configured.
+const createAdminAuth = ({ token = process.env.ADMIN_API_TOKEN } = {}) => (req, res, next) => {
+  if (!token) {
+    return res.status(503).json({ status: 'error', message: 'Admin API is not configured' });
+  }
+
+  const provided = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  // Digests have the same length, so the comparison takes the same time
+  if (!provided || !crypto.timingSafeEqual(digest(token), digest(provided[1].trim()))) {
+    logger.warn('Admin request rejected: invalid token', { ip: req.ip, endpoint: req.path });
+    return res.status(401).json({ status: 'error', message: 'Invalid admin token' });
+  }
+
+  next();
+};
+
+module.exports = {
+  adminAuth: createAdminAuth(),
+  createAdminAuth
+};
@@ -1,8 +1,10 @@
-const { RateLimiterMemory } = require('rate-limiter-flexible');
 const logger = require('../utils/logger');
+const { createRateLimiter } = require('../storage');
 
-// Rate limiter configuration
-const rateLimiter = new RateLimiterMemory({
+// Rate limiter configuration. Limiters count in Redis when STATE_DRIVER is
+// redis, so limits hold across instances; each has its own key prefix.
+const rateLimiter = createRateLimiter({
+  keyPrefix: 'api',
   keyGenerator: (req) => {
     // Use IP address and user agent for rate limiting
     return `${req.ip}_${req.get('User-Agent')}`;
@@ -12,14 +14,16 @@ const rateLimiter = new RateLimiterMemory({
 });
 
 // More restrictive rate limiter for expensive operations
-const strictRateLimiter = new RateLimiterMemory({
+const strictRateLimiter = createRateLimiter({
+  keyPrefix: 'strict',
   keyGenerator: (req) => req.ip,
   points: 10, // 10 requests
   duration: 60, // Per 60 seconds
 });
 
 // Image generation rate limiter (per user phone number)
-const imageRateLimiter = new RateLimiterMemory({
+const imageRateLimiter = createRateLimiter({
+  keyPrefix: 'image',
   keyGenerator: (req) => {
     // Extract phone from request body or IP as fallback
     const phone = req.body?.phone || req.ip;
@@ -30,7 +34,8 @@ const imageRateLimiter = new RateLimiterMemory({
 });
 
 // Message rate limiter (per phone number)
-const messageRateLimiter = new RateLimiterMemory({
+const messageRateLimiter = createRateLimiter({
+  keyPrefix: 'msg',
   keyGenerator: (req) => {
     // Extract phone from webhook data
     const phone = req.body?.contact?.phone || 
@@ -43,6 +48,52 @@ const messageRateLimiter = new RateLimiterMemory({
   duration: 60, // Per minute
 });
 
+// Per-user quotas for AI chat (chat, questions, summaries, jokes, stories),
+// translations and new reminders
+const chatRateLimiter = createRateLimiter({
+  keyPrefix: 'chat',
+  points: parseInt(process.env.MAX_CHAT_REQUESTS_PER_HOUR) || 30,
+  duration: 60 * 60, // Per hour
+});
+
+const translateRateLimiter = createRateLimiter({
+  keyPrefix: 'translate',
+  points: parseInt(process.env.MAX_TRANSLATIONS_PER_HOUR) || 30,
+  duration: 60 * 60, // Per hour
+});
+
+const reminderRateLimiter = createRateLimiter({
+  keyPrefix: 'reminder',
+  points: parseInt(process.env.MAX_REMINDERS_PER_DAY) || 20,
+  duration: 24 * 60 * 60, // Per day
+});
+
+// Pro plan quotas, per operation as above
+const proLimiter = (operation, points, duration) => createRateLimiter({ keyPrefix: `pro:${operation}`, points, duration });
+
+// plan -> operation -> [limiter, key prefix]; all keyed by the user's phone
+// number (or channel address). The free plan shares the limiters above;
+// the admin plan has no limits.
+const PLAN_LIMITERS = {
+  free: {
+    message: [messageRateLimiter, 'msg'],
+    chat: [chatRateLimiter, 'chat'],
+    image: [imageRateLimiter, 'image'],
+    translate: [translateRateLimiter, 'translate'],
+    reminder: [reminderRateLimiter, 'reminder']
+  },
+  pro: {
+    message: [proLimiter('msg', parseInt(process.env.PRO_MAX_MESSAGES_PER_MINUTE) || 30, 60), 'msg'],
+    chat: [proLimiter('chat', parseInt(process.env.PRO_MAX_CHAT_REQUESTS_PER_HOUR) || 300, 60 * 60), 'chat'],
+    image: [proLimiter('image', parseInt(process.env.PRO_MAX_IMAGE_REQUESTS_PER_DAY) || 200, 24 * 60 * 60), 'image'],
+    translate: [proLimiter('translate', parseInt(process.env.PRO_MAX_TRANSLATIONS_PER_HOUR) || 300, 60 * 60), 'translate'],
+    reminder: [proLimiter('reminder', parseInt(process.env.PRO_MAX_REMINDERS_PER_DAY) || 100, 24 * 60 * 60), 'reminder']
+  },
+  admin: {}
+};
+
+const userLimiter = (operation, plan) => (PLAN_LIMITERS[plan] || PLAN_LIMITERS.free)[operation];
+
 const rateLimiterMiddleware = async (req, res, next) => {
   try {
     await rateLimiter.consume(req.ip);
@@ -141,50 +192,48 @@ const messageRateLimiterMiddleware = async (req, res, next) => {
   }
 };
 
-// Middleware to check user-specific limits
-const checkUserLimits = async (phone, operation) => {
+// Uses up one point of a user's quota for `operation` on their plan (see
+// PLAN_LIMITERS). Over the quota it throws with statusCode 429, the
+// operation and when the quota resets (retryAfter in seconds, resetTime).
+const checkUserLimits = async (phone, operation, plan = 'free') => {
+  if (!userLimiter(operation, plan)) {
+    return true;
+  }
+
+  const [limiter, prefix] = userLimiter(operation, plan);
   try {
-    switch (operation) {
-      case 'image':
-        await imageRateLimiter.consume(`image_${phone}`);
-        break;
-      case 'message':
-        await messageRateLimiter.consume(`msg_${phone}`);
-        break;
-      default:
-        return true;
-    }
+    await limiter.consume(`${prefix}_${phone}`);
     return true;
   } catch (rejRes) {
+    if (rejRes instanceof Error) {
+      throw rejRes;
+    }
+
     const remainingTime = Math.round(rejRes.msBeforeNext / 1000) || 60;
-    throw new Error(`Rate limit exceeded. Try again in ${remainingTime} seconds.`);
+    logger.warn(`User quota exceeded: ${operation}`, { phone, plan, remainingTime });
+    throw Object.assign(new Error(`Rate limit exceeded. Try again in ${remainingTime} seconds.`), {
+      statusCode: 429,
+      operation,
+      retryAfter: remainingTime,
+      resetTime: new Date(Date.now() + rejRes.msBeforeNext)
+    });
   }
 };
 
-// Get remaining points for a user
-const getRemainingPoints = async (phone, operation) => {
+// Get remaining points for a user; null when the operation has no limit on
+// their plan
+const getRemainingPoints = async (phone, operation, plan = 'free') => {
   try {
-    let limiter;
-    let key;
-    
-    switch (operation) {
-      case 'image':
-        limiter = imageRateLimiter;
-        key = `image_${phone}`;
-        break;
-      case 'message':
-        limiter = messageRateLimiter;
-        key = `msg_${phone}`;
-        break;
-      default:
-        return null;
+    if (!userLimiter(operation, plan)) {
+      return null;
     }
-    
-    const resRateLimiter = await limiter.get(key);
+
+    const [limiter, prefix] = userLimiter(operation, plan);
+    const resRateLimiter = await limiter.get(`${prefix}_${phone}`);
     
     if (resRateLimiter) {
       return {
-        remaining: resRateLimiter.remainingHits,
+        remaining: resRateLimiter.remainingPoints,
         total: limiter.points,
         resetTime: new Date(Date.now() + resRateLimiter.msBeforeNext)
       };
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const META_SIGNATURE_HEADER = 'x-hub-signature-256';
+const TELEGRAM_SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// Replays are only possible inside the timestamp window, so this bounds how
+// long entries are kept. The cap protects memory during a flood.
+const MAX_SEEN_ENTRIES = 10000;
+
+// "::ffff:10.0.0.1" -> "10.0.0.1"
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:/, '');
+
+const ipv4ToNumber = (ip) => {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+    return null;
+  }
+  return parts.reduce((total, part) => total * 256 + part, 0);
+};
+
+// Entries are exact addresses or IPv4 CIDR ranges such as "10.0.0.0/8"
+const ipAllowed = (ip, allowlist) => {
+  const address = normalizeIp(ip);
+
+  return allowlist.some(entry => {
+    const [range, bits] = entry.split('/');
+    if (bits === undefined) {
+      return normalizeIp(range) === address;
+    }
+
+    const addressNumber = ipv4ToNumber(address);
+    const rangeNumber = ipv4ToNumber(range);
+    const prefix = parseInt(bits, 10);
+    if (addressNumber === null || rangeNumber === null || !(prefix >= 0 && prefix <= 32)) {
+      return false;
+    }
+
+    const size = 2 ** (32 - prefix);
+    return Math.floor(addressNumber / size) === Math.floor(rangeNumber / size);
+  });
+};
+
+const signWebhook = (secret, timestamp, rawBody) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody || '').digest('hex')}`;
+
+const signaturesMatch = (expected, actual) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual || '');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const reject = (req, res, statusCode, reason) => {
+  logger.warn(`Webhook rejected: ${reason}`, {
+    ip: req.ip,
+    endpoint: req.path,
+    messageId: req.body?.message?.id || req.body?.id
+  });
+  res.status(statusCode).json({ status: 'error', message: reason });
+};
+
+// Authenticates webhook calls. The sender signs `${timestamp}.${raw body}`
+// with HMAC-SHA256 and sends it as `X-Webhook-Signature: sha256=<hex>`
+// together with `X-Webhook-Timestamp` (Unix seconds). Requests outside the
+// timestamp window, from addresses not on the allowlist, or that repeat a
+// message ID with a signature already seen are rejected.
+const createWebhookAuth = ({
+  secret = process.env.SENDPULSE_WEBHOOK_SECRET || process.env.WEBHOOK_SECRET,
+  toleranceSeconds = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300,
+  allowedIps = (process.env.WEBHOOK_ALLOWED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean),
+  now = () => Date.now()
+} = {}) => {
+  // message ID + signature -> time it can be forgotten
+  const seen = new Map();
+
+  const rememberRequest = (key) => {
+    const currentTime = now();
+    for (const [seenKey, expiresAt] of seen) {
+      if (expiresAt <= currentTime || seen.size >= MAX_SEEN_ENTRIES) {
+        seen.delete(seenKey);
+      } else {
+        break;
+      }
+    }
+
+    if (seen.has(key) && seen.get(key) > currentTime) {
+      return false;
+    }
+    seen.set(key, currentTime + toleranceSeconds * 1000);
+    return true;
+  };
+
+  const middleware = (req, res, next) => {
+    if (allowedIps.length > 0 && !ipAllowed(req.ip, allowedIps)) {
+      return reject(req, res, 403, `IP address ${normalizeIp(req.ip)} is not allowed`);
+    }
+
+    if (!secret) {
+      return reject(req, res, 503, 'Webhook secret is not configured');
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+    const timestamp = req.get(TIMESTAMP_HEADER);
+    if (!signature || !timestamp) {
+      return reject(req, res, 401, 'Missing webhook signature');
+    }
+
+    if (!/^\d+$/.test(timestamp) || Math.abs(now() / 1000 - parseInt(timestamp, 10)) > toleranceSeconds) {
+      return reject(req, res, 401, 'Webhook timestamp is outside the allowed window');
+    }
+
+    if (!signaturesMatch(signWebhook(secret, timestamp, req.rawBody), signature)) {
+      return reject(req, res, 401, 'Invalid webhook signature');
+    }
+
+    // Redeliveries by the provider are signed afresh; an identical request
+    // can only be a replay
+    const messageId = req.body?.message?.id || req.body?.id || '';
+    if (!rememberRequest(`${messageId}:${signature}`)) {
+      return reject(req, res, 409, 'Webhook request was already received');
+    }
+
+    next();
+  };
+
+  return middleware;
+};
+
+// WhatsApp Cloud API webhooks are signed by Meta with the app secret:
+// `X-Hub-Signature-256: sha256=<hex HMAC of the raw body>`
+const createMetaWebhookAuth = ({ appSecret = process.env.WHATSAPP_CLOUD_APP_SECRET } = {}) => (req, res, next) => {
+  if (!appSecret) {
+    return reject(req, res, 503, 'Webhook secret is not configured');
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(req.rawBody || '').digest('hex')}`;
+  if (!signaturesMatch(expected, req.get(META_SIGNATURE_HEADER))) {
+    return reject(req, res, 401, 'Invalid webhook signature');
+  }
+
+  next();
+};
+
+// Telegram echoes the secret_token given to setWebhook in a header
+const createTelegramWebhookAuth = ({ secret = process.env.TELEGRAM_WEBHOOK_SECRET } = {}) => (req, res, next) => {
+  if (!secret) {
+    return reject(req, res, 503, 'Webhook secret is not configured');
+  }
+
+  if (!signaturesMatch(secret, req.get(TELEGRAM_SECRET_HEADER))) {
+    return reject(req, res, 401, 'Invalid webhook secret');
+  }
+
+  next();
+};
+
+module.exports = {
+  webhookAuth: createWebhookAuth(),
+  metaWebhookAuth: createMetaWebhookAuth(),
+  telegramWebhookAuth: createTelegramWebhookAuth(),
+  createWebhookAuth,
+  createMetaWebhookAuth,
+  createTelegramWebhookAuth,
+  signWebhook,
+  ipAllowed
+};
@@ -0,0 +1,187 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const UserService = require('./userService');
+const { createLedgerStore } = require('../storage');
+
+const PLANS = ['free', 'pro', 'admin'];
+
+// Plans and credits per user. The plan (free, pro or admin) sets the usage
+// limits (see checkUserLimits) and is kept on the user's profile. Credits
+// pay for AI work: every Stability image and Mistral call is debited from
+// the user's balance, which is the sum of their ledger entries. New users
+// start with STARTING_CREDITS; admins grant more. The admin plan is not
+// metered.
+class AccountService {
+  static PLANS = PLANS;
+
+  constructor(userService = new UserService(), store = createLedgerStore()) {
+    this.userService = userService;
+    this.store = store;
+    this.loadConfig();
+  }
+
+  // Re-read by /admin reload
+  loadConfig() {
+    this.startingCredits = process.env.STARTING_CREDITS !== undefined ? parseInt(process.env.STARTING_CREDITS, 10) : 100;
+    // Credits for one 1024x1024 image at 30 steps; other sizes and step
+    // counts cost proportionally more or less
+    this.imageCredits = parseFloat(process.env.IMAGE_CREDITS) || 10;
+    this.creditsPer1kTokens = parseFloat(process.env.CREDITS_PER_1K_TOKENS) || 1;
+  }
+
+  async getPlan(phone) {
+    const profile = await this.userService.getProfile(phone);
+    return PLANS.includes(profile.plan) ? profile.plan : 'free';
+  }
+
+  async setPlan(phone, plan, { by = null } = {}) {
+    try {
+      if (!PLANS.includes(plan)) {
+        throw Object.assign(new Error(`Unknown plan: ${plan}. Use one of ${PLANS.join(', ')}`), { statusCode: 400 });
+      }
+
+      await this.userService.updateProfile(phone, { plan });
+      logger.info(`Plan for ${phone} set to ${plan}${by ? ` by ${by}` : ''}`);
+      return await this.getAccount(phone);
+    } catch (error) {
+      logger.error('Error setting plan:', error);
+      throw Object.assign(new Error(`Failed to set plan: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  // { phone, plan, balance, metered }
+  async getAccount(phone) {
+    try {
+      const plan = await this.getPlan(phone);
+      const entries = await this.getEntries(phone);
+      return {
+        phone,
+        plan,
+        balance: entries.reduce((sum, entry) => sum + entry.amount, 0),
+        metered: plan !== 'admin'
+      };
+    } catch (error) {
+      logger.error('Error getting account:', error);
+      throw new Error('Failed to get account');
+    }
+  }
+
+  async getBalance(phone) {
+    return (await this.getAccount(phone)).balance;
+  }
+
+  // Ledger entries, newest first
+  async getLedger(phone, { limit = 50 } = {}) {
+    try {
+      const entries = await this.getEntries(phone);
+      return entries.reverse().slice(0, Math.max(1, parseInt(limit, 10) || 50));
+    } catch (error) {
+      logger.error('Error getting ledger:', error);
+      throw new Error('Failed to get ledger');
+    }
+  }
+
+  // The starting credits are recorded the first time a user's ledger is
+  // read; the fixed entry ID keeps concurrent first reads from granting twice
+  async getEntries(phone) {
+    const entries = await this.store.findByPhone(phone);
+    if (entries.length > 0 || this.startingCredits <= 0) {
+      return entries;
+    }
+
+    await this.store.insert(this.entry(phone, this.startingCredits, { id: `welcome:${phone}`, type: 'welcome' }));
+    return this.store.findByPhone(phone);
+  }
+
+  entry(phone, amount, { id = uuidv4(), type, operation = null, details = null, reason = null, by = null }) {
+    return {
+      id,
+      phone,
+      type,
+      amount,
+      operation,
+      details,
+      reason,
+      by,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  async grant(phone, amount, { reason = null, by = null } = {}) {
+    try {
+      const credits = Number(amount);
+      if (!Number.isInteger(credits) || credits <= 0) {
+        throw Object.assign(new Error('Amount must be a positive whole number of credits'), { statusCode: 400 });
+      }
+
+      await this.getEntries(phone);
+      const entry = await this.store.insert(this.entry(phone, credits, { type: 'grant', reason, by }));
+      logger.info(`Granted ${credits} credits to ${phone}${by ? ` by ${by}` : ''}`);
+      return { entry, account: await this.getAccount(phone) };
+    } catch (error) {
+      logger.error('Error granting credits:', error);
+      throw Object.assign(new Error(`Failed to grant credits: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  // Debits work that has already been done, so the balance may go below
+  // zero; canAfford then refuses further work. Returns the entry, or null
+  // when the user's plan isn't metered.
+  async charge(phone, amount, { operation, details = null } = {}) {
+    if ((await this.getPlan(phone)) === 'admin') {
+      return null;
+    }
+
+    await this.getEntries(phone);
+    return this.store.insert(this.entry(phone, -amount, { type: 'debit', operation, details }));
+  }
+
+  // Usage listener for StabilityService and MistralService. Never throws; a
+  // reply that was generated must not fail for want of a ledger entry.
+  async recordUsage({ phone, service, operation, ...details }) {
+    try {
+      if (!phone) {
+        return null;
+      }
+
+      const cost = service === 'mistral' ? this.textCost(details.tokens) : this.imageCost(details);
+      return await this.charge(phone, cost, { operation, details });
+    } catch (error) {
+      logger.error(`Error recording ${service} usage for ${phone}:`, error.message);
+      return null;
+    }
+  }
+
+  imageCost({ steps = 30, width = 1024, height = 1024, samples = 1 } = {}) {
+    return Math.max(1, Math.ceil(this.imageCredits * samples * (steps / 30) * (width * height) / (1024 * 1024)));
+  }
+
+  textCost(tokens = 0) {
+    return Math.max(1, Math.ceil(tokens * this.creditsPer1kTokens / 1000));
+  }
+
+  // Least a request for `operation` costs (see the quotas in MessageHandler)
+  estimateCost(operation) {
+    switch (operation) {
+      case 'image':
+        return this.imageCost();
+      case 'chat':
+      case 'translate':
+        return this.textCost();
+      default:
+        return 0;
+    }
+  }
+
+  async canAfford(phone, operation) {
+    const cost = this.estimateCost(operation);
+    if (cost === 0) {
+      return true;
+    }
+
+    const account = await this.getAccount(phone);
+    return !account.metered || account.balance >= cost;
+  }
+}
+
+module.exports = AccountService;
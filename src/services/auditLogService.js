@@ -0,0 +1,69 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { createAuditStore } = require('../storage');
+
+// Record of admin actions: who did what to whom, through which interface
+// ('command' for /admin over chat, 'api' for the admin API) and how it went
+// ('ok', 'denied', 'invalid' or 'error'). Entries are kept for
+// AUDIT_LOG_RETENTION_DAYS and listed by GET /admin/audit-log.
+class AuditLogService {
+  constructor(store = createAuditStore()) {
+    this.store = store;
+    this.retentionDays = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 90;
+  }
+
+  // Never throws; an admin action must not fail for want of an audit entry
+  async record({ actor, source, action, target = null, details = null, outcome = 'ok' }) {
+    logger.info(`Admin action: ${actor} ${action}${target ? ` ${target}` : ''} (${source}, ${outcome})`);
+
+    try {
+      return await this.store.insert({
+        id: uuidv4(),
+        actor,
+        source,
+        action,
+        target,
+        details,
+        outcome,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error recording admin action:', error.message);
+      return null;
+    }
+  }
+
+  // Newest first. Filter by actor, action or target.
+  async list({ actor = null, action = null, target = null, limit = 50 } = {}) {
+    try {
+      const entries = await this.store.findAll(entry =>
+        (!actor || entry.actor === actor) &&
+        (!action || entry.action === action) &&
+        (!target || entry.target === target)
+      );
+
+      return entries.reverse().slice(0, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500));
+    } catch (error) {
+      logger.error('Error listing admin actions:', error.message);
+      throw new Error(`Failed to list admin actions: ${error.message}`);
+    }
+  }
+
+  // Deletes entries older than the retention period
+  async cleanup(maxAgeDays = this.retentionDays) {
+    try {
+      const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+      const removedCount = await this.store.removeWhere(entry => entry.created_at < cutoff);
+
+      if (removedCount > 0) {
+        logger.info(`Cleaned up ${removedCount} audit log entries`);
+      }
+      return removedCount;
+    } catch (error) {
+      logger.error('Error cleaning up audit log:', error.message);
+      return 0;
+    }
+  }
+}
+
+module.exports = AuditLogService;
@@ -0,0 +1,408 @@
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const UserService = require('./userService');
+const AccountService = require('./accountService');
+const { createCampaignStore } = require('../storage');
+
+const OPT_OUT_FOOTER = '\n\nReply STOP to unsubscribe.';
+
+// Provider errors worth trying again later; the recipient stays pending
+const TRANSIENT_ERRORS = ['rate_limited', 'unavailable', 'network'];
+const MAX_RECIPIENT_ATTEMPTS = 3;
+const RETRY_DELAY_SECONDS = 60;
+const INTERRUPTED = { code: 'interrupted', message: 'Sending was interrupted; not retried to avoid a duplicate message' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "{name}" and "{name|there}" (with a default) are filled in per recipient
+const fill = (text, values) => String(text).replace(/\{(\w+)(?:\|([^}]*))?\}/g, (match, key, fallback) => {
+  const value = values[key];
+  return value !== undefined && value !== null && value !== '' ? String(value) : (fallback !== undefined ? fallback : '');
+});
+
+// { total, pending, sent, failed, skipped }
+const progress = (campaign) => {
+  const counts = { total: campaign.recipients.length, pending: 0, sending: 0, sent: 0, failed: 0, skipped: 0 };
+  for (const recipient of campaign.recipients) {
+    counts[recipient.status]++;
+  }
+  return counts;
+};
+
+// Announcements to all users or a segment of them. A campaign is a text
+// message or a template, sent to the users who matched its filter when it
+// was created (never to blocked, unreachable or opted-out users). Sends
+// are throttled to BROADCAST_MESSAGES_PER_SECOND and run in batches of
+// BROADCAST_BATCH_SIZE as background jobs, so a campaign survives restarts
+// and can be paused and resumed. Each recipient's result is kept.
+class BroadcastService {
+  constructor(whatsappService, userService = new UserService(), store = createCampaignStore(), options = {}) {
+    const {
+      messagesPerSecond = parseFloat(process.env.BROADCAST_MESSAGES_PER_SECOND) || 5,
+      batchSize = parseInt(process.env.BROADCAST_BATCH_SIZE) || 50
+    } = options;
+
+    this.whatsappService = whatsappService;
+    this.userService = userService;
+    this.store = store;
+    this.intervalMs = 1000 / messagesPerSecond;
+    this.nextSendAt = 0;
+    this.batchSize = batchSize;
+    this.jobQueue = null;
+    this.completionListener = null;
+  }
+
+  setJobQueue(jobQueue) {
+    this.jobQueue = jobQueue;
+    this.jobQueue.register('broadcast_batch', async ({ campaignId }) => {
+      const result = await this.runBatch(campaignId);
+      if (result.next === 'batch' || result.next === 'retry') {
+        await this.schedule(campaignId, result.next === 'retry' ? RETRY_DELAY_SECONDS : 0);
+      }
+      return result;
+    });
+  }
+
+  // Called with the campaign once everyone has been sent to
+  setCompletionListener(listener) {
+    this.completionListener = listener;
+  }
+
+  // Creates a campaign and starts sending. `message` is the text to send,
+  // or `template` the name of a provider template with `variables`. Both
+  // may use {name}, {phone} and {plan}. `filter` narrows the recipients:
+  // { tags (any of), plans, active_since, active_before }.
+  async create({ name = null, message = null, template = null, variables = [], filter = {}, createdBy = null, source = 'api' } = {}) {
+    try {
+      const content = this.validateContent({ message, template, variables });
+      const segment = this.validateFilter(filter || {});
+
+      const users = await this.userService.listUsers(user => this.matches(user, segment));
+      if (users.length === 0) {
+        throw Object.assign(new Error('No users match the filter'), { statusCode: 400 });
+      }
+
+      const now = moment().toISOString();
+      const campaign = await this.store.insert({
+        id: uuidv4(),
+        name: name || (content.type === 'text' ? content.text.substring(0, 50) : content.template),
+        content,
+        filter: segment,
+        status: 'running',
+        created_by: createdBy,
+        source,
+        recipients: users.map(user => ({ phone: user.phone, status: 'pending', attempts: 0, error: null, sent_at: null })),
+        created_at: now,
+        updated_at: now,
+        paused_at: null,
+        finished_at: null
+      });
+
+      logger.info(`Broadcast ${campaign.id} created for ${users.length} recipients${createdBy ? ` by ${createdBy}` : ''}`);
+      await this.schedule(campaign.id);
+      return this.summarize((await this.store.findById(campaign.id)) || campaign);
+    } catch (error) {
+      logger.error('Error creating broadcast:', error);
+      throw Object.assign(new Error(`Failed to create broadcast: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  validateContent({ message, template, variables }) {
+    if (Boolean(message) === Boolean(template)) {
+      throw Object.assign(new Error('Provide either a message or a template'), { statusCode: 400 });
+    }
+    if (message) {
+      if (typeof message !== 'string') {
+        throw Object.assign(new Error('Message must be text'), { statusCode: 400 });
+      }
+      return { type: 'text', text: message };
+    }
+
+    if (typeof template !== 'string' || !Array.isArray(variables) || variables.some(v => typeof v !== 'string')) {
+      throw Object.assign(new Error('Template must be a name with a list of text variables'), { statusCode: 400 });
+    }
+    return { type: 'template', template, variables };
+  }
+
+  validateFilter({ tags = [], plans = [], active_since: activeSince = null, active_before: activeBefore = null }) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      throw Object.assign(new Error('tags must be a list of tags'), { statusCode: 400 });
+    }
+    if (!Array.isArray(plans) || plans.some(plan => !AccountService.PLANS.includes(plan))) {
+      throw Object.assign(new Error(`plans must be a list of ${AccountService.PLANS.join(', ')}`), { statusCode: 400 });
+    }
+
+    const date = (value, field) => {
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+      const parsed = moment(value, moment.ISO_8601, true);
+      if (!parsed.isValid()) {
+        throw Object.assign(new Error(`${field} must be an ISO 8601 date`), { statusCode: 400 });
+      }
+      return parsed.toISOString();
+    };
+
+    return {
+      tags: tags.map(tag => tag.trim().toLowerCase()),
+      plans,
+      active_since: date(activeSince, 'active_since'),
+      active_before: date(activeBefore, 'active_before')
+    };
+  }
+
+  // Users who can be sent announcements and fall in the segment
+  matches(user, { tags, plans, active_since: activeSince, active_before: activeBefore }) {
+    if (user.blocked_at || user.unreachable_since || user.opted_out_at) {
+      return false;
+    }
+    if (tags.length > 0 && !(user.tags || []).some(tag => tags.includes(tag))) {
+      return false;
+    }
+    if (plans.length > 0 && !plans.includes(user.plan || 'free')) {
+      return false;
+    }
+    if (activeSince && !(user.last_seen_at && user.last_seen_at >= activeSince)) {
+      return false;
+    }
+    if (activeBefore && !(user.last_seen_at && user.last_seen_at < activeBefore)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Runs the next batch as a job, or right here when there is no job queue
+  async schedule(id, delaySeconds = 0) {
+    if (this.jobQueue) {
+      await this.jobQueue.enqueue('broadcast_batch', { campaignId: id }, { group: `broadcast:${id}`, delaySeconds });
+      return;
+    }
+
+    if (delaySeconds > 0) {
+      setTimeout(() => this.run(id).catch(error => logger.error(`Error running broadcast ${id}:`, error)), delaySeconds * 1000).unref();
+      return;
+    }
+    await this.run(id);
+  }
+
+  async run(id) {
+    let result;
+    do {
+      result = await this.runBatch(id);
+    } while (result.next === 'batch');
+
+    if (result.next === 'retry') {
+      await this.schedule(id, RETRY_DELAY_SECONDS);
+    }
+    return result;
+  }
+
+  // A batch has to finish well within the job lease, or another worker
+  // could take the job over and send to the same recipients again
+  batchLimit() {
+    if (!this.jobQueue) {
+      return this.batchSize;
+    }
+    return Math.max(1, Math.min(this.batchSize, Math.floor(this.jobQueue.leaseSeconds * 1000 / this.intervalMs / 2)));
+  }
+
+  // Waits for the next send slot. Slots are shared by every campaign this
+  // process runs, so running two at once doesn't double the rate.
+  async throttle() {
+    const slot = Math.max(Date.now(), this.nextSendAt);
+    this.nextSendAt = slot + this.intervalMs;
+    if (slot > Date.now()) {
+      await sleep(slot - Date.now());
+    }
+  }
+
+  // Sends to the next batchLimit() pending recipients, one every intervalMs.
+  // Returns { sent, failed, skipped, next }: next is 'batch' when recipients
+  // are left, 'retry' after a provider asked us to slow down, 'stopped' when
+  // the campaign was paused or cancelled and 'done' when it is complete.
+  async runBatch(id) {
+    const result = { sent: 0, failed: 0, skipped: 0, next: 'done' };
+    let campaign = await this.store.findById(id);
+    if (!campaign || campaign.status !== 'running') {
+      return { ...result, next: 'stopped' };
+    }
+
+    // Batches of a campaign run one at a time, so a recipient still being
+    // sent to belongs to a batch that died mid-send
+    for (const recipient of campaign.recipients.filter(r => r.status === 'sending')) {
+      logger.warn(`Broadcast ${id} to ${recipient.phone} was interrupted, marking as failed`);
+      await this.store.updateRecipient(id, recipient.phone, { status: 'failed', error: INTERRUPTED });
+      result.failed++;
+    }
+
+    const batch = campaign.recipients.filter(recipient => recipient.status === 'pending').slice(0, this.batchLimit());
+    for (const recipient of batch) {
+      await this.throttle();
+
+      // A pause or cancel takes effect before the next send
+      campaign = await this.store.findById(id);
+      if (!campaign || campaign.status !== 'running') {
+        return { ...result, next: 'stopped' };
+      }
+
+      const outcome = await this.sendTo(campaign, recipient);
+      if (outcome === 'retry') {
+        return { ...result, next: 'retry' };
+      }
+      result[outcome]++;
+    }
+
+    campaign = await this.store.findById(id);
+    if (campaign.recipients.some(recipient => recipient.status === 'pending')) {
+      return { ...result, next: campaign.status === 'running' ? 'batch' : 'stopped' };
+    }
+
+    const now = moment().toISOString();
+    const completed = await this.store.updateIf(id, c => c.status === 'running', { status: 'completed', finished_at: now, updated_at: now });
+    if (completed) {
+      const counts = progress(completed);
+      logger.info(`Broadcast ${id} completed: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped`);
+      await this.notifyCompleted(completed);
+    }
+    return result;
+  }
+
+  // Sends the campaign to one recipient and records the result. Returns
+  // 'sent', 'failed', 'skipped' or 'retry'.
+  async sendTo(campaign, recipient) {
+    const profile = await this.userService.getProfile(recipient.phone);
+
+    // Users can opt out or be blocked while a campaign is running
+    if (profile.opted_out_at || profile.blocked_at) {
+      await this.store.updateRecipient(campaign.id, recipient.phone, { status: 'skipped', error: { code: profile.blocked_at ? 'blocked' : 'opted_out' } });
+      return 'skipped';
+    }
+
+    const values = { name: profile.name, phone: recipient.phone, plan: profile.plan || 'free' };
+    const ref = { type: 'broadcast', id: campaign.id };
+    const attempts = recipient.attempts + 1;
+
+    // Recorded first: if the send goes out but its result can't be saved,
+    // the recipient is not sent to again
+    await this.store.updateRecipient(campaign.id, recipient.phone, { status: 'sending', attempts });
+
+    try {
+      if (campaign.content.type === 'text') {
+        await this.whatsappService.sendMessage(recipient.phone, fill(campaign.content.text, values) + OPT_OUT_FOOTER, { ref });
+      } else {
+        await this.whatsappService.sendTemplate(recipient.phone, campaign.content.template, campaign.content.variables.map(v => fill(v, values)), { ref });
+      }
+    } catch (error) {
+      const failure = { code: error.code || 'rejected', message: error.reason || error.message };
+
+      if (TRANSIENT_ERRORS.includes(failure.code) && attempts < MAX_RECIPIENT_ATTEMPTS) {
+        logger.warn(`Broadcast ${campaign.id} to ${recipient.phone} failed (${failure.code}), trying again in ${RETRY_DELAY_SECONDS}s`);
+        await this.store.updateRecipient(campaign.id, recipient.phone, { status: 'pending', error: failure });
+        return 'retry';
+      }
+
+      logger.warn(`Broadcast ${campaign.id} to ${recipient.phone} failed:`, failure.message);
+      await this.store.updateRecipient(campaign.id, recipient.phone, { status: 'failed', error: failure });
+      if (failure.code === 'unreachable') {
+        await this.userService.markUnreachable(recipient.phone, failure.message);
+      }
+      return 'failed';
+    }
+
+    await this.store.updateRecipient(campaign.id, recipient.phone, { status: 'sent', error: null, sent_at: moment().toISOString() });
+    return 'sent';
+  }
+
+  async notifyCompleted(campaign) {
+    if (!this.completionListener) {
+      return;
+    }
+
+    try {
+      await this.completionListener(this.summarize(campaign));
+    } catch (error) {
+      logger.error(`Error reporting broadcast ${campaign.id}:`, error.message);
+    }
+  }
+
+  async pause(id) {
+    return this.transition(id, ['running'], 'paused', 'pause');
+  }
+
+  async resume(id) {
+    const campaign = await this.transition(id, ['paused'], 'running', 'resume');
+    await this.schedule(campaign.id);
+    return this.getCampaign(campaign.id);
+  }
+
+  // Recipients not sent to yet stay pending
+  async cancel(id) {
+    return this.transition(id, ['running', 'paused'], 'cancelled', 'cancel');
+  }
+
+  async transition(id, from, to, action) {
+    try {
+      const campaign = await this.findCampaign(id);
+      const now = moment().toISOString();
+      const updated = await this.store.updateIf(campaign.id, c => from.includes(c.status), {
+        status: to,
+        updated_at: now,
+        ...(to === 'paused' ? { paused_at: now } : {}),
+        ...(to === 'cancelled' ? { finished_at: now } : {})
+      });
+
+      if (!updated) {
+        throw Object.assign(new Error(`Broadcast is ${(await this.store.findById(campaign.id)).status}`), { statusCode: 409 });
+      }
+
+      logger.info(`Broadcast ${campaign.id} ${to}`);
+      return this.summarize(updated);
+    } catch (error) {
+      logger.error(`Error trying to ${action} broadcast:`, error.message);
+      throw Object.assign(new Error(`Failed to ${action} broadcast: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  // By ID or its first 8 characters
+  async findCampaign(id) {
+    const value = String(id || '');
+    const campaign = value.length >= 8
+      ? (await this.store.findAll(c => c.id.startsWith(value)))[0]
+      : null;
+
+    if (!campaign) {
+      throw Object.assign(new Error('Broadcast not found'), { statusCode: 404 });
+    }
+    return campaign;
+  }
+
+  // The campaign with its progress and every recipient's result
+  async getCampaign(id) {
+    try {
+      const campaign = await this.findCampaign(id);
+      return { ...this.summarize(campaign), recipients: campaign.recipients };
+    } catch (error) {
+      logger.error('Error getting broadcast:', error.message);
+      throw Object.assign(new Error(`Failed to get broadcast: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  // Newest first, without the recipients
+  async listCampaigns({ status = null, limit = 20 } = {}) {
+    try {
+      const campaigns = await this.store.findAll(campaign => !status || campaign.status === status);
+      return campaigns.reverse().slice(0, Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100)).map(campaign => this.summarize(campaign));
+    } catch (error) {
+      logger.error('Error listing broadcasts:', error.message);
+      throw new Error(`Failed to list broadcasts: ${error.message}`);
+    }
+  }
+
+  summarize(campaign) {
+    const { recipients, ...rest } = campaign;
+    return { ...rest, progress: progress(campaign) };
+  }
+}
+
+module.exports = BroadcastService;
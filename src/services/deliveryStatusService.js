@@ -0,0 +1,50 @@
+const moment = require('moment');
+const logger = require('../utils/logger');
+
+// Delivery receipts from the messaging providers (sent, delivered, read,
+// failed). Each receipt is matched to the outbound log entry of the message
+// by its provider message ID, and passed on to what the message was sent
+// for: a reminder's status follows its message. A failure because the user
+// can't be reached flags the user, so reminders stop going to them.
+class DeliveryStatusService {
+  constructor(outboundLog, reminderService, userService) {
+    this.outboundLog = outboundLog;
+    this.reminderService = reminderService;
+    this.userService = userService;
+  }
+
+  // `receipts` come from a channel's extractStatuses. Returns how many of
+  // them matched a message we sent.
+  async apply(channel, receipts) {
+    let matched = 0;
+
+    for (const receipt of receipts) {
+      try {
+        const { providerMessageId, status, timestamp, error } = receipt;
+        const entry = await this.outboundLog.applyStatus(channel, providerMessageId, status, { timestamp, error });
+        if (!entry) {
+          continue;
+        }
+        matched++;
+
+        if (status === 'failed' && error && error.code === 'unreachable') {
+          await this.userService.markUnreachable(entry.to, error.reason);
+        }
+
+        if (entry.ref && entry.ref.type === 'reminder') {
+          await this.reminderService.applyDeliveryStatus(entry.to, entry.ref.id, status, {
+            escalation: entry.ref.escalation || 0,
+            error,
+            at: moment(timestamp)
+          });
+        }
+      } catch (error) {
+        logger.error(`Error applying ${channel} delivery receipt for ${receipt.providerMessageId}:`, error);
+      }
+    }
+
+    return matched;
+  }
+}
+
+module.exports = DeliveryStatusService;
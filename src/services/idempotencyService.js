@@ -0,0 +1,114 @@
+const logger = require('../utils/logger');
+const { createIdempotencyStore } = require('../storage');
+
+// Makes sure each inbound message is processed once, however often the
+// provider delivers it. Outcomes are remembered for IDEMPOTENCY_TTL_HOURS so
+// a redelivery gets the original result instead of a second AI answer.
+class IdempotencyService {
+  constructor(store = createIdempotencyStore()) {
+    this.store = store;
+    this.ttlHours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+    // A claim older than this is treated as abandoned (e.g. the instance
+    // processing it crashed) and the message may be processed again
+    this.leaseSeconds = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 120;
+    this.pending = new Map(); // key -> in-flight run in this process
+  }
+
+  // Runs `task` once per key. Resolves to { duplicate, status, outcome }
+  // where status is 'completed', or 'processing' while another instance is
+  // still working on the message. Messages without a key always run.
+  run(key, task) {
+    if (!key) {
+      return Promise.resolve()
+        .then(task)
+        .then(outcome => ({ duplicate: false, status: 'completed', outcome }));
+    }
+
+    // Concurrent deliveries to this instance wait for the first one
+    if (this.pending.has(key)) {
+      logger.info(`Message ${key} is already being processed, waiting for it`);
+      return this.pending.get(key).then(result => ({ ...result, duplicate: true }));
+    }
+
+    const execution = this.execute(key, task).finally(() => this.pending.delete(key));
+    this.pending.set(key, execution);
+    return execution;
+  }
+
+  async execute(key, task) {
+    const now = new Date();
+    let claimed = true;
+
+    try {
+      const existing = await this.store.claim(key, {
+        key,
+        status: 'processing',
+        claimed_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + this.leaseSeconds * 1000).toISOString()
+      }, now.toISOString());
+
+      if (existing) {
+        logger.info(`Duplicate message ${key} ignored (${existing.status})`);
+        return { duplicate: true, status: existing.status, outcome: existing.outcome || null };
+      }
+    } catch (error) {
+      // Answering twice is better than not answering at all
+      logger.error(`Error claiming message ${key}, processing it anyway:`, error.message);
+      claimed = false;
+    }
+
+    let outcome;
+    try {
+      outcome = await task();
+    } catch (error) {
+      // Let a redelivery try again
+      if (claimed) {
+        await this.release(key);
+      }
+      throw error;
+    }
+
+    if (claimed) {
+      await this.complete(key, outcome);
+    }
+    return { duplicate: false, status: 'completed', outcome };
+  }
+
+  async complete(key, outcome) {
+    try {
+      const completedAt = new Date();
+      await this.store.set(key, {
+        key,
+        status: 'completed',
+        outcome: outcome === undefined ? null : outcome,
+        completed_at: completedAt.toISOString(),
+        expires_at: new Date(completedAt.getTime() + this.ttlHours * 60 * 60 * 1000).toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error recording outcome of message ${key}:`, error.message);
+    }
+  }
+
+  async release(key) {
+    try {
+      await this.store.delete(key);
+    } catch (error) {
+      logger.error(`Error releasing message ${key}:`, error.message);
+    }
+  }
+
+  async cleanupExpired() {
+    try {
+      const removedCount = await this.store.removeExpired(new Date().toISOString());
+      if (removedCount > 0) {
+        logger.info(`Cleaned up ${removedCount} processed message records`);
+      }
+      return removedCount;
+    } catch (error) {
+      logger.error('Error cleaning up processed message records:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,140 @@
+const logger = require('../utils/logger');
+const { extractTimeExpression } = require('../utils/timeParser');
+
+const INTENTS = ['image_generation', 'reminder_setting', 'translation', 'question', 'greeting', 'chat'];
+const SLOTS = ['prompt', 'reminder', 'time', 'text', 'language'];
+
+const IMAGE_NOUNS = '(?:image|picture|pic|photo|drawing|painting|illustration|sketch|logo|wallpaper|artwork|portrait)';
+const GREETING_PATTERN = /^(hi|hello|hey|hiya|howdy|yo|greetings|hola|good (?:morning|afternoon|evening|day))\b/;
+
+// Works out what a chat message is for. The Mistral model classifies the
+// message and extracts slots; when it is unsure, unavailable or returns
+// something unusable, a keyword matcher is used instead.
+class IntentService {
+  constructor(mistralService) {
+    this.mistralService = mistralService;
+    this.useModel = (process.env.INTENT_CLASSIFIER || 'model').toLowerCase() !== 'keywords';
+    this.confidenceThreshold = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.6;
+  }
+
+  // Returns { intent, slots, confidence, source } where source is 'model'
+  // or 'keywords'. The model call is billed to `phone`; pass useModel: false
+  // when the user can't pay for it.
+  async classify(message, { phone, useModel = true } = {}) {
+    if (useModel && this.useModel && this.mistralService && this.mistralService.apiKey) {
+      try {
+        const result = this.normalizeResult(await this.mistralService.classifyIntent(message, INTENTS, { phone }));
+        if (result && result.confidence >= this.confidenceThreshold) {
+          return result;
+        }
+        logger.info(`Intent model unsure about "${message.substring(0, 50)}", using keywords`);
+      } catch (error) {
+        logger.warn(`Intent model failed, using keywords: ${error.message}`);
+      }
+    }
+
+    return this.matchKeywords(message);
+  }
+
+  // Checks the model's answer; returns null if it can't be used
+  normalizeResult(answer) {
+    if (!answer || typeof answer !== 'object' || !INTENTS.includes(answer.intent)) {
+      return null;
+    }
+
+    const confidence = Number(answer.confidence);
+    const slots = {};
+    for (const name of SLOTS) {
+      const value = answer.slots && answer.slots[name];
+      if (typeof value === 'string' && value.trim()) {
+        slots[name] = value.trim();
+      }
+    }
+
+    return {
+      intent: answer.intent,
+      slots,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+      source: 'model'
+    };
+  }
+
+  // Whole-word keyword rules, most specific first
+  matchKeywords(message) {
+    const text = message.trim();
+    const lower = text.toLowerCase();
+    const result = (intent, slots = {}, confidence = 0.7) => ({ intent, slots, confidence, source: 'keywords' });
+
+    if (/\btranslate\b/.test(lower) || /\bhow do (?:you|i) say\b.+\bin [a-z]+\s*\??$/.test(lower)) {
+      return result('translation', this.translationSlots(text));
+    }
+
+    if (/\bremind (?:me|us)\b/.test(lower) ||
+        /\b(?:set|create|add|make|schedule) (?:me )?(?:a |an )?(?:new )?reminder\b/.test(lower) ||
+        /\bdon'?t let me forget\b/.test(lower) ||
+        /\bwake me(?: up)?\b/.test(lower) ||
+        /^reminder\b/.test(lower)) {
+      return result('reminder_setting', this.reminderSlots(text));
+    }
+
+    if (/^(?:(?:please|pls|can you|could you|would you)\s+)?(?:draw|paint|sketch|illustrate)\b/.test(lower) ||
+        new RegExp(`\\b(?:generate|create|make|render|design|produce)\\b.{0,40}\\b${IMAGE_NOUNS}s?\\b`).test(lower) ||
+        new RegExp(`\\b(?:an? |the )?${IMAGE_NOUNS} of\\b`).test(lower)) {
+      return result('image_generation', this.imageSlots(text));
+    }
+
+    if (GREETING_PATTERN.test(lower) && !lower.includes('?') && lower.split(/\s+/).length <= 4) {
+      return result('greeting');
+    }
+
+    if (lower.includes('?') || /^(?:what|how|why|when|where|who|whom|whose|which)\b/.test(lower)) {
+      return result('question');
+    }
+
+    return result('chat', {}, 0.3);
+  }
+
+  // "draw me a picture of a red fox" -> "a red fox"
+  imageSlots(text) {
+    const prompt = text
+      .replace(new RegExp(`^.*?\\b(?:draw|paint|sketch|illustrate|generate|create|make|render|design|produce)\\b(?:\\s+me)?(?:\\s+${IMAGE_NOUNS}s?)?(?:\\s+(?:of|showing))?\\s*`, 'i'), '')
+      .replace(new RegExp(`^.*?\\b(?:an? |the )?${IMAGE_NOUNS} of\\s+`, 'i'), '')
+      .replace(/[\s?!.]+$/, '')
+      .trim();
+
+    // Nothing left but "a picture"
+    if (new RegExp(`^(?:(?:an?|the|some)\\s+)?${IMAGE_NOUNS}s?$`, 'i').test(prompt)) {
+      return {};
+    }
+    return prompt ? { prompt } : {};
+  }
+
+  // "remind me to call mom at 3pm" -> "call mom", "at 3pm"
+  reminderSlots(text) {
+    const cleaned = text
+      .replace(/^.*?\b(?:remind (?:me|us)(?: to| about| of)?|reminder:?(?: to| for| about)?|don'?t let me forget(?: to)?)\s*/i, '')
+      .replace(/[\s?!.]+$/, '')
+      .trim();
+    const parsed = extractTimeExpression(cleaned);
+
+    if (parsed.status === 'unrecognized') {
+      return cleaned ? { reminder: cleaned } : {};
+    }
+    return { ...(parsed.message ? { reminder: parsed.message } : {}), time: parsed.text };
+  }
+
+  // "translate good night to French", "translate to French: good night",
+  // "how do you say good night in French"
+  translationSlots(text) {
+    const before = text.match(/\btranslate\s+(?:this\s+|that\s+|it\s+)?(?:in)?to\s+([a-z]+)\s*[:-]\s*(.+)$/i);
+    if (before) {
+      return { text: before[2].trim(), language: before[1] };
+    }
+
+    const after = text.match(/\btranslate\s+["'“]?(.+?)["'”]?\s+(?:in)?to\s+([a-z]+)\s*[?.!]*$/i) ||
+      text.match(/\bhow do (?:you|i) say\s+["'“]?(.+?)["'”]?\s+in\s+([a-z]+)\s*\??$/i);
+    return after ? { text: after[1], language: after[2] } : {};
+  }
+}
+
+module.exports = IntentService;
@@ -0,0 +1,351 @@
+const os = require('os');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { createJobStore } = require('../storage');
+
+const FINISHED_STATUSES = ['completed', 'dead'];
+
+// Background jobs for work that is too slow to do inside a request, such as
+// answering a message with Mistral or generating an image.
+//
+// - Jobs with the same group (a phone number) run one at a time in the order
+//   they were enqueued, so each user's messages are answered in order.
+// - At most `concurrency` jobs run at once in this process.
+// - Failed jobs are retried with exponential backoff. Once a job has used up
+//   its attempts it is moved to the dead-letter list (status 'dead').
+// - Jobs are claimed in the store with a lease, so instances sharing a file
+//   store never run the same job twice at once. The worker renews the lease
+//   while the handler runs; a job whose lease runs out (its worker died)
+//   counts as a failed attempt and is picked up again.
+class JobQueueService {
+  constructor(store = createJobStore(), options = {}) {
+    const {
+      concurrency = parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+      maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+      retryBaseSeconds = parseInt(process.env.QUEUE_RETRY_BASE_SECONDS) || 5,
+      retryMaxSeconds = 10 * 60,
+      leaseSeconds = parseInt(process.env.QUEUE_LEASE_SECONDS) || 120,
+      pollIntervalMs = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000,
+      retentionHours = parseInt(process.env.QUEUE_RETENTION_HOURS) || 24,
+      deadLetterRetentionHours = parseInt(process.env.QUEUE_DEAD_LETTER_RETENTION_HOURS) || 7 * 24,
+      instanceId = `${os.hostname()}-${process.pid}-${uuidv4().substring(0, 8)}`
+    } = options;
+
+    this.store = store;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseSeconds = retryBaseSeconds;
+    this.retryMaxSeconds = retryMaxSeconds;
+    this.leaseSeconds = leaseSeconds;
+    this.pollIntervalMs = pollIntervalMs;
+    this.retentionHours = retentionHours;
+    this.deadLetterRetentionHours = deadLetterRetentionHours;
+    this.instanceId = instanceId;
+
+    this.handlers = new Map(); // type -> { handler, maxAttempts }
+    this.running = new Set(); // jobs running in this process
+    this.runningIds = new Set(); // their IDs, never claimed again while they run
+    this.filling = null;
+    this.refill = false;
+    this.timer = null;
+  }
+
+  // `handler(payload, job)` does the work; its return value is stored as
+  // the job result
+  register(type, handler, { maxAttempts = this.maxAttempts } = {}) {
+    this.handlers.set(type, { handler, maxAttempts });
+    return this;
+  }
+
+  async enqueue(type, payload = {}, { group = null, maxAttempts = null, delaySeconds = 0 } = {}) {
+    try {
+      if (!this.handlers.has(type)) {
+        throw Object.assign(new Error(`Unknown job type: ${type}`), { statusCode: 400 });
+      }
+
+      const now = moment();
+      const job = await this.store.insert({
+        id: uuidv4(),
+        type,
+        group,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        max_attempts: maxAttempts || this.handlers.get(type).maxAttempts,
+        run_at: now.clone().add(delaySeconds, 'seconds').toISOString(),
+        lease_until: null,
+        worker: null,
+        result: null,
+        error: null,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString(),
+        started_at: null,
+        finished_at: null
+      });
+
+      logger.info(`Job queued: ${type} ${job.id}`);
+      this.fill();
+      return job;
+    } catch (error) {
+      logger.error('Error enqueuing job:', error);
+      throw Object.assign(new Error(`Failed to enqueue job: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  async getJob(id) {
+    try {
+      return await this.store.findById(id);
+    } catch (error) {
+      logger.error('Error getting job:', error);
+      throw new Error('Failed to get job');
+    }
+  }
+
+  async getDeadLetters() {
+    try {
+      return await this.store.findAll(job => job.status === 'dead');
+    } catch (error) {
+      logger.error('Error getting dead letters:', error);
+      throw new Error('Failed to get dead letters');
+    }
+  }
+
+  // Puts a dead job back on the queue with a fresh set of attempts
+  async retryJob(id) {
+    try {
+      const now = moment().toISOString();
+      const job = await this.store.updateIf(id, j => j.status === 'dead', {
+        status: 'queued',
+        attempts: 0,
+        run_at: now,
+        finished_at: null,
+        updated_at: now
+      });
+
+      if (!job) {
+        const existing = await this.store.findById(id);
+        throw existing
+          ? Object.assign(new Error('Only dead jobs can be retried'), { statusCode: 409 })
+          : Object.assign(new Error('Job not found'), { statusCode: 404 });
+      }
+
+      logger.info(`Job requeued: ${job.type} ${job.id}`);
+      this.fill();
+      return job;
+    } catch (error) {
+      logger.error('Error retrying job:', error);
+      throw Object.assign(new Error(`Failed to retry job: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  isClaimable(job, now) {
+    if (!this.handlers.has(job.type) || this.runningIds.has(job.id)) {
+      return false;
+    }
+    if (job.status === 'queued') {
+      return !moment(job.run_at).isAfter(now);
+    }
+    return job.status === 'running' && moment(job.lease_until).isBefore(now);
+  }
+
+  // Claims the next job this process may run, or returns null. Within a
+  // group only the oldest unfinished job is eligible.
+  async claimNext(now = moment()) {
+    const jobs = await this.store.findAll(job => !FINISHED_STATUSES.includes(job.status));
+    const busyGroups = new Set();
+
+    for (const job of jobs) {
+      const blocked = job.group !== null && busyGroups.has(job.group);
+      if (job.group !== null) {
+        busyGroups.add(job.group);
+      }
+      if (blocked || !this.isClaimable(job, now)) {
+        continue;
+      }
+
+      // The worker running it died and it has no attempts left
+      if (job.status === 'running' && job.attempts >= job.max_attempts) {
+        await this.bury(job, 'Worker stopped before the job finished', now);
+        continue;
+      }
+
+      const claimed = await this.store.updateIf(job.id, j => j.attempts === job.attempts && this.isClaimable(j, now), {
+        status: 'running',
+        attempts: job.attempts + 1,
+        lease_until: now.clone().add(this.leaseSeconds, 'seconds').toISOString(),
+        worker: this.instanceId,
+        started_at: now.toISOString(),
+        updated_at: now.toISOString()
+      });
+
+      if (claimed) {
+        return claimed;
+      }
+    }
+
+    return null;
+  }
+
+  async execute(job) {
+    const isOurs = j => j.status === 'running' && j.worker === this.instanceId && j.attempts === job.attempts;
+
+    // Keeps the lease ahead of the handler so a slow job isn't taken over
+    // by another worker while it still runs here
+    const heartbeat = setInterval(() => {
+      const now = moment();
+      this.store.updateIf(job.id, isOurs, {
+        lease_until: now.clone().add(this.leaseSeconds, 'seconds').toISOString(),
+        updated_at: now.toISOString()
+      }).catch(error => logger.error(`Error renewing the lease of job ${job.id}:`, error));
+    }, this.leaseSeconds * 1000 / 3);
+    heartbeat.unref();
+    this.runningIds.add(job.id);
+
+    try {
+      const result = await this.handlers.get(job.type).handler(job.payload, job);
+      const now = moment().toISOString();
+
+      await this.store.updateIf(job.id, isOurs, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        error: null,
+        lease_until: null,
+        finished_at: now,
+        updated_at: now
+      });
+      logger.info(`Job completed: ${job.type} ${job.id}`);
+    } catch (error) {
+      try {
+        if (job.attempts >= job.max_attempts) {
+          await this.bury(job, error.message);
+          return;
+        }
+
+        const delaySeconds = Math.min(this.retryBaseSeconds * 2 ** (job.attempts - 1), this.retryMaxSeconds);
+        const now = moment();
+        await this.store.updateIf(job.id, isOurs, {
+          status: 'queued',
+          error: error.message,
+          run_at: now.clone().add(delaySeconds, 'seconds').toISOString(),
+          lease_until: null,
+          updated_at: now.toISOString()
+        });
+        logger.warn(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delaySeconds}s: ${error.message}`);
+      } catch (storeError) {
+        logger.error(`Error recording failure of job ${job.id}:`, storeError);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.runningIds.delete(job.id);
+    }
+  }
+
+  // Moves a job to the dead-letter list
+  async bury(job, reason, now = moment()) {
+    await this.store.updateIf(job.id, j => j.status === 'running' && j.attempts === job.attempts, {
+      status: 'dead',
+      error: reason,
+      lease_until: null,
+      finished_at: now.toISOString(),
+      updated_at: now.toISOString()
+    });
+    logger.error(`Job ${job.type} ${job.id} moved to the dead-letter list after ${job.attempts} attempts: ${reason}`);
+  }
+
+  // Starts as many claimable jobs as the concurrency limit allows. Calls
+  // made while claiming are folded into the running pass.
+  fill() {
+    if (this.filling) {
+      this.refill = true;
+      return this.filling;
+    }
+
+    this.filling = (async () => {
+      do {
+        this.refill = false;
+        while (this.running.size < this.concurrency) {
+          const job = await this.claimNext();
+          if (!job) {
+            break;
+          }
+
+          const execution = this.execute(job).finally(() => {
+            this.running.delete(execution);
+            this.fill();
+          });
+          this.running.add(execution);
+        }
+      } while (this.refill && this.running.size < this.concurrency);
+    })()
+      .catch(error => logger.error('Error claiming jobs:', error))
+      .finally(() => {
+        this.filling = null;
+        // A call that came in after the last claim would otherwise be lost
+        if (this.refill) {
+          this.fill();
+        }
+      });
+
+    return this.filling;
+  }
+
+  // Resolves once nothing is running and nothing is ready to run
+  async idle() {
+    while (true) {
+      await this.fill();
+      if (this.running.size === 0 && !this.filling) {
+        return;
+      }
+      await Promise.race([...this.running, this.filling].filter(Boolean));
+    }
+  }
+
+  // Polls for delayed retries and jobs enqueued by other instances
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.fill(), this.pollIntervalMs);
+      this.timer.unref();
+      this.fill();
+    }
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Jobs by status: { queued, running, completed, dead }
+  async getStats() {
+    const jobs = await this.store.findAll();
+    const stats = { queued: 0, running: 0, completed: 0, dead: 0 };
+    for (const job of jobs) {
+      stats[job.status] = (stats[job.status] || 0) + 1;
+    }
+    return stats;
+  }
+
+  // Deletes finished jobs after the retention period
+  async cleanup(now = moment()) {
+    try {
+      const completedCutoff = now.clone().subtract(this.retentionHours, 'hours');
+      const deadCutoff = now.clone().subtract(this.deadLetterRetentionHours, 'hours');
+
+      const removedCount = await this.store.removeWhere(job =>
+        (job.status === 'completed' && moment(job.finished_at).isBefore(completedCutoff)) ||
+        (job.status === 'dead' && moment(job.finished_at).isBefore(deadCutoff))
+      );
+
+      if (removedCount > 0) {
+        logger.info(`Cleaned up ${removedCount} finished jobs`);
+      }
+      return removedCount;
+    } catch (error) {
+      logger.error('Error cleaning up jobs:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = JobQueueService;
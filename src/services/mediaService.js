@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createMediaStore } = require('../storage');
+const { detectImageType } = require('../utils/imageInfo');
+const { detectAudioType } = require('../utils/audioInfo');
+
+// Keys are the SHA-256 of the content plus the extension
+const KEY_PATTERN = /^([a-f0-9]{64})\.(png|jpg|gif|webp|ogg|wav|mp3|m4a|amr|webm|txt)$/;
+
+const detectType = (data) => detectImageType(data) || detectAudioType(data);
+
+// Types that can't be told from the content and are given by the caller
+const DECLARED_TYPES = {
+  txt: { mimeType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const mediaError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Used when MEDIA_SIGNING_SECRET is not set. Links then stop working after a
+// restart and don't work across instances.
+let fallbackSecret = null;
+const getFallbackSecret = () => {
+  if (!fallbackSecret) {
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('MEDIA_SIGNING_SECRET is not set, using a random secret for media links');
+  }
+  return fallbackSecret;
+};
+
+// Stores generated media (images from Stability, spoken replies, long
+// replies as text documents) and hands
+// out expiring signed URLs served by GET /media/:key, so WhatsApp can fetch
+// them.
+class MediaService {
+  constructor(store = createMediaStore()) {
+    this.store = store;
+    this.urlTtlSeconds = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 24 * 60 * 60;
+    this.retentionHours = parseInt(process.env.MEDIA_RETENTION_HOURS) || 72;
+    this.publicBaseUrl = (process.env.PUBLIC_BASE_URL ||
+      (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : `http://localhost:${process.env.PORT || 3000}`)).replace(/\/$/, '');
+    this.secret = process.env.MEDIA_SIGNING_SECRET || null;
+  }
+
+  sniffMimeType(data) {
+    const type = detectType(data);
+    return type ? type.mimeType : null;
+  }
+
+  // Saves a Buffer or base64 string. Identical content is stored once.
+  // Images and audio are recognized; text needs `extension: 'txt'`.
+  // Returns { key, hash, mimeType, size, url, expires_at }.
+  async save(data, { extension = null } = {}) {
+    try {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64');
+      const type = extension ? DECLARED_TYPES[extension] : detectType(buffer);
+      if (!type) {
+        throw mediaError('Unsupported media type', 415);
+      }
+
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      const key = `${hash}.${type.extension}`;
+      await this.store.put(key, buffer, type.mimeType);
+
+      logger.info(`Media stored: ${key} (${buffer.length} bytes)`);
+      return {
+        key,
+        hash,
+        mimeType: type.mimeType,
+        size: buffer.length,
+        ...this.signUrl(key)
+      };
+    } catch (error) {
+      logger.error('Error saving media:', error.message);
+      throw Object.assign(new Error(`Failed to save media: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  // Returns { data, mimeType, hash } or null if the key is unknown
+  async read(key) {
+    try {
+      const match = key.match(KEY_PATTERN);
+      if (!match) {
+        return null;
+      }
+
+      const data = await this.store.get(key);
+      if (!data) {
+        return null;
+      }
+
+      const declared = DECLARED_TYPES[match[2]];
+      return { data, mimeType: declared ? declared.mimeType : this.sniffMimeType(data) || 'application/octet-stream', hash: match[1] };
+    } catch (error) {
+      logger.error('Error reading media:', error.message);
+      throw new Error('Failed to read media');
+    }
+  }
+
+  signUrl(key, ttlSeconds = this.urlTtlSeconds) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return {
+      url: `${this.publicBaseUrl}/media/${key}?expires=${expires}&signature=${this.sign(key, expires)}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret || getFallbackSecret()).update(`${key}:${expires}`).digest('hex');
+  }
+
+  // 'ok', 'expired' or 'invalid'
+  verifyUrl(key, expires, signature) {
+    if (!KEY_PATTERN.test(key) || !/^\d+$/.test(expires || '') || !/^[a-f0-9]{64}$/.test(signature || '')) {
+      return 'invalid';
+    }
+
+    const expected = Buffer.from(this.sign(key, expires), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+      return 'invalid';
+    }
+
+    return parseInt(expires, 10) * 1000 < Date.now() ? 'expired' : 'ok';
+  }
+
+  // Deletes media older than the retention period
+  async cleanup(maxAgeHours = this.retentionHours) {
+    try {
+      const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000).toISOString();
+      const expired = (await this.store.list()).filter(item => item.modified_at < cutoff);
+
+      for (const item of expired) {
+        await this.store.delete(item.key);
+      }
+
+      if (expired.length > 0) {
+        logger.info(`Cleaned up ${expired.length} media files`);
+      }
+      return expired.length;
+    } catch (error) {
+      logger.error('Error cleaning up media:', error.message);
+      return 0;
+    }
+  }
+}
+
+module.exports = MediaService;
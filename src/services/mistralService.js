@@ -1,12 +1,47 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { createConversationStore } = require('../storage');
 
 class MistralService {
-  constructor() {
+  constructor(conversationStore = createConversationStore()) {
     this.apiKey = process.env.MISTRAL_API_KEY;
     this.baseUrl = process.env.MISTRAL_BASE_URL || 'https://api.mistral.ai';
     this.defaultModel = 'mistral-large-latest';
-    this.conversationHistory = new Map(); // Store conversation history per user
+    this.conversationStore = conversationStore; // Conversation history per user
+    this.usageListener = null;
+    this.loadConfig();
+  }
+
+  // Re-read by /admin reload
+  loadConfig() {
+    this.conversationTtlHours = parseInt(process.env.CONVERSATION_TTL_HOURS) || 24;
+    this.conversationTokenBudget = parseInt(process.env.CONVERSATION_TOKEN_BUDGET) || 2000;
+  }
+
+  // `listener({ phone, service, operation, model, tokens, prompt_tokens,
+  // completion_tokens })` is told about the tokens of every call made for a
+  // user (see AccountService). Calls without a phone are the bot's own.
+  setUsageListener(listener) {
+    this.usageListener = listener;
+  }
+
+  async recordUsage(phone, operation, model, usage) {
+    if (!phone || !usage || !this.usageListener) {
+      return;
+    }
+    try {
+      await this.usageListener({
+        phone,
+        service: 'mistral',
+        operation,
+        model,
+        tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0
+      });
+    } catch (error) {
+      logger.error('Error recording text usage:', error.message);
+    }
   }
 
   async generateText(prompt, options = {}) {
@@ -17,7 +52,9 @@ class MistralService {
         temperature = 0.7,
         top_p = 1,
         random_seed = null,
-        safe_prompt = true
+        safe_prompt = true,
+        response_format = null,
+        phone = null // The user the text is for, to meter their usage
       } = options;
 
       logger.info(`Generating text with Mistral for prompt: "${prompt.substring(0, 100)}..."`);
@@ -36,7 +73,8 @@ class MistralService {
           temperature,
           top_p,
           random_seed,
-          safe_prompt
+          safe_prompt,
+          ...(response_format ? { response_format } : {})
         },
         {
           headers: {
@@ -48,6 +86,7 @@ class MistralService {
 
       if (response.data.choices && response.data.choices.length > 0) {
         const generatedText = response.data.choices[0].message.content;
+        await this.recordUsage(phone, 'text', model, response.data.usage);
         logger.info('Text generated successfully with Mistral');
         return generatedText;
       } else {
@@ -68,31 +107,25 @@ class MistralService {
         system_prompt = "You are a helpful WhatsApp assistant. Be concise, friendly, and helpful. Respond in a conversational manner suitable for messaging."
       } = options;
 
-      // Get or initialize conversation history
-      if (!this.conversationHistory.has(userPhone)) {
-        this.conversationHistory.set(userPhone, []);
-      }
-
-      const history = this.conversationHistory.get(userPhone);
+      const history = await this.getConversationHistory(userPhone);
       
+      // Summaries of older turns are folded into the system prompt
+      const summaries = history.filter(m => m.role === 'system').map(m => m.content);
+      const turns = history.filter(m => m.role !== 'system');
+
       // Build messages array with system prompt and history
       const messages = [
         {
           role: 'system',
-          content: system_prompt
+          content: [system_prompt, ...summaries].join('\n\n')
         },
-        ...history,
+        ...turns.map(({ role, content }) => ({ role, content })),
         {
           role: 'user',
           content: message
         }
       ];
 
-      // Keep history manageable (last 10 exchanges)
-      if (messages.length > 21) { // system + 10 exchanges (20 messages) + current
-        messages.splice(1, messages.length - 21);
-      }
-
       logger.info(`Chatting with user ${userPhone}: "${message.substring(0, 50)}..."`);
 
       const response = await axios.post(
@@ -113,12 +146,15 @@ class MistralService {
 
       if (response.data.choices && response.data.choices.length > 0) {
         const assistantMessage = response.data.choices[0].message.content;
+        await this.recordUsage(userPhone, 'chat', model, response.data.usage);
         
         // Update conversation history
-        history.push(
-          { role: 'user', content: message },
-          { role: 'assistant', content: assistantMessage }
-        );
+        const timestamp = Date.now();
+        await this.conversationStore.appendMessages(userPhone, [
+          { role: 'user', content: message, timestamp },
+          { role: 'assistant', content: assistantMessage, timestamp }
+        ]);
+        await this.enforceTokenBudget(userPhone);
 
         logger.info(`Chat response generated for user ${userPhone}`);
         return assistantMessage;
@@ -135,12 +171,13 @@ class MistralService {
     try {
       const {
         max_length = 150,
-        style = 'concise'
+        style = 'concise',
+        phone = null
       } = options;
 
       const prompt = `Please summarize the following text in a ${style} manner, keeping it under ${max_length} words:\n\n${text}`;
       
-      return await this.generateText(prompt, { max_tokens: Math.min(max_length * 2, 300) });
+      return await this.generateText(prompt, { max_tokens: Math.min(max_length * 2, 300), phone });
     } catch (error) {
       logger.error('Error summarizing text:', error);
       throw new Error('Failed to summarize text');
@@ -150,25 +187,26 @@ class MistralService {
   async translateText(text, targetLanguage, options = {}) {
     try {
       const {
-        sourceLanguage = 'auto-detect'
+        sourceLanguage = 'auto-detect',
+        phone = null
       } = options;
 
       const prompt = sourceLanguage === 'auto-detect' 
         ? `Translate the following text to ${targetLanguage}:\n\n${text}`
         : `Translate the following text from ${sourceLanguage} to ${targetLanguage}:\n\n${text}`;
       
-      return await this.generateText(prompt, { max_tokens: text.length * 2 });
+      return await this.generateText(prompt, { max_tokens: text.length * 2, phone });
     } catch (error) {
       logger.error('Error translating text:', error);
       throw new Error('Failed to translate text');
     }
   }
 
-  async analyzeImage(imageDescription, question) {
+  async analyzeImage(imageDescription, question, { phone = null } = {}) {
     try {
       const prompt = `Based on this image description: "${imageDescription}", please answer the following question: ${question}`;
       
-      return await this.generateText(prompt);
+      return await this.generateText(prompt, { phone });
     } catch (error) {
       logger.error('Error analyzing image:', error);
       throw new Error('Failed to analyze image');
@@ -180,7 +218,8 @@ class MistralService {
       const {
         length = 'medium',
         style = 'creative',
-        audience = 'general'
+        audience = 'general',
+        phone = null
       } = options;
 
       let prompt;
@@ -207,46 +246,150 @@ class MistralService {
 
       const maxTokens = length === 'short' ? 200 : length === 'long' ? 800 : 400;
       
-      return await this.generateText(prompt, { max_tokens: maxTokens });
+      return await this.generateText(prompt, { max_tokens: maxTokens, phone });
     } catch (error) {
       logger.error('Error generating creative content:', error);
       throw new Error('Failed to generate creative content');
     }
   }
 
-  async answerQuestion(question, context = null) {
+  async answerQuestion(question, context = null, { phone = null } = {}) {
     try {
       const prompt = context 
         ? `Based on the following context: "${context}"\n\nPlease answer this question: ${question}`
         : `Please answer this question clearly and concisely: ${question}`;
       
-      return await this.generateText(prompt);
+      return await this.generateText(prompt, { phone });
     } catch (error) {
       logger.error('Error answering question:', error);
       throw new Error('Failed to answer question');
     }
   }
 
-  async generateImagePrompt(description) {
+  async generateImagePrompt(description, { phone = null } = {}) {
     try {
       const prompt = `Create a detailed, artistic image generation prompt based on this description: "${description}". Make it suitable for AI image generation with specific details about style, lighting, composition, and quality.`;
       
-      return await this.generateText(prompt, { max_tokens: 200 });
+      return await this.generateText(prompt, { max_tokens: 200, phone });
     } catch (error) {
       logger.error('Error generating image prompt:', error);
       throw new Error('Failed to generate image prompt');
     }
   }
 
-  clearConversationHistory(userPhone) {
-    if (this.conversationHistory.has(userPhone)) {
-      this.conversationHistory.delete(userPhone);
+  // Asks the model what a chat message is for. Returns the parsed JSON
+  // answer ({ intent, confidence, slots }); validation is up to the caller.
+  async classifyIntent(message, intents, { phone } = {}) {
+    try {
+      const prompt = `You classify messages sent to a WhatsApp assistant that can generate images, set reminders, translate text, answer questions and chat.
+
+Reply with JSON only, in this shape:
+{"intent": "${intents.join('|')}", "confidence": 0.0-1.0, "slots": {"prompt": "", "reminder": "", "time": "", "text": "", "language": ""}}
+
+Slots, copied from the message as written:
+- prompt: what to draw (image_generation)
+- reminder: what to be reminded of, time: when (reminder_setting)
+- text: the text to translate, language: the target language (translation)
+Leave out slots that don't apply. Use "chat" for anything else and a low confidence when unsure.
+
+Message: ${JSON.stringify(message)}`;
+
+      const answer = await this.generateText(prompt, {
+        max_tokens: 150,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        phone
+      });
+
+      // Some models wrap the JSON in a code fence despite the response format
+      const json = answer.match(/\{[\s\S]*\}/);
+      if (!json) {
+        throw new Error('No JSON in answer');
+      }
+      return JSON.parse(json[0]);
+    } catch (error) {
+      logger.error('Error classifying intent:', error.message);
+      throw new Error(`Failed to classify intent: ${error.message}`);
+    }
+  }
+
+  async clearConversationHistory(userPhone) {
+    if (await this.conversationStore.clear(userPhone)) {
       logger.info(`Conversation history cleared for user ${userPhone}`);
     }
   }
 
-  getConversationHistory(userPhone) {
-    return this.conversationHistory.get(userPhone) || [];
+  // Returns the messages that are still within the TTL window
+  async getConversationHistory(userPhone) {
+    const cutoff = Date.now() - (this.conversationTtlHours * 60 * 60 * 1000);
+    const messages = await this.conversationStore.getMessages(userPhone);
+    return messages.filter(message => message.timestamp >= cutoff);
+  }
+
+  // Rough token estimate (~4 characters per token) used for the history budget
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  // When the stored history exceeds the per-user token budget, the older turns
+  // are summarized into a single system message and only the most recent
+  // turns (up to half the budget) are kept verbatim. If summarization fails
+  // the older turns are dropped instead.
+  async enforceTokenBudget(userPhone) {
+    const history = await this.getConversationHistory(userPhone);
+    const totalTokens = history.reduce((sum, m) => sum + this.estimateTokens(m.content), 0);
+
+    if (totalTokens <= this.conversationTokenBudget) {
+      return;
+    }
+
+    const recent = [];
+    let recentTokens = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+      const tokens = this.estimateTokens(history[i].content);
+      if (history[i].role === 'system' || recentTokens + tokens > this.conversationTokenBudget / 2) {
+        break;
+      }
+      recent.unshift(history[i]);
+      recentTokens += tokens;
+    }
+
+    // Always keep whole exchanges, starting with a user message
+    while (recent.length > 0 && recent[0].role !== 'user') {
+      recent.shift();
+    }
+
+    const older = history.slice(0, history.length - recent.length);
+
+    try {
+      const summary = await this.summarizeConversation(older, userPhone);
+      await this.conversationStore.replaceMessages(userPhone, [
+        {
+          role: 'system',
+          content: `Summary of the earlier conversation: ${summary}`,
+          timestamp: Date.now(),
+          summary: true
+        },
+        ...recent
+      ]);
+      logger.info(`Summarized ${older.length} older messages for user ${userPhone}`);
+    } catch (error) {
+      logger.warn(`Could not summarize conversation for user ${userPhone}, trimming ${older.length} older messages instead: ${error.message}`);
+      await this.conversationStore.replaceMessages(userPhone, recent);
+    }
+  }
+
+  async summarizeConversation(messages, userPhone = null) {
+    const transcript = messages
+      .map(m => {
+        if (m.role === 'system') return m.content;
+        return `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`;
+      })
+      .join('\n');
+
+    const prompt = `Summarize the following conversation between a user and an assistant in a few sentences. Keep names, facts, preferences and open questions that may matter later:\n\n${transcript}`;
+
+    return await this.generateText(prompt, { max_tokens: 200, phone: userPhone });
   }
 
   async getModels() {
@@ -277,16 +420,19 @@ class MistralService {
     return true;
   }
 
-  // Clean up old conversation histories (call periodically)
-  cleanupOldConversations(maxAgeHours = 24) {
-    const cutoff = Date.now() - (maxAgeHours * 60 * 60 * 1000);
-    
-    for (const [userPhone, history] of this.conversationHistory.entries()) {
-      if (history.length === 0 || 
-          (history[history.length - 1].timestamp && history[history.length - 1].timestamp < cutoff)) {
-        this.conversationHistory.delete(userPhone);
-        logger.info(`Cleaned up old conversation for user ${userPhone}`);
+  // Clean up expired conversation messages (call periodically)
+  async cleanupOldConversations(maxAgeHours = this.conversationTtlHours) {
+    try {
+      const cutoff = Date.now() - (maxAgeHours * 60 * 60 * 1000);
+      const removedCount = await this.conversationStore.removeExpired(cutoff);
+
+      if (removedCount > 0) {
+        logger.info(`Cleaned up ${removedCount} expired conversation messages`);
       }
+
+      return removedCount;
+    } catch (error) {
+      logger.error('Error cleaning up conversations:', error);
     }
   }
 }
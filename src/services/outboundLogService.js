@@ -0,0 +1,124 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { createOutboundStore } = require('../storage');
+
+const STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+// What the bot sent, to whom, over which channel, the provider's message ID
+// and how far it got: sent (accepted by the provider), then delivered and
+// read as receipts come in, or failed. Entries are kept for
+// OUTBOUND_LOG_RETENTION_HOURS and listed by GET /admin/outbound-messages.
+class OutboundLogService {
+  constructor(store = createOutboundStore()) {
+    this.store = store;
+    this.retentionHours = parseInt(process.env.OUTBOUND_LOG_RETENTION_HOURS) || 7 * 24;
+  }
+
+  // Never throws; a message that went out must not fail for want of a log
+  // entry. `error` is the send error of a failed message.
+  async record({ channel, to, type, preview = '', ref = null, providerMessageId = null, error = null }) {
+    try {
+      return await this.store.insert({
+        id: uuidv4(),
+        channel,
+        to,
+        type,
+        preview: String(preview || '').substring(0, 50),
+        ref,
+        status: error ? 'failed' : 'sent',
+        provider_message_id: providerMessageId,
+        error: error ? error.reason || error.message : null,
+        error_code: error ? error.code || null : null,
+        attempts: error ? error.attempts || 1 : null,
+        created_at: new Date().toISOString(),
+        delivered_at: null,
+        read_at: null,
+        failed_at: error ? new Date().toISOString() : null
+      });
+    } catch (storeError) {
+      logger.error('Error recording outbound message:', storeError.message);
+      return null;
+    }
+  }
+
+  // Applies a delivery receipt to the message the provider ID belongs to.
+  // Receipts can arrive out of order, so a status never goes back (a late
+  // "delivered" after "read" is ignored), and a read message can't fail.
+  // Returns the updated entry, or null when the message is unknown or the
+  // receipt changes nothing.
+  async applyStatus(channel, providerMessageId, status, { timestamp = Date.now(), error = null } = {}) {
+    try {
+      if (!STATUSES.includes(status) || !providerMessageId) {
+        return null;
+      }
+
+      const [entry] = await this.store.findAll(e => e.channel === channel && e.provider_message_id === providerMessageId);
+      if (!entry) {
+        return null;
+      }
+
+      const at = new Date(timestamp).toISOString();
+      const changes = status === 'failed'
+        ? { status, failed_at: at, error: error ? error.reason || error.message : null, error_code: error ? error.code || null : null }
+        : { status, [`${status}_at`]: at };
+      const rank = STATUSES.indexOf(status);
+
+      return await this.store.updateIf(entry.id, e =>
+        (status === 'failed' ? ['sent', 'delivered'].includes(e.status) : e.status !== 'failed' && STATUSES.indexOf(e.status) < rank),
+      changes);
+    } catch (error) {
+      logger.error('Error applying delivery status:', error.message);
+      throw new Error('Failed to apply delivery status');
+    }
+  }
+
+  // Newest first, optionally for one address, channel or status
+  async list({ to = null, channel = null, status = null, limit = 50 } = {}) {
+    try {
+      if (status && !STATUSES.includes(status)) {
+        throw Object.assign(new Error(`Status must be one of: ${STATUSES.join(', ')}`), { statusCode: 400 });
+      }
+
+      const entries = await this.store.findAll(entry =>
+        (!to || entry.to === to) &&
+        (!channel || entry.channel === channel) &&
+        (!status || entry.status === status)
+      );
+
+      return entries.reverse().slice(0, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500));
+    } catch (error) {
+      logger.error('Error listing outbound messages:', error.message);
+      throw Object.assign(new Error(`Failed to list outbound messages: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  // Messages sent since `since` by status: { total, sent, delivered, read,
+  // failed }
+  async getStats({ since = new Date(Date.now() - 24 * 60 * 60 * 1000) } = {}) {
+    const cutoff = new Date(since).toISOString();
+    const entries = await this.store.findAll(entry => entry.created_at >= cutoff);
+    const stats = { total: entries.length };
+    for (const status of STATUSES) {
+      stats[status] = entries.filter(entry => entry.status === status).length;
+    }
+    return stats;
+  }
+
+  // Deletes entries older than the retention period
+  async cleanup(maxAgeHours = this.retentionHours) {
+    try {
+      const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000).toISOString();
+      const removedCount = await this.store.removeWhere(entry => entry.created_at < cutoff);
+
+      if (removedCount > 0) {
+        logger.info(`Cleaned up ${removedCount} outbound message log entries`);
+      }
+      return removedCount;
+    } catch (error) {
+      logger.error('Error cleaning up outbound message log:', error.message);
+      return 0;
+    }
+  }
+}
+
+module.exports = OutboundLogService;
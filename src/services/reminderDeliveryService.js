@@ -0,0 +1,325 @@
+const os = require('os');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { maxRequestMs } = require('../channels/transport');
+
+// "5,15,30" -> [5, 15, 30]; an empty value disables escalation
+const parseMinutesList = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  return value.split(',').map(v => parseInt(v.trim(), 10)).filter(v => v > 0);
+};
+
+// Delivery engine behind ReminderService.checkReminders.
+//
+// - Overdue reminders are caught up on every tick. Within the grace window
+//   they are sent normally; past it the late policy decides whether they are
+//   sent with a "missed" note ('send') or marked as expired ('expire').
+// - Failed sends are retried with exponential backoff until the attempt
+//   limit is reached.
+// - Each reminder is claimed in the store before sending, so when several
+//   instances run the same cron only one of them delivers it. A claim whose
+//   lease runs out means the sender died mid-delivery; such reminders are
+//   marked failed rather than re-sent, keeping delivery at-most-once.
+// - High-priority reminders that are not acknowledged (done/snooze) are sent
+//   again after each step of the escalation schedule, counted in minutes
+//   from the first delivery.
+// - Delivery receipts move a sent reminder on to 'delivered' and 'read'. A
+//   provider reporting the first delivery as failed puts the reminder back
+//   to 'retrying'; recipients who can't be reached at all (blocked the bot,
+//   number not on WhatsApp) are not retried.
+class ReminderDeliveryService {
+  // Statuses of a reminder whose message went out
+  static DELIVERED_STATUSES = ['sent', 'delivered', 'read'];
+
+  constructor(reminderService, options = {}) {
+    const {
+      latePolicy = process.env.REMINDER_LATE_POLICY || 'send',
+      graceMinutes = parseInt(process.env.REMINDER_GRACE_MINUTES) || 5,
+      maxAttempts = parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 5,
+      retryBaseSeconds = parseInt(process.env.REMINDER_RETRY_BASE_SECONDS) || 60,
+      retryMaxSeconds = 60 * 60,
+      // A claim must outlast the slowest send, which may fetch a token first
+      claimLeaseSeconds = parseInt(process.env.REMINDER_CLAIM_LEASE_SECONDS) || Math.ceil(2 * maxRequestMs() / 1000),
+      escalationMinutes = parseMinutesList(process.env.REMINDER_ESCALATION_MINUTES, [5, 15, 30]),
+      instanceId = `${os.hostname()}-${process.pid}-${uuidv4().substring(0, 8)}`
+    } = options;
+
+    if (!['send', 'expire'].includes(latePolicy)) {
+      throw new Error(`Invalid reminder late policy: ${latePolicy}`);
+    }
+    if (claimLeaseSeconds * 1000 <= maxRequestMs()) {
+      logger.warn(`Reminder claim lease of ${claimLeaseSeconds}s is shorter than the slowest send; interrupted reminders may be marked failed while still sending`);
+    }
+
+    this.reminderService = reminderService;
+    this.store = reminderService.store;
+    this.latePolicy = latePolicy;
+    this.graceMinutes = graceMinutes;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseSeconds = retryBaseSeconds;
+    this.retryMaxSeconds = retryMaxSeconds;
+    this.claimLeaseSeconds = claimLeaseSeconds;
+    this.escalationMinutes = escalationMinutes;
+    this.instanceId = instanceId;
+  }
+
+  async run(now = moment()) {
+    await this.recoverStaleClaims(now);
+
+    const dueReminders = await this.store.findAll(reminder => this.isDue(reminder, now));
+    const results = { sent: 0, failed: 0, retrying: 0, expired: 0, escalated: 0 };
+
+    for (const reminder of dueReminders) {
+      const outcome = await this.deliver(reminder, now);
+      if (outcome) {
+        results[outcome]++;
+      }
+    }
+
+    results.escalated = await this.escalate(now);
+
+    return results;
+  }
+
+  isDue(reminder, now) {
+    if (reminder.status === 'active' && !reminder.sent) {
+      return !moment(reminder.datetime).isAfter(now);
+    }
+    if (reminder.status === 'retrying') {
+      return !moment(reminder.next_attempt_at).isAfter(now);
+    }
+    return false;
+  }
+
+  isLate(reminder, now) {
+    return now.diff(moment(reminder.datetime), 'minutes', true) > this.graceMinutes;
+  }
+
+  async deliver(reminder, now) {
+    const late = reminder.status === 'active' && this.isLate(reminder, now);
+
+    if (late && this.latePolicy === 'expire') {
+      return this.expire(reminder, now);
+    }
+
+    const claimed = await this.claim(reminder, now);
+    if (!claimed) {
+      return null; // Another instance got there first
+    }
+
+    if (await this.reminderService.isRecipientUnreachable(claimed.phone)) {
+      return this.recordFailure(claimed, Object.assign(new Error('Recipient cannot be reached'), { code: 'unreachable' }), now);
+    }
+
+    try {
+      await this.reminderService.sendReminder(claimed, { late });
+    } catch (error) {
+      return this.recordFailure(claimed, error, now);
+    }
+
+    const sent = await this.store.updateIf(claimed.phone, claimed.id, r => r.claimed_by === this.instanceId, {
+      status: 'sent',
+      sent: true,
+      sent_at: moment().toISOString(),
+      sent_late: late,
+      attempts: (claimed.attempts || 0) + 1,
+      next_attempt_at: null,
+      claimed_by: null,
+      claim_expires_at: null
+    });
+
+    // Otherwise recoverStaleClaims took the claim and scheduled the next one
+    if (sent) {
+      await this.scheduleNext(claimed);
+    }
+
+    return 'sent';
+  }
+
+  async claim(reminder, now) {
+    const expectedStatus = reminder.status;
+
+    return this.store.updateIf(
+      reminder.phone,
+      reminder.id,
+      r => r.status === expectedStatus && !r.sent && !r.claimed_by,
+      {
+        status: 'sending',
+        claimed_by: this.instanceId,
+        claim_expires_at: now.clone().add(this.claimLeaseSeconds, 'seconds').toISOString()
+      }
+    );
+  }
+
+  // The next occurrence of a series is scheduled once, when an occurrence
+  // is first settled. One that was sent and then reported failed already
+  // scheduled it.
+  async scheduleNext(reminder) {
+    if (this.reminderService.isRecurring(reminder) && !reminder.sent_at) {
+      await this.reminderService.scheduleNextRecurrence(reminder);
+    }
+  }
+
+  retryDelaySeconds(attempts) {
+    return Math.min(this.retryBaseSeconds * Math.pow(2, attempts - 1), this.retryMaxSeconds);
+  }
+
+  async recordFailure(reminder, error, now) {
+    const attempts = (reminder.attempts || 0) + 1;
+    const unreachable = error.code === 'unreachable';
+    const exhausted = unreachable || attempts >= this.maxAttempts;
+
+    logger.error(`Error sending reminder ${reminder.id} (attempt ${attempts}/${this.maxAttempts}):`, error);
+
+    await this.store.updateIf(reminder.phone, reminder.id, r => r.claimed_by === this.instanceId, {
+      status: exhausted ? 'failed' : 'retrying',
+      attempts,
+      last_error: error.reason || error.message,
+      next_attempt_at: exhausted ? null : now.clone().add(this.retryDelaySeconds(attempts), 'seconds').toISOString(),
+      claimed_by: null,
+      claim_expires_at: null
+    });
+
+    if (unreachable) {
+      await this.reminderService.markRecipientUnreachable(reminder.phone, error.reason || error.message);
+    }
+
+    if (exhausted) {
+      await this.scheduleNext(reminder);
+    }
+
+    return exhausted ? 'failed' : 'retrying';
+  }
+
+  // Applies a delivery receipt for the message sent for `escalation` (0 is
+  // the first delivery). Returns the updated reminder, or null when the
+  // receipt changes nothing.
+  async applyStatus(reminder, status, { escalation = 0, error = null, at = moment() } = {}) {
+    if (status === 'delivered' || status === 'read') {
+      const from = status === 'delivered' ? ['sent'] : ['sent', 'delivered'];
+      return this.store.updateIf(reminder.phone, reminder.id, r => from.includes(r.status), {
+        status,
+        [`${status}_at`]: at.toISOString()
+      });
+    }
+
+    // A follow-up that didn't arrive is covered by the next escalation step,
+    // and a reply means the first message got through after all
+    if (status !== 'failed' || escalation > 0) {
+      return null;
+    }
+
+    const attempts = reminder.attempts || 1;
+    const unreachable = Boolean(error && error.code === 'unreachable');
+    const exhausted = unreachable || attempts >= this.maxAttempts;
+    const reason = (error && (error.reason || error.message)) || 'Provider reported the message as undelivered';
+
+    const updated = await this.store.updateIf(
+      reminder.phone,
+      reminder.id,
+      r => ['sent', 'delivered'].includes(r.status) && !r.acknowledged_at && (r.escalation_level || 0) === 0,
+      {
+        status: exhausted ? 'failed' : 'retrying',
+        sent: exhausted,
+        last_error: reason,
+        next_attempt_at: exhausted ? null : at.clone().add(this.retryDelaySeconds(attempts), 'seconds').toISOString()
+      }
+    );
+
+    if (updated) {
+      logger.warn(`Reminder ${reminder.id} for ${reminder.phone} was not delivered (${exhausted ? 'giving up' : 'will retry'}): ${reason}`);
+    }
+    return updated;
+  }
+
+  async expire(reminder, now) {
+    const expired = await this.store.updateIf(
+      reminder.phone,
+      reminder.id,
+      r => r.status === 'active' && !r.sent && !r.claimed_by,
+      { status: 'expired', expired_at: now.toISOString() }
+    );
+
+    if (!expired) {
+      return null;
+    }
+
+    logger.warn(`Reminder ${reminder.id} for ${reminder.phone} expired (was due ${reminder.datetime})`);
+
+    await this.scheduleNext(reminder);
+
+    return 'expired';
+  }
+
+  needsEscalation(reminder, now) {
+    const level = reminder.escalation_level || 0;
+
+    return ReminderDeliveryService.DELIVERED_STATUSES.includes(reminder.status) &&
+      reminder.priority === 'high' &&
+      !reminder.acknowledged_at &&
+      level < this.escalationMinutes.length &&
+      !moment(reminder.sent_at).add(this.escalationMinutes[level], 'minutes').isAfter(now);
+  }
+
+  // Each escalation step is claimed by bumping escalation_level, so only one
+  // instance re-sends it. A failed re-send is not retried; the next step of
+  // the schedule tries again.
+  async escalate(now) {
+    const pending = await this.store.findAll(reminder => this.needsEscalation(reminder, now));
+    let escalated = 0;
+
+    for (const reminder of pending) {
+      const level = reminder.escalation_level || 0;
+      const claimed = await this.store.updateIf(
+        reminder.phone,
+        reminder.id,
+        r => !r.acknowledged_at && (r.escalation_level || 0) === level,
+        { escalation_level: level + 1, escalated_at: now.toISOString() }
+      );
+
+      if (!claimed || await this.reminderService.isRecipientUnreachable(claimed.phone)) {
+        continue;
+      }
+
+      try {
+        await this.reminderService.sendReminder(claimed, { escalation: level + 1 });
+        escalated++;
+      } catch (error) {
+        logger.error(`Error escalating reminder ${reminder.id} (step ${level + 1}):`, error);
+      }
+    }
+
+    return escalated;
+  }
+
+  async recoverStaleClaims(now) {
+    const stale = await this.store.findAll(reminder =>
+      reminder.status === 'sending' && moment(reminder.claim_expires_at).isBefore(now)
+    );
+
+    for (const reminder of stale) {
+      const recovered = await this.store.updateIf(
+        reminder.phone,
+        reminder.id,
+        r => r.status === 'sending' && r.claim_expires_at === reminder.claim_expires_at,
+        {
+          status: 'failed',
+          last_error: 'Delivery was interrupted; not retried to avoid a duplicate message',
+          claimed_by: null,
+          claim_expires_at: null
+        }
+      );
+
+      if (recovered) {
+        logger.warn(`Reminder ${reminder.id} claimed by ${reminder.claimed_by} was never confirmed, marking as failed`);
+
+        await this.scheduleNext(reminder);
+      }
+    }
+  }
+}
+
+module.exports = ReminderDeliveryService;
@@ -1,34 +1,132 @@
-const moment = require('moment');
+const moment = require('moment-timezone');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { createReminderStore } = require('../storage');
+const ReminderDeliveryService = require('./reminderDeliveryService');
+const { normalizeRule, nextOccurrence, describeRule } = require('../utils/recurrence');
+const { parseTimeExpression } = require('../utils/timeParser');
+
+const PRIORITIES = ['low', 'normal', 'high'];
+const RECURRENCE_TYPES = ['daily', 'weekly', 'monthly'];
+const UPDATABLE_FIELDS = ['message', 'datetime', 'timezone', 'priority', 'recurring', 'recurrence_type', 'recurrence'];
+const EDITABLE_STATUSES = ['active', 'retrying', 'failed', 'expired'];
+const CANCELLABLE_STATUSES = ['active', 'retrying'];
 
 class ReminderService {
-  constructor() {
-    this.reminders = new Map(); // In-memory storage (use database in production)
+  constructor(store = createReminderStore(), deliveryOptions = {}) {
+    this.store = store; // Memory or file-backed, selected by STORAGE_DRIVER
+    this.delivery = new ReminderDeliveryService(this, deliveryOptions);
     this.whatsappService = null; // Will be injected
+    this.userService = null; // Will be injected
+    this.deliveryListener = null; // Called with each reminder that was sent
+    this.snoozeMinutes = parseInt(process.env.REMINDER_SNOOZE_MINUTES) || 10;
   }
 
   setWhatsAppService(whatsappService) {
     this.whatsappService = whatsappService;
   }
 
+  setDeliveryListener(listener) {
+    this.deliveryListener = listener;
+  }
+
+  setUserService(userService) {
+    this.userService = userService;
+  }
+
+  // Whether the reminder's message went out (it may since have been
+  // delivered or read)
+  isDelivered(reminder) {
+    return ReminderDeliveryService.DELIVERED_STATUSES.includes(reminder.status);
+  }
+
+  // Users flagged after the provider said they can't be reached (see
+  // UserService.markUnreachable) get no reminders until they write again
+  async isRecipientUnreachable(phone) {
+    return this.userService ? this.userService.isUnreachable(phone) : false;
+  }
+
+  async markRecipientUnreachable(phone, reason) {
+    if (this.userService) {
+      await this.userService.markUnreachable(phone, reason);
+    }
+  }
+
+  // Applies a delivery receipt for a message sent for a reminder (see
+  // DeliveryStatusService)
+  async applyDeliveryStatus(phone, reminderId, status, options = {}) {
+    try {
+      const reminder = await this.store.findById(phone, reminderId);
+      return reminder ? await this.delivery.applyStatus(reminder, status, options) : null;
+    } catch (error) {
+      logger.error('Error applying reminder delivery status:', error);
+      throw new Error('Failed to apply reminder delivery status');
+    }
+  }
+
+  // Reminders default to the user's profile timezone when one is available
+  async getTimezone(phone) {
+    return this.userService ? this.userService.getTimezone(phone) : 'UTC';
+  }
+
+  // Formats an instant in the given timezone, e.g. "2024-05-01 09:00 +03"
+  formatTime(datetime, timezone = 'UTC', format = 'YYYY-MM-DD HH:mm z') {
+    return moment.tz(datetime, timezone).format(format);
+  }
+
+  // Parses a datetime in `timezone`. Strings carrying an offset (ISO with Z or
+  // +hh:mm) keep their absolute instant; naive ones are read as local time.
+  // Anything else goes through the natural-language parser ("tomorrow 5pm");
+  // ambiguous phrases are rejected with the possible readings attached.
+  parseDateTime(datetime, timezone = 'UTC') {
+    if (moment.isMoment(datetime) || datetime instanceof Date) {
+      return moment.tz(datetime, timezone);
+    }
+
+    const iso = moment.tz(datetime, moment.ISO_8601, timezone);
+    if (iso.isValid() || typeof datetime !== 'string') {
+      return iso;
+    }
+
+    const parsed = parseTimeExpression(datetime, { timezone });
+    if (parsed.status === 'ambiguous') {
+      throw Object.assign(this.validationError(parsed.error), {
+        alternatives: parsed.alternatives.map(a => a.toISOString())
+      });
+    }
+    return parsed.datetime || moment.invalid();
+  }
+
   async setReminder(phone, message, datetime, options = {}) {
     try {
       const {
-        timezone = 'UTC',
         recurring = false,
         recurrence_type = null, // 'daily', 'weekly', 'monthly'
+        recurrence = null, // Rule object, RRULE string or phrase, see utils/recurrence
         priority = 'normal'
       } = options;
 
+      const timezone = options.timezone || await this.getTimezone(phone);
+      if (!moment.tz.zone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+      }
+
+      const rule = recurrence
+        ? normalizeRule(recurrence, timezone)
+        : (recurring && recurrence_type ? normalizeRule(recurrence_type) : null);
+
       // Parse and validate datetime
-      const reminderTime = moment(datetime);
+      const reminderTime = this.parseDateTime(datetime, timezone);
       if (!reminderTime.isValid()) {
-        throw new Error('Invalid date/time format');
+        throw this.validationError('Invalid date/time format');
       }
 
       if (reminderTime.isBefore(moment())) {
-        throw new Error('Reminder time cannot be in the past');
+        throw this.validationError('Reminder time cannot be in the past');
+      }
+
+      if (rule && rule.until && reminderTime.isAfter(rule.until)) {
+        throw this.validationError('Recurrence end date is before the first reminder');
       }
 
       const reminderId = uuidv4();
@@ -38,38 +136,43 @@ class ReminderService {
         message: message,
         datetime: reminderTime.toISOString(),
         timezone: timezone,
-        recurring: recurring,
-        recurrence_type: recurrence_type,
+        recurring: Boolean(rule),
+        recurrence_type: rule ? rule.freq : null,
+        recurrence: rule,
+        series_id: rule ? reminderId : null,
+        series_start: rule ? reminderTime.toISOString() : null,
+        occurrence: rule ? 1 : null,
         priority: priority,
         status: 'active',
         created_at: moment().toISOString(),
-        sent: false
+        sent: false,
+        attempts: 0
       };
 
       // Store reminder
-      if (!this.reminders.has(phone)) {
-        this.reminders.set(phone, []);
-      }
-      this.reminders.get(phone).push(reminder);
+      await this.store.insert(reminder);
 
       logger.info(`Reminder set for ${phone} at ${reminderTime.format()}: ${message.substring(0, 50)}...`);
       
       return reminder;
     } catch (error) {
       logger.error('Error setting reminder:', error);
-      throw new Error(`Failed to set reminder: ${error.message}`);
+      throw Object.assign(new Error(`Failed to set reminder: ${error.message}`), {
+        statusCode: error.statusCode,
+        alternatives: error.alternatives
+      });
     }
   }
 
   async getUserReminders(phone, options = {}) {
     try {
       const {
-        status = 'all', // 'active', 'sent', 'cancelled', 'all'
+        status = 'all', // 'active', 'sent', 'delivered', 'read', 'cancelled', 'all'
         limit = 50,
         sort = 'datetime' // 'datetime', 'created_at'
       } = options;
 
-      const userReminders = this.reminders.get(phone) || [];
+      const userReminders = await this.store.findByPhone(phone);
       
       let filteredReminders = userReminders;
       
@@ -98,221 +201,446 @@ class ReminderService {
     }
   }
 
-  async cancelReminder(phone, reminderId) {
+  // For recurring reminders `scope` picks between skipping just this
+  // occurrence ('occurrence') and stopping the whole series ('series')
+  async cancelReminder(phone, reminderId, { scope = 'series' } = {}) {
     try {
-      const userReminders = this.reminders.get(phone) || [];
-      const reminderIndex = userReminders.findIndex(r => r.id === reminderId);
-      
-      if (reminderIndex === -1) {
-        throw new Error('Reminder not found');
+      if (!['series', 'occurrence'].includes(scope)) {
+        throw this.validationError('Scope must be "series" or "occurrence"');
       }
 
-      userReminders[reminderIndex].status = 'cancelled';
+      // Only pending reminders can be cancelled; repeating a cancel must not
+      // schedule another next occurrence
+      const reminder = await this.store.updateIf(
+        phone,
+        reminderId,
+        r => CANCELLABLE_STATUSES.includes(r.status),
+        { status: 'cancelled' }
+      );
+
+      if (!reminder) {
+        const existing = await this.store.findById(phone, reminderId);
+        if (!existing) {
+          throw Object.assign(new Error('Reminder not found'), { statusCode: 404 });
+        }
+        throw Object.assign(new Error(`A ${existing.status} reminder cannot be cancelled`), { statusCode: 409 });
+      }
+
+      if (this.isRecurring(reminder)) {
+        if (scope === 'occurrence') {
+          reminder.next = await this.scheduleNextRecurrence(reminder);
+        } else {
+          const seriesId = reminder.series_id || reminder.id;
+          const pending = await this.store.findAll(r =>
+            r.phone === phone && (r.series_id || r.id) === seriesId && CANCELLABLE_STATUSES.includes(r.status)
+          );
+          for (const occurrence of pending) {
+            await this.store.updateIf(phone, occurrence.id, r => CANCELLABLE_STATUSES.includes(r.status), { status: 'cancelled' });
+          }
+        }
+      }
       
-      logger.info(`Reminder cancelled for ${phone}: ${reminderId}`);
-      return userReminders[reminderIndex];
+      logger.info(`Reminder cancelled for ${phone}: ${reminderId} (${scope})`);
+      return reminder;
     } catch (error) {
       logger.error('Error cancelling reminder:', error);
-      throw new Error(`Failed to cancel reminder: ${error.message}`);
+      throw Object.assign(new Error(`Failed to cancel reminder: ${error.message}`), { statusCode: error.statusCode });
     }
   }
 
-  async updateReminder(phone, reminderId, updates) {
+  async updateReminder(phone, reminderId, updates = {}) {
     try {
-      const userReminders = this.reminders.get(phone) || [];
-      const reminderIndex = userReminders.findIndex(r => r.id === reminderId);
-      
-      if (reminderIndex === -1) {
-        throw new Error('Reminder not found');
+      for (const field of Object.keys(updates)) {
+        if (!UPDATABLE_FIELDS.includes(field)) {
+          throw this.validationError(`Field "${field}" cannot be updated`);
+        }
       }
 
-      const reminder = userReminders[reminderIndex];
+      if (Object.keys(updates).length === 0) {
+        throw this.validationError('No changes provided');
+      }
+
+      const existing = await this.store.findById(phone, reminderId);
       
-      // Validate updates
-      if (updates.datetime) {
-        const newTime = moment(updates.datetime);
-        if (!newTime.isValid()) {
-          throw new Error('Invalid date/time format');
-        }
-        if (newTime.isBefore(moment())) {
-          throw new Error('Reminder time cannot be in the past');
+      if (!existing) {
+        throw Object.assign(new Error('Reminder not found'), { statusCode: 404 });
+      }
+
+      const changes = this.validateReminderUpdates(updates, existing.timezone || 'UTC');
+
+      if (!EDITABLE_STATUSES.includes(existing.status)) {
+        throw Object.assign(new Error(`A ${existing.status} reminder cannot be edited`), { statusCode: 409 });
+      }
+
+      if (changes.recurring && !(changes.recurrence || existing.recurrence || existing.recurrence_type)) {
+        throw this.validationError('A recurrence type is required for recurring reminders');
+      }
+
+      // A changed rule starts a new series phase from the (new) reminder time
+      if (changes.recurrence) {
+        const start = changes.datetime || existing.datetime;
+        if (changes.recurrence.until && moment(start).isAfter(changes.recurrence.until)) {
+          throw this.validationError('Recurrence end date is before the next reminder');
         }
-        updates.datetime = newTime.toISOString();
+        Object.assign(changes, {
+          series_id: existing.series_id || existing.id,
+          series_start: start,
+          occurrence: existing.occurrence || 1
+        });
       }
 
-      // Apply updates
-      Object.assign(reminder, updates);
-      reminder.updated_at = moment().toISOString();
+      // A new time reschedules the reminder, re-arming failed and expired ones
+      if (changes.datetime) {
+        Object.assign(changes, {
+          status: 'active',
+          sent: false,
+          sent_at: null,
+          attempts: 0,
+          last_error: null,
+          next_attempt_at: null
+        });
+      }
+
+      // Apply updates unless a delivery claimed the reminder in the meantime
+      const reminder = await this.store.updateIf(
+        phone,
+        reminderId,
+        r => EDITABLE_STATUSES.includes(r.status),
+        { ...changes, updated_at: moment().toISOString() }
+      );
+
+      if (!reminder) {
+        throw Object.assign(new Error('Reminder is being delivered, please try again'), { statusCode: 409 });
+      }
 
       logger.info(`Reminder updated for ${phone}: ${reminderId}`);
       return reminder;
     } catch (error) {
       logger.error('Error updating reminder:', error);
-      throw new Error(`Failed to update reminder: ${error.message}`);
+      throw Object.assign(new Error(`Failed to update reminder: ${error.message}`), {
+        statusCode: error.statusCode,
+        alternatives: error.alternatives
+      });
+    }
+  }
+
+  // Returns the whitelisted, normalized subset of `updates`
+  validateReminderUpdates(updates, currentTimezone = 'UTC') {
+    const changes = {};
+
+    if (updates.timezone !== undefined) {
+      if (!moment.tz.zone(updates.timezone)) {
+        throw this.validationError(`Unknown timezone: ${updates.timezone}`);
+      }
+      changes.timezone = updates.timezone;
+    }
+
+    if (updates.message !== undefined) {
+      if (typeof updates.message !== 'string' || !updates.message.trim()) {
+        throw this.validationError('Message must be a non-empty string');
+      }
+      if (updates.message.length > 1000) {
+        throw this.validationError('Message must be less than 1000 characters');
+      }
+      changes.message = updates.message.trim();
+    }
+
+    if (updates.datetime !== undefined) {
+      const newTime = this.parseDateTime(updates.datetime, changes.timezone || currentTimezone);
+      if (!newTime.isValid()) {
+        throw this.validationError('Invalid date/time format');
+      }
+      if (newTime.isBefore(moment())) {
+        throw this.validationError('Reminder time cannot be in the past');
+      }
+      changes.datetime = newTime.toISOString();
+    }
+
+    if (updates.priority !== undefined) {
+      if (!PRIORITIES.includes(updates.priority)) {
+        throw this.validationError(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+      }
+      changes.priority = updates.priority;
+    }
+
+    if (updates.recurring !== undefined) {
+      if (typeof updates.recurring !== 'boolean') {
+        throw this.validationError('Recurring must be true or false');
+      }
+      changes.recurring = updates.recurring;
+    }
+
+    if (updates.recurrence_type !== undefined && updates.recurrence_type !== null) {
+      if (!RECURRENCE_TYPES.includes(updates.recurrence_type)) {
+        throw this.validationError(`Recurrence type must be one of: ${RECURRENCE_TYPES.join(', ')}`);
+      }
+      changes.recurrence_type = updates.recurrence_type;
+      changes.recurrence = normalizeRule(updates.recurrence_type);
+      if (updates.recurring === undefined) {
+        changes.recurring = true;
+      }
+    } else if (updates.recurrence_type === null) {
+      changes.recurrence_type = null;
+      changes.recurrence = null;
+      changes.recurring = false;
     }
+
+    if (updates.recurrence !== undefined && updates.recurrence !== null) {
+      changes.recurrence = normalizeRule(updates.recurrence, changes.timezone || currentTimezone);
+      changes.recurrence_type = changes.recurrence.freq;
+      changes.recurring = true;
+    } else if (updates.recurrence === null) {
+      changes.recurrence = null;
+      changes.recurrence_type = null;
+      changes.recurring = false;
+    }
+
+    return changes;
   }
 
+  validationError(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+  }
+
+  // Sends due and overdue reminders and retries failed ones. Returns the
+  // number of reminders delivered on this tick.
   async checkReminders() {
     try {
-      const now = moment();
-      let sentCount = 0;
-
-      for (const [phone, userReminders] of this.reminders.entries()) {
-        for (const reminder of userReminders) {
-          if (reminder.status === 'active' && !reminder.sent) {
-            const reminderTime = moment(reminder.datetime);
-            
-            // Check if it's time to send the reminder (within 1 minute)
-            if (now.isSameOrAfter(reminderTime) && now.diff(reminderTime, 'minutes') <= 1) {
-              await this.sendReminder(reminder);
-              sentCount++;
-            }
-          }
-        }
-      }
+      const results = await this.delivery.run();
 
-      if (sentCount > 0) {
-        logger.info(`Sent ${sentCount} reminders`);
+      if (results.sent + results.failed + results.retrying + results.expired > 0) {
+        logger.info(`Reminder check: ${results.sent} sent, ${results.retrying} retrying, ${results.failed} failed, ${results.expired} expired`);
       }
 
-      return sentCount;
+      return results.sent;
     } catch (error) {
       logger.error('Error checking reminders:', error);
     }
   }
 
-  async sendReminder(reminder) {
+  // Sends a single reminder message. Throws on failure; retries and status
+  // bookkeeping are handled by the delivery service.
+  // `escalation` counts the follow-ups of an unacknowledged high-priority
+  // reminder; the first delivery is 0
+  async sendReminder(reminder, { late = false, escalation = 0 } = {}) {
+    if (!this.whatsappService) {
+      throw new Error('WhatsApp service not available');
+    }
+
+    const title = escalation > 0 ? `🚨 *Reminder (follow-up ${escalation})*` : '🔔 *Reminder*';
+    let reminderMessage = `${title}\n\n${reminder.message}\n\n⏰ Scheduled for: ${this.formatTime(reminder.datetime, reminder.timezone)}`;
+
+    if (late) {
+      reminderMessage += '\n\n⚠️ Sorry, this reminder is late - it was missed at its scheduled time.';
+    }
+
+    reminderMessage += '\n\n💬 Reply *done*, *snooze 10m* or *snooze until tomorrow*.';
+    
+    // Channels without interactive messages only get the text. The ref lets
+    // delivery receipts find the reminder again.
+    const ref = { type: 'reminder', id: reminder.id, escalation };
+    if (typeof this.whatsappService.sendButtons === 'function') {
+      await this.whatsappService.sendButtons(reminder.phone, reminderMessage, this.getReminderButtons(reminder), { ref });
+    } else {
+      await this.whatsappService.sendMessage(reminder.phone, reminderMessage, { ref });
+    }
+
+    logger.info(`Reminder sent to ${reminder.phone}: ${reminder.message.substring(0, 50)}...`);
+
+    if (this.deliveryListener) {
+      try {
+        await this.deliveryListener(reminder);
+      } catch (error) {
+        logger.error('Error in reminder delivery listener:', error);
+      }
+    }
+  }
+
+  // Button ids carry the reminder id so replies always reach the right one
+  getReminderButtons(reminder) {
+    return [
+      { id: `reminder:done:${reminder.id}`, title: '✅ Done' },
+      { id: `reminder:snooze-10m:${reminder.id}`, title: '⏰ Snooze 10 min' },
+      { id: `reminder:snooze-1h:${reminder.id}`, title: '⏰ Snooze 1 hour' }
+    ];
+  }
+
+  // Marks a delivered reminder as handled, which also stops escalation
+  async acknowledgeReminder(phone, reminderId) {
     try {
-      if (!this.whatsappService) {
-        throw new Error('WhatsApp service not available');
+      const acknowledged = await this.store.updateIf(
+        phone,
+        reminderId,
+        r => this.isDelivered(r) && !r.acknowledged_at,
+        { acknowledged_at: moment().toISOString(), ack_action: 'done' }
+      );
+
+      if (!acknowledged) {
+        throw await this.replyError(phone, reminderId);
       }
 
-      const reminderMessage = `🔔 *Reminder*\n\n${reminder.message}\n\n⏰ Scheduled for: ${moment(reminder.datetime).format('YYYY-MM-DD HH:mm')}`;
-      
-      await this.whatsappService.sendMessage(reminder.phone, reminderMessage);
-      
-      // Mark as sent
-      reminder.sent = true;
-      reminder.sent_at = moment().toISOString();
-      
-      // Handle recurring reminders
-      if (reminder.recurring && reminder.recurrence_type) {
-        await this.scheduleNextRecurrence(reminder);
-      } else {
-        reminder.status = 'sent';
+      logger.info(`Reminder acknowledged by ${phone}: ${reminderId}`);
+      return acknowledged;
+    } catch (error) {
+      logger.error('Error acknowledging reminder:', error);
+      throw Object.assign(new Error(`Failed to acknowledge reminder: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  // Acknowledges a delivered reminder and creates a follow-up occurrence at
+  // `until` (default: REMINDER_SNOOZE_MINUTES from now). Recurring series
+  // carry on from their own schedule; the follow-up is a one-off.
+  async snoozeReminder(phone, reminderId, until = null) {
+    try {
+      const original = await this.store.findById(phone, reminderId);
+      const timezone = (original && original.timezone) || 'UTC';
+      const snoozeUntil = until
+        ? this.parseDateTime(until, timezone)
+        : moment().add(this.snoozeMinutes, 'minutes');
+
+      if (!snoozeUntil.isValid()) {
+        throw this.validationError('Invalid snooze time');
+      }
+      if (!snoozeUntil.isAfter(moment())) {
+        throw this.validationError('Snooze time must be in the future');
+      }
+
+      const followUpId = uuidv4();
+      const snoozed = await this.store.updateIf(
+        phone,
+        reminderId,
+        r => this.isDelivered(r) && !r.acknowledged_at,
+        {
+          acknowledged_at: moment().toISOString(),
+          ack_action: 'snooze',
+          snoozed_until: snoozeUntil.toISOString(),
+          snoozed_to: followUpId
+        }
+      );
+
+      if (!snoozed) {
+        throw await this.replyError(phone, reminderId);
       }
 
-      logger.info(`Reminder sent to ${reminder.phone}: ${reminder.message.substring(0, 50)}...`);
+      const followUp = {
+        id: followUpId,
+        phone: phone,
+        message: snoozed.message,
+        datetime: snoozeUntil.toISOString(),
+        timezone: timezone,
+        recurring: false,
+        recurrence_type: null,
+        recurrence: null,
+        series_id: snoozed.series_id || null,
+        series_start: null,
+        occurrence: snoozed.occurrence || null,
+        priority: snoozed.priority,
+        status: 'active',
+        created_at: moment().toISOString(),
+        sent: false,
+        attempts: 0,
+        snoozed_from: snoozed.id,
+        snooze_count: (snoozed.snooze_count || 0) + 1
+      };
+
+      await this.store.insert(followUp);
+
+      logger.info(`Reminder ${reminderId} snoozed by ${phone} until ${snoozeUntil.format()}`);
+      return followUp;
     } catch (error) {
-      logger.error('Error sending reminder:', error);
-      reminder.status = 'failed';
-      reminder.error = error.message;
+      logger.error('Error snoozing reminder:', error);
+      throw Object.assign(new Error(`Failed to snooze reminder: ${error.message}`), { statusCode: error.statusCode });
     }
   }
 
+  // Why a reply (done/snooze) could not be applied to a reminder
+  async replyError(phone, reminderId) {
+    const reminder = await this.store.findById(phone, reminderId);
+    if (!reminder) {
+      return Object.assign(new Error('Reminder not found'), { statusCode: 404 });
+    }
+    if (reminder.acknowledged_at) {
+      return Object.assign(new Error('Reminder was already handled'), { statusCode: 409 });
+    }
+    return Object.assign(new Error('Reminder has not been delivered yet'), { statusCode: 409 });
+  }
+
+  isRecurring(reminder) {
+    return Boolean(reminder.recurring && (reminder.recurrence || reminder.recurrence_type));
+  }
+
+  // Reminders created before recurrence rules only carry a recurrence_type
+  getRecurrenceRule(reminder) {
+    return reminder.recurrence || normalizeRule(reminder.recurrence_type);
+  }
+
+  describeRecurrence(reminder) {
+    return this.isRecurring(reminder) ? describeRule(this.getRecurrenceRule(reminder), reminder.timezone) : null;
+  }
+
+  // Creates the occurrence after `reminder`, or returns null when the series
+  // has reached its end date or occurrence count
   async scheduleNextRecurrence(reminder) {
     try {
-      const currentTime = moment(reminder.datetime);
-      let nextTime;
-
-      switch (reminder.recurrence_type) {
-        case 'daily':
-          nextTime = currentTime.add(1, 'day');
-          break;
-        case 'weekly':
-          nextTime = currentTime.add(1, 'week');
-          break;
-        case 'monthly':
-          nextTime = currentTime.add(1, 'month');
+      const now = moment();
+      const rule = this.getRecurrenceRule(reminder);
+      const timezone = reminder.timezone || 'UTC';
+      const anchor = reminder.series_start || reminder.datetime;
+      let occurrence = reminder.occurrence || 1;
+
+      // Occurrences are computed in the reminder's own timezone so the
+      // wall-clock time stays the same across daylight saving changes.
+      // Ones already in the past (e.g. after downtime) are skipped.
+      let nextTime = moment(reminder.datetime);
+      do {
+        if (rule.count && occurrence >= rule.count) {
+          nextTime = null;
           break;
-        default:
-          throw new Error('Invalid recurrence type');
+        }
+        nextTime = nextOccurrence(rule, nextTime, timezone, anchor);
+        occurrence++;
+      } while (nextTime && !nextTime.isAfter(now));
+
+      if (!nextTime) {
+        logger.info(`Recurring reminder series ${reminder.series_id || reminder.id} for ${reminder.phone} has ended`);
+        return null;
       }
 
       // Create new reminder for next occurrence
       const nextReminder = {
         ...reminder,
         id: uuidv4(),
+        series_id: reminder.series_id || reminder.id,
+        series_start: anchor,
+        occurrence,
         datetime: nextTime.toISOString(),
         sent: false,
+        sent_at: null,
         status: 'active',
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: null,
+        claimed_by: null,
+        claim_expires_at: null,
         created_at: moment().toISOString()
       };
 
-      const userReminders = this.reminders.get(reminder.phone);
-      userReminders.push(nextReminder);
+      await this.store.insert(nextReminder);
 
       logger.info(`Next recurring reminder scheduled for ${reminder.phone} at ${nextTime.format()}`);
+      return nextReminder;
     } catch (error) {
       logger.error('Error scheduling next recurrence:', error);
+      return null;
     }
   }
 
-  parseNaturalLanguageTime(text) {
-    try {
-      const now = moment();
-      const lowerText = text.toLowerCase();
-
-      // Handle relative times
-      if (lowerText.includes('tomorrow')) {
-        const timeMatch = lowerText.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/);
-        if (timeMatch) {
-          const hour = parseInt(timeMatch[1]);
-          const minute = parseInt(timeMatch[2]) || 0;
-          const isPM = timeMatch[3] === 'pm';
-          
-          let finalHour = hour;
-          if (isPM && hour < 12) finalHour += 12;
-          if (!isPM && hour === 12) finalHour = 0;
-          
-          return now.clone().add(1, 'day').hour(finalHour).minute(minute).second(0);
-        }
-      }
-
-      // Handle "in X minutes/hours/days"
-      const inMatch = lowerText.match(/in (\d+) (minute|hour|day)s?/);
-      if (inMatch) {
-        const amount = parseInt(inMatch[1]);
-        const unit = inMatch[2];
-        return now.clone().add(amount, unit);
-      }
-
-      // Handle "at X:XX" (today)
-      const timeMatch = lowerText.match(/at (\d{1,2}):(\d{2})\s*(am|pm)?/);
-      if (timeMatch) {
-        const hour = parseInt(timeMatch[1]);
-        const minute = parseInt(timeMatch[2]);
-        const isPM = timeMatch[3] === 'pm';
-        
-        let finalHour = hour;
-        if (isPM && hour < 12) finalHour += 12;
-        if (!isPM && hour === 12) finalHour = 0;
-        
-        const targetTime = now.clone().hour(finalHour).minute(minute).second(0);
-        
-        // If time has passed today, schedule for tomorrow
-        if (targetTime.isBefore(now)) {
-          targetTime.add(1, 'day');
-        }
-        
-        return targetTime;
-      }
-
-      // Handle specific dates
-      const dateMatch = lowerText.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
-      if (dateMatch) {
-        const month = parseInt(dateMatch[1]) - 1; // JavaScript months are 0-indexed
-        const day = parseInt(dateMatch[2]);
-        const year = parseInt(dateMatch[3]);
-        return moment([year, month, day]);
-      }
-
-      // Fall back to moment parsing
-      return moment(text);
-    } catch (error) {
-      logger.error('Error parsing natural language time:', error);
-      throw new Error('Could not understand the time format');
-    }
+  // Times of day are interpreted as wall-clock time in `timezone`. Returns an
+  // invalid moment unless the phrase is unambiguous; use utils/timeParser
+  // directly to find out why.
+  parseNaturalLanguageTime(text, timezone = 'UTC') {
+    const parsed = parseTimeExpression(text, { timezone });
+    return parsed.status === 'ok' ? parsed.datetime : moment.invalid();
   }
 
   async getUpcomingReminders(phone, hours = 24) {
@@ -332,43 +660,34 @@ class ReminderService {
   }
 
   // Clean up old reminders (call periodically)
-  cleanupOldReminders(daysOld = 30) {
-    const cutoff = moment().subtract(daysOld, 'days');
-    let cleanedCount = 0;
+  async cleanupOldReminders(daysOld = 30) {
+    try {
+      const cutoff = moment().subtract(daysOld, 'days');
 
-    for (const [phone, userReminders] of this.reminders.entries()) {
-      const initialLength = userReminders.length;
-      
       // Remove old sent or cancelled reminders
-      this.reminders.set(phone, userReminders.filter(reminder => {
+      const cleanedCount = await this.store.removeWhere(reminder => {
         const reminderTime = moment(reminder.datetime);
-        return reminder.status === 'active' || reminderTime.isAfter(cutoff);
-      }));
+        return reminder.status !== 'active' && !reminderTime.isAfter(cutoff);
+      });
 
-      cleanedCount += initialLength - this.reminders.get(phone).length;
-    }
+      if (cleanedCount > 0) {
+        logger.info(`Cleaned up ${cleanedCount} old reminders`);
+      }
 
-    if (cleanedCount > 0) {
-      logger.info(`Cleaned up ${cleanedCount} old reminders`);
+      return cleanedCount;
+    } catch (error) {
+      logger.error('Error cleaning up reminders:', error);
     }
   }
 
-  getStats() {
-    let totalReminders = 0;
-    let activeReminders = 0;
-    let sentReminders = 0;
-
-    for (const userReminders of this.reminders.values()) {
-      totalReminders += userReminders.length;
-      activeReminders += userReminders.filter(r => r.status === 'active').length;
-      sentReminders += userReminders.filter(r => r.status === 'sent').length;
-    }
+  async getStats() {
+    const reminders = await this.store.findAll();
 
     return {
-      total: totalReminders,
-      active: activeReminders,
-      sent: sentReminders,
-      users: this.reminders.size
+      total: reminders.length,
+      active: reminders.filter(r => r.status === 'active').length,
+      sent: reminders.filter(r => this.isDelivered(r)).length,
+      users: new Set(reminders.map(r => r.phone)).size
     };
   }
 }
@@ -0,0 +1,64 @@
+const logger = require('../utils/logger');
+const MediaService = require('./mediaService');
+const { createSpeechProvider } = require('../speech');
+
+// Voice notes in, spoken replies out. The provider does the speech work
+// (SPEECH_PROVIDER); synthesized audio is kept in the media store so
+// WhatsApp can fetch it from a signed URL.
+class SpeechService {
+  constructor(provider = createSpeechProvider(), mediaService = new MediaService()) {
+    this.provider = provider;
+    this.mediaService = mediaService;
+    // Longer replies are sent as text; nobody wants a five minute voice note
+    this.maxReplyChars = parseInt(process.env.VOICE_REPLY_MAX_CHARS) || 1000;
+  }
+
+  // Returns the transcript, or '' when no speech was recognized
+  async transcribe(audio, { mimeType } = {}) {
+    try {
+      const text = await this.provider.transcribe(audio, { mimeType });
+      const transcript = (text || '').replace(/\s+/g, ' ').trim();
+
+      logger.info(`Voice note transcribed (${audio.length} bytes, ${transcript.length} characters)`);
+      return transcript;
+    } catch (error) {
+      logger.error('Error transcribing audio:', error.response?.data || error.message);
+      throw Object.assign(new Error(`Failed to transcribe audio: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+
+  // WhatsApp formatting and emoji are dropped rather than read out
+  spokenText(text) {
+    return (text || '')
+      .replace(/\p{Extended_Pictographic}\uFE0F?/gu, '')
+      .replace(/[*_~`]/g, '')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\s*\n\s*/g, '\n')
+      .trim();
+  }
+
+  canSpeak(text) {
+    const spoken = this.spokenText(text);
+    return spoken.length > 0 && spoken.length <= this.maxReplyChars;
+  }
+
+  // Synthesizes `text` and returns a signed URL to the audio
+  async synthesize(text) {
+    try {
+      if (!this.canSpeak(text)) {
+        throw Object.assign(new Error(`Text must be 1-${this.maxReplyChars} characters`), { statusCode: 400 });
+      }
+
+      const { data } = await this.provider.synthesize(this.spokenText(text));
+      const { url, key } = await this.mediaService.save(data);
+
+      logger.info(`Spoken reply stored: ${key}`);
+      return url;
+    } catch (error) {
+      logger.error('Error synthesizing speech:', error.response?.data || error.message);
+      throw Object.assign(new Error(`Failed to synthesize speech: ${error.message}`), { statusCode: error.statusCode });
+    }
+  }
+}
+
+module.exports = SpeechService;
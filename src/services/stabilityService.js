@@ -1,12 +1,47 @@
 const axios = require('axios');
 const FormData = require('form-data');
+const sharp = require('sharp');
 const logger = require('../utils/logger');
+const MediaService = require('./mediaService');
+
+// The only sizes SDXL takes an init image in, [width, height]
+const SDXL_SIZES = [
+  [1024, 1024], [1152, 896], [896, 1152], [1216, 832], [832, 1216],
+  [1344, 768], [768, 1344], [1536, 640], [640, 1536]
+];
+
+// The SDXL size closest in shape to width × height
+const closestSdxlSize = (width, height) => {
+  const ratio = Math.log(width / height);
+  return SDXL_SIZES.reduce((best, size) =>
+    (Math.abs(Math.log(size[0] / size[1]) - ratio) < Math.abs(Math.log(best[0] / best[1]) - ratio) ? size : best)
+  );
+};
 
 class StabilityService {
-  constructor() {
+  constructor(mediaService = new MediaService()) {
+    this.mediaService = mediaService; // Stores images and signs their URLs
     this.apiKey = process.env.STABILITY_API_KEY;
     this.baseUrl = process.env.STABILITY_BASE_URL || 'https://api.stability.ai';
     this.defaultModel = 'stable-diffusion-xl-1024-v1-0';
+    this.usageListener = null;
+  }
+
+  // `listener({ phone, service, operation, steps, width, height, samples })`
+  // is told about every image generated for a user (see AccountService)
+  setUsageListener(listener) {
+    this.usageListener = listener;
+  }
+
+  async recordUsage(usage) {
+    if (!usage.phone || !this.usageListener) {
+      return;
+    }
+    try {
+      await this.usageListener({ service: 'stability', ...usage });
+    } catch (error) {
+      logger.error('Error recording image usage:', error.message);
+    }
   }
 
   async generateImage(prompt, options = {}) {
@@ -20,7 +55,8 @@ class StabilityService {
         cfg_scale = 7,
         samples = 1,
         style = 'enhance',
-        negative_prompt = 'blurry, bad quality, distorted, deformed'
+        negative_prompt = 'blurry, bad quality, distorted, deformed',
+        phone = null // The user the image is for, to meter their usage
       } = options;
 
       logger.info(`Generating image with prompt: "${prompt.substring(0, 100)}..."`);
@@ -58,8 +94,9 @@ class StabilityService {
       if (response.data.artifacts && response.data.artifacts.length > 0) {
         const base64Image = response.data.artifacts[0].base64;
         
-        // Convert base64 to hosted URL (you might want to upload to a cloud storage)
+        // Store the image and get a URL WhatsApp can fetch
         const imageUrl = await this.uploadBase64Image(base64Image);
+        await this.recordUsage({ phone, operation: 'image', steps, width, height, samples });
         
         logger.info('Image generated successfully');
         return imageUrl;
@@ -80,11 +117,15 @@ class StabilityService {
         steps = 30,
         seed = Math.floor(Math.random() * 1000000),
         cfg_scale = 7,
-        samples = 1
+        samples = 1,
+        phone = null // The user the image is for, to meter their usage
       } = options;
 
+      // The output has the size of the init image, which is what is metered
+      const { image, width, height } = await this.fitToSdxl(initImage);
+
       const formData = new FormData();
-      formData.append('init_image', initImage);
+      formData.append('init_image', image, { filename: 'init_image.png' });
       formData.append('init_image_mode', 'IMAGE_STRENGTH');
       formData.append('image_strength', image_strength);
       formData.append('text_prompts[0][text]', prompt);
@@ -109,6 +150,7 @@ class StabilityService {
       if (response.data.artifacts && response.data.artifacts.length > 0) {
         const base64Image = response.data.artifacts[0].base64;
         const imageUrl = await this.uploadBase64Image(base64Image);
+        await this.recordUsage({ phone, operation: 'image_to_image', steps, width, height, samples });
         
         logger.info('Image-to-image generation successful');
         return imageUrl;
@@ -121,14 +163,37 @@ class StabilityService {
     }
   }
 
+  // Crops the photo to the SDXL size closest in shape and scales it to that
+  // size, after turning it upright. Returns { image, width, height }.
+  async fitToSdxl(photo) {
+    const { width, height, orientation } = await sharp(photo).metadata();
+    // Orientations 5-8 are rotated by 90 degrees
+    const [targetWidth, targetHeight] = orientation >= 5
+      ? closestSdxlSize(height, width)
+      : closestSdxlSize(width, height);
+
+    const image = await sharp(photo)
+      .rotate()
+      .resize(targetWidth, targetHeight, { fit: 'cover' })
+      .png()
+      .toBuffer();
+    return { image, width: targetWidth, height: targetHeight };
+  }
+
+  // Doubles the resolution by default. The API takes either a target width
+  // or a target height, not both. Usage is metered by the size of the
+  // original (`originalWidth`, `originalHeight`).
   async upscaleImage(image, options = {}) {
     try {
-      const { width = 2048, height = 2048 } = options;
+      const { width, height, phone = null, originalWidth = 1024, originalHeight = 1024 } = options;
 
       const formData = new FormData();
-      formData.append('image', image);
-      formData.append('width', width);
-      formData.append('height', height);
+      formData.append('image', image, { filename: 'image' });
+      if (width) {
+        formData.append('width', width);
+      } else if (height) {
+        formData.append('height', height);
+      }
 
       const response = await axios.post(
         `${this.baseUrl}/v1/generation/esrgan-v1-x2plus/image-to-image/upscale`,
@@ -145,6 +210,7 @@ class StabilityService {
       if (response.data.artifacts && response.data.artifacts.length > 0) {
         const base64Image = response.data.artifacts[0].base64;
         const imageUrl = await this.uploadBase64Image(base64Image);
+        await this.recordUsage({ phone, operation: 'upscale', width: originalWidth, height: originalHeight });
         
         logger.info('Image upscaling successful');
         return imageUrl;
@@ -157,20 +223,12 @@ class StabilityService {
     }
   }
 
+  // Saves a generated image to the media store and returns a signed URL
   async uploadBase64Image(base64Data) {
     try {
-      // In a real implementation, you would upload this to a cloud storage service
-      // For now, we'll create a data URL (not recommended for production)
-      // You should implement actual file upload to AWS S3, Cloudinary, etc.
-      
-      // Simple implementation returning data URL (replace with actual upload)
-      const dataUrl = `data:image/png;base64,${base64Data}`;
-      
-      // TODO: Replace with actual cloud storage upload
-      // Example with AWS S3, Cloudinary, or similar service
-      
-      logger.info('Image uploaded successfully (using data URL)');
-      return dataUrl;
+      const { url, key } = await this.mediaService.save(base64Data);
+      logger.info(`Image uploaded successfully: ${key}`);
+      return url;
     } catch (error) {
       logger.error('Error uploading image:', error);
       throw new Error('Failed to upload generated image');
@@ -0,0 +1,209 @@
+const moment = require('moment-timezone');
+const logger = require('../utils/logger');
+const { createUserStore } = require('../storage');
+const { timezoneFromPhone } = require('../utils/phoneTimezones');
+
+class UserService {
+  constructor(store = createUserStore()) {
+    this.store = store;
+    this.defaultTimezone = process.env.DEFAULT_TIMEZONE || 'UTC';
+  }
+
+  async getProfile(phone) {
+    try {
+      const profile = await this.store.get(phone);
+      return profile || { phone };
+    } catch (error) {
+      logger.error('Error getting user profile:', error);
+      throw new Error('Failed to get user profile');
+    }
+  }
+
+  async updateProfile(phone, changes) {
+    try {
+      const existing = await this.store.get(phone);
+      const now = moment().toISOString();
+
+      return await this.store.upsert(phone, {
+        ...(existing ? {} : { created_at: now }),
+        ...changes,
+        updated_at: now
+      });
+    } catch (error) {
+      logger.error('Error updating user profile:', error);
+      throw new Error('Failed to update user profile');
+    }
+  }
+
+  // The user's own choice wins, then the phone's country code, then the default
+  async getTimezone(phone) {
+    const profile = await this.getProfile(phone);
+    return profile.timezone || timezoneFromPhone(phone) || this.defaultTimezone;
+  }
+
+  async getTimezoneInfo(phone) {
+    const profile = await this.getProfile(phone);
+
+    if (profile.timezone) {
+      return { timezone: profile.timezone, source: 'user' };
+    }
+
+    const inferred = timezoneFromPhone(phone);
+    if (inferred) {
+      return { timezone: inferred, source: 'phone' };
+    }
+
+    return { timezone: this.defaultTimezone, source: 'default' };
+  }
+
+  async setTimezone(phone, timezone) {
+    const resolved = this.resolveTimezone(timezone);
+    if (!resolved) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    await this.updateProfile(phone, { timezone: resolved });
+    logger.info(`Timezone for ${phone} set to ${resolved}`);
+    return resolved;
+  }
+
+  // Whether AI answers should be sent as voice notes
+  async getVoiceReplies(phone) {
+    const profile = await this.getProfile(phone);
+    return profile.voice_replies === true;
+  }
+
+  async setVoiceReplies(phone, enabled) {
+    await this.updateProfile(phone, { voice_replies: Boolean(enabled) });
+    logger.info(`Voice replies for ${phone} turned ${enabled ? 'on' : 'off'}`);
+    return Boolean(enabled);
+  }
+
+  // Set when a provider reports that the user can't be reached (blocked the
+  // bot, number not on WhatsApp); reminders are not sent to them until they
+  // write again
+  async markUnreachable(phone, reason) {
+    await this.updateProfile(phone, { unreachable_since: moment().toISOString(), unreachable_reason: reason || null });
+    logger.warn(`${phone} marked as unreachable: ${reason}`);
+  }
+
+  async isUnreachable(phone) {
+    const profile = await this.getProfile(phone);
+    return Boolean(profile.unreachable_since);
+  }
+
+  // Returns true if the user was flagged
+  async clearUnreachable(phone) {
+    if (!(await this.isUnreachable(phone))) {
+      return false;
+    }
+
+    await this.updateProfile(phone, { unreachable_since: null, unreachable_reason: null });
+    logger.info(`${phone} is reachable again`);
+    return true;
+  }
+
+  // Called for every message a user sends: remembers when they were last
+  // seen and their name, and clears an unreachable flag
+  async recordActivity(phone, { name = null } = {}) {
+    const profile = await this.getProfile(phone);
+    await this.updateProfile(phone, {
+      last_seen_at: moment().toISOString(),
+      ...(name ? { name } : {}),
+      ...(profile.unreachable_since ? { unreachable_since: null, unreachable_reason: null } : {})
+    });
+
+    if (profile.unreachable_since) {
+      logger.info(`${phone} is reachable again`);
+    }
+  }
+
+  // Blocked users' messages are ignored (see /admin block)
+  async block(phone, { by = null, reason = null } = {}) {
+    await this.updateProfile(phone, { blocked_at: moment().toISOString(), blocked_by: by, blocked_reason: reason });
+    logger.warn(`${phone} blocked${by ? ` by ${by}` : ''}`);
+  }
+
+  // Returns true if the user was blocked
+  async unblock(phone) {
+    if (!(await this.isBlocked(phone))) {
+      return false;
+    }
+
+    await this.updateProfile(phone, { blocked_at: null, blocked_by: null, blocked_reason: null });
+    logger.info(`${phone} unblocked`);
+    return true;
+  }
+
+  async isBlocked(phone) {
+    const profile = await this.getProfile(phone);
+    return Boolean(profile.blocked_at);
+  }
+
+  // Announcements aren't sent to users who replied STOP. Returns true if
+  // the user wasn't opted out already.
+  async optOut(phone) {
+    if (await this.isOptedOut(phone)) {
+      return false;
+    }
+
+    await this.updateProfile(phone, { opted_out_at: moment().toISOString() });
+    logger.info(`${phone} opted out of announcements`);
+    return true;
+  }
+
+  // Returns true if the user was opted out
+  async optIn(phone) {
+    if (!(await this.isOptedOut(phone))) {
+      return false;
+    }
+
+    await this.updateProfile(phone, { opted_out_at: null });
+    logger.info(`${phone} opted back in to announcements`);
+    return true;
+  }
+
+  async isOptedOut(phone) {
+    const profile = await this.getProfile(phone);
+    return Boolean(profile.opted_out_at);
+  }
+
+  // Tags group users for broadcasts, e.g. "beta" or "newsletter". Stored in
+  // lower case without duplicates.
+  async setTags(phone, tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      throw Object.assign(new Error('Tags must be a list of non-empty strings'), { statusCode: 400 });
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+    await this.updateProfile(phone, { tags: normalized });
+    return normalized;
+  }
+
+  // Everyone the bot has a profile for
+  async listUsers(predicate = () => true) {
+    try {
+      return await this.store.findAll(predicate);
+    } catch (error) {
+      logger.error('Error listing users:', error);
+      throw new Error('Failed to list users');
+    }
+  }
+
+  async clearTimezone(phone) {
+    await this.updateProfile(phone, { timezone: null });
+    return this.getTimezone(phone);
+  }
+
+  // Case-insensitive lookup of an IANA zone name ("europe/istanbul" works too)
+  resolveTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return null;
+    }
+
+    const wanted = timezone.trim().replace(/\s+/g, '_').toLowerCase();
+    return moment.tz.names().find(name => name.toLowerCase() === wanted) || null;
+  }
+}
+
+module.exports = UserService;
@@ -1,208 +1,132 @@
-const axios = require('axios');
-const logger = require('../utils/logger');
-
+const { createChannels } = require('../channels');
+const OutboundLogService = require('./outboundLogService');
+
+// The bot's single entry point for messaging, over several channels
+// (src/channels). Users are addressed by phone number on WhatsApp and by
+// "tg:<chat id>" on Telegram. Plain phone numbers are served by the channel
+// named in WHATSAPP_PROVIDER (SendPulse unless set to whatsapp_cloud); users
+// who write in through the other WhatsApp channel keep its prefix ("wa:" or
+// "sp:") so they are answered there. Every send is recorded in the outbound
+// log.
 class WhatsAppService {
-  constructor() {
-    this.userId = process.env.SENDPULSE_USER_ID;
-    this.secret = process.env.SENDPULSE_SECRET;
-    this.serviceId = process.env.SENDPULSE_WHATSAPP_SERVICE_ID;
-    this.baseUrl = 'https://api.sendpulse.com';
-    this.accessToken = null;
-    this.tokenExpiry = null;
-  }
-
-  async getAccessToken() {
-    if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-      return this.accessToken;
+  constructor(channels = createChannels(), {
+    whatsappChannel = process.env.WHATSAPP_PROVIDER || 'sendpulse',
+    outboundLog = new OutboundLogService()
+  } = {}) {
+    this.channels = new Map(channels.map(channel => [channel.name, channel]));
+    if (!this.channels.has(whatsappChannel)) {
+      throw new Error(`Unknown WhatsApp provider: ${whatsappChannel}`);
     }
+    this.whatsappChannel = whatsappChannel;
+    this.outboundLog = outboundLog;
+  }
 
-    try {
-      const response = await axios.post(`${this.baseUrl}/oauth/access_token`, {
-        grant_type: 'client_credentials',
-        client_id: this.userId,
-        client_secret: this.secret
-      });
-
-      this.accessToken = response.data.access_token;
-      this.tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000; // Refresh 1 minute before expiry
-      
-      logger.info('SendPulse access token obtained successfully');
-      return this.accessToken;
-    } catch (error) {
-      logger.error('Error getting SendPulse access token:', error.response?.data || error.message);
-      throw new Error('Failed to authenticate with SendPulse');
+  getChannel(name = this.whatsappChannel) {
+    const channel = this.channels.get(name);
+    if (!channel) {
+      throw Object.assign(new Error(`Unknown channel: ${name}`), { statusCode: 404 });
     }
+    return channel;
   }
 
-  async sendMessage(phone, message) {
-    try {
-      const token = await this.getAccessToken();
-      
-      const response = await axios.post(
-        `${this.baseUrl}/whatsapp/contacts/sendByPhones`,
-        {
-          phones: [this.formatPhone(phone)],
-          body: message
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      logger.info(`Message sent to ${phone}: ${message.substring(0, 50)}...`);
-      return response.data;
-    } catch (error) {
-      logger.error('Error sending WhatsApp message:', error.response?.data || error.message);
-      throw new Error('Failed to send WhatsApp message');
-    }
+  // The prefix of the addresses a channel's users get; the WHATSAPP_PROVIDER
+  // channel serves plain phone numbers
+  addressPrefix(channel) {
+    return channel.name === this.whatsappChannel ? '' : channel.prefix;
   }
 
-  async sendImage(phone, imageUrl, caption = '') {
-    try {
-      const token = await this.getAccessToken();
-      
-      const response = await axios.post(
-        `${this.baseUrl}/whatsapp/contacts/sendByPhones`,
-        {
-          phones: [this.formatPhone(phone)],
-          body: caption,
-          media: {
-            type: 'image',
-            url: imageUrl
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      logger.info(`Image sent to ${phone}: ${imageUrl}`);
-      return response.data;
-    } catch (error) {
-      logger.error('Error sending WhatsApp image:', error.response?.data || error.message);
-      throw new Error('Failed to send WhatsApp image');
+  // Returns { channel, to }: the channel serving an address and the
+  // recipient as that channel knows it
+  resolve(address) {
+    const value = String(address || '');
+    for (const channel of this.channels.values()) {
+      if (channel.prefix && value.startsWith(channel.prefix)) {
+        return { channel, to: value.substring(channel.prefix.length) };
+      }
     }
+    return { channel: this.getChannel(), to: value };
   }
 
-  async sendDocument(phone, documentUrl, filename, caption = '') {
+  // Sends through the channel serving the address with `send(channel, to)`
+  // and records the outcome. `ref` ties the message to what it was sent for
+  // (e.g. { type: 'reminder', id }) so delivery receipts can find it.
+  async deliver(address, type, preview, ref, send) {
+    const { channel, to } = this.resolve(address);
+    const entry = { channel: channel.name, to: address, type, preview, ref };
+
     try {
-      const token = await this.getAccessToken();
-      
-      const response = await axios.post(
-        `${this.baseUrl}/whatsapp/contacts/sendByPhones`,
-        {
-          phones: [this.formatPhone(phone)],
-          body: caption,
-          media: {
-            type: 'document',
-            url: documentUrl,
-            filename: filename
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      logger.info(`Document sent to ${phone}: ${filename}`);
-      return response.data;
+      const result = await send(channel, to);
+      await this.outboundLog.record({ ...entry, providerMessageId: channel.messageId ? channel.messageId(result) : null });
+      return result;
     } catch (error) {
-      logger.error('Error sending WhatsApp document:', error.response?.data || error.message);
-      throw new Error('Failed to send WhatsApp document');
+      await this.outboundLog.record({ ...entry, error });
+      throw error;
     }
   }
 
-  async sendTemplate(phone, templateName, variables = []) {
-    try {
-      const token = await this.getAccessToken();
-      
-      const response = await axios.post(
-        `${this.baseUrl}/whatsapp/contacts/sendTemplate`,
-        {
-          phones: [this.formatPhone(phone)],
-          template: {
-            name: templateName,
-            language: 'en',
-            variables: variables
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      logger.info(`Template sent to ${phone}: ${templateName}`);
-      return response.data;
-    } catch (error) {
-      logger.error('Error sending WhatsApp template:', error.response?.data || error.message);
-      throw new Error('Failed to send WhatsApp template');
-    }
+  sendMessage(phone, message, { ref = null } = {}) {
+    return this.deliver(phone, 'text', message, ref, (channel, to) => channel.sendMessage(to, message));
+  }
+
+  sendButtons(phone, message, buttons, { ref = null } = {}) {
+    return this.deliver(phone, 'buttons', message, ref, (channel, to) => channel.sendButtons(to, message, buttons));
+  }
+
+  sendImage(phone, imageUrl, caption = '', { ref = null } = {}) {
+    return this.deliver(phone, 'image', caption, ref, (channel, to) => channel.sendImage(to, imageUrl, caption));
+  }
+
+  sendAudio(phone, audioUrl, { ref = null } = {}) {
+    return this.deliver(phone, 'audio', '', ref, (channel, to) => channel.sendAudio(to, audioUrl));
+  }
+
+  sendDocument(phone, documentUrl, filename, caption = '', { ref = null } = {}) {
+    return this.deliver(phone, 'document', filename, ref, (channel, to) => channel.sendDocument(to, documentUrl, filename, caption));
+  }
+
+  sendTemplate(phone, templateName, variables = [], { ref = null } = {}) {
+    return this.deliver(phone, 'template', templateName, ref, (channel, to) => channel.sendTemplate(to, templateName, variables));
+  }
+
+  markAsRead(messageId, phone) {
+    return this.resolve(phone).channel.markAsRead(messageId);
   }
 
   formatPhone(phone) {
-    // Remove any non-digit characters and ensure it starts with country code
-    let formatted = phone.replace(/\D/g, '');
-    
-    // If it doesn't start with country code, assume it's US (+1)
-    if (!formatted.startsWith('1') && formatted.length === 10) {
-      formatted = '1' + formatted;
-    }
-    
-    return formatted;
+    return this.getChannel().formatPhone(phone);
   }
 
-  parseIncomingMessage(webhook) {
-    try {
-      return {
-        phone: webhook.contact?.phone || webhook.from,
-        message: webhook.message?.text || webhook.text,
-        messageId: webhook.message?.id || webhook.id,
-        timestamp: webhook.timestamp || Date.now(),
-        type: webhook.message?.type || 'text',
-        media: webhook.message?.media || null,
-        contact: {
-          name: webhook.contact?.name || 'Unknown',
-          phone: webhook.contact?.phone || webhook.from
-        }
-      };
-    } catch (error) {
-      logger.error('Error parsing incoming message:', error);
-      throw new Error('Failed to parse incoming message');
-    }
+  // Splits a webhook body into the messages it carries
+  extractEvents(body, channelName = this.whatsappChannel) {
+    return this.getChannel(channelName).extractEvents(body);
   }
 
-  async markAsRead(messageId) {
-    try {
-      const token = await this.getAccessToken();
-      
-      await axios.post(
-        `${this.baseUrl}/whatsapp/messages/${messageId}/read`,
-        {},
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      logger.info(`Message marked as read: ${messageId}`);
-    } catch (error) {
-      logger.error('Error marking message as read:', error.response?.data || error.message);
-    }
+  // Delivery receipts in a channel's webhook (see the channels'
+  // extractStatuses)
+  extractStatuses(body, channelName = this.whatsappChannel) {
+    return this.getChannel(channelName).extractStatuses(body);
+  }
+
+  // Parses one message from a channel's webhook. The phone becomes the
+  // user's address, and the message and its media remember the channel so
+  // replies and downloads go back the same way.
+  parseIncomingMessage(webhook, channelName = this.whatsappChannel) {
+    const channel = this.getChannel(channelName);
+    const parsed = channel.parseIncomingMessage(webhook);
+    const phone = parsed.phone ? `${this.addressPrefix(channel)}${parsed.phone}` : parsed.phone;
+
+    return {
+      ...parsed,
+      phone,
+      channel: channel.name,
+      media: parsed.media ? { ...parsed.media, channel: channel.name } : null,
+      contact: { ...parsed.contact, phone }
+    };
+  }
+
+  downloadMedia(media, options = {}) {
+    return this.getChannel((media && media.channel) || this.whatsappChannel).downloadMedia(media, options);
   }
 }
 
-module.exports = WhatsAppService;
\ No newline at end of file
+module.exports = WhatsAppService;
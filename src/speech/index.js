@@ -0,0 +1,17 @@
+const LocalSpeechProvider = require('./localSpeechProvider');
+const OpenAiSpeechProvider = require('./openAiSpeechProvider');
+
+const createSpeechProvider = (provider = (process.env.SPEECH_PROVIDER || 'openai').toLowerCase()) => {
+  switch (provider) {
+    case 'openai':
+      return new OpenAiSpeechProvider();
+    case 'local':
+      return new LocalSpeechProvider();
+    default:
+      throw new Error(`Unknown speech provider: ${provider}`);
+  }
+};
+
+module.exports = {
+  createSpeechProvider
+};
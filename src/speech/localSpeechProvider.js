@@ -0,0 +1,64 @@
+const SAMPLE_RATE = 8000;
+const TEXT_CHUNK = 'text';
+const SECONDS_PER_WORD = 0.1;
+const MAX_SECONDS = 10;
+
+// Offline stand-in for a speech API, for tests and development. Synthesized
+// "speech" is a silent WAV that carries the text in a private RIFF chunk, and
+// transcription reads that chunk back. Players skip chunks they don't know, so
+// the files still play.
+class LocalSpeechProvider {
+  async transcribe(audio) {
+    let offset = 12;
+
+    if (audio.length < 12 || audio.toString('ascii', 0, 4) !== 'RIFF' || audio.toString('ascii', 8, 12) !== 'WAVE') {
+      throw Object.assign(new Error('The local speech provider only reads WAV files it synthesized'), { statusCode: 415 });
+    }
+
+    while (offset + 8 <= audio.length) {
+      const id = audio.toString('ascii', offset, offset + 4);
+      const size = audio.readUInt32LE(offset + 4);
+      if (id === TEXT_CHUNK) {
+        return audio.toString('utf8', offset + 8, Math.min(offset + 8 + size, audio.length));
+      }
+      // Chunks are padded to an even length
+      offset += 8 + size + (size % 2);
+    }
+
+    return '';
+  }
+
+  async synthesize(text) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const seconds = Math.min(Math.max(words * SECONDS_PER_WORD, 0.5), MAX_SECONDS);
+    const samples = Buffer.alloc(Math.round(seconds * SAMPLE_RATE) * 2);
+    const textData = Buffer.from(text, 'utf8');
+
+    const format = Buffer.alloc(24);
+    format.write('fmt ', 0, 'ascii');
+    format.writeUInt32LE(16, 4);
+    format.writeUInt16LE(1, 8); // PCM
+    format.writeUInt16LE(1, 10); // mono
+    format.writeUInt32LE(SAMPLE_RATE, 12);
+    format.writeUInt32LE(SAMPLE_RATE * 2, 16);
+    format.writeUInt16LE(2, 20);
+    format.writeUInt16LE(16, 22);
+
+    const chunk = (id, data) => {
+      const header = Buffer.alloc(8);
+      header.write(id, 0, 'ascii');
+      header.writeUInt32LE(data.length, 4);
+      return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+    };
+
+    const body = Buffer.concat([format, chunk(TEXT_CHUNK, textData), chunk('data', samples)]);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(4 + body.length, 4);
+    header.write('WAVE', 8, 'ascii');
+
+    return { data: Buffer.concat([header, body]), mimeType: 'audio/wav' };
+  }
+}
+
+module.exports = LocalSpeechProvider;
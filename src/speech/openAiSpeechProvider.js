@@ -0,0 +1,66 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'audio/amr': 'amr',
+  'audio/webm': 'webm'
+};
+
+// Speech through an OpenAI-compatible API: POST /v1/audio/transcriptions for
+// speech-to-text and POST /v1/audio/speech for text-to-speech. Mistral's
+// transcription endpoint speaks the same protocol (SPEECH_BASE_URL
+// https://api.mistral.ai, SPEECH_STT_MODEL voxtral-mini-latest) but has no
+// voices, so spoken replies need a provider that does.
+class OpenAiSpeechProvider {
+  constructor({
+    apiKey = process.env.SPEECH_API_KEY || process.env.OPENAI_API_KEY,
+    baseUrl = process.env.SPEECH_BASE_URL || 'https://api.openai.com',
+    transcriptionModel = process.env.SPEECH_STT_MODEL || 'whisper-1',
+    speechModel = process.env.SPEECH_TTS_MODEL || 'tts-1',
+    voice = process.env.SPEECH_TTS_VOICE || 'alloy'
+  } = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.transcriptionModel = transcriptionModel;
+    this.speechModel = speechModel;
+    this.voice = voice;
+  }
+
+  async transcribe(audio, { mimeType = 'audio/ogg' } = {}) {
+    const formData = new FormData();
+    formData.append('file', audio, { filename: `voice.${EXTENSIONS[mimeType] || 'ogg'}`, contentType: mimeType });
+    formData.append('model', this.transcriptionModel);
+
+    const response = await axios.post(`${this.baseUrl}/v1/audio/transcriptions`, formData, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        ...formData.getHeaders()
+      }
+    });
+
+    return response.data.text || '';
+  }
+
+  async synthesize(text) {
+    // Opus in Ogg is what WhatsApp plays as a voice note
+    const response = await axios.post(
+      `${this.baseUrl}/v1/audio/speech`,
+      { model: this.speechModel, voice: this.voice, input: text, response_format: 'opus' },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        responseType: 'arraybuffer'
+      }
+    );
+
+    return { data: Buffer.from(response.data), mimeType: 'audio/ogg' };
+  }
+}
+
+module.exports = OpenAiSpeechProvider;
@@ -0,0 +1,42 @@
+const logger = require('../utils/logger');
+
+// Wraps a shared store so the bot keeps working when it can't be reached:
+// calls that fail with `error.unavailable` go to an in-memory fallback
+// instead, with a warning when that starts and a note when the shared store
+// is back. State written during the outage stays in this process.
+class FallbackStore {
+  constructor(primary, fallback, name = 'state') {
+    this.primary = primary;
+    this.fallback = fallback;
+    this.name = name;
+    this.degraded = false;
+
+    const methods = Object.getOwnPropertyNames(Object.getPrototypeOf(primary))
+      .filter(method => method !== 'constructor' && typeof primary[method] === 'function');
+    for (const method of methods) {
+      this[method] = (...args) => this.call(method, args);
+    }
+  }
+
+  async call(method, args) {
+    try {
+      const result = await this.primary[method](...args);
+      if (this.degraded) {
+        logger.info(`Shared ${this.name} store is back, no longer using memory`);
+        this.degraded = false;
+      }
+      return result;
+    } catch (error) {
+      if (!error.unavailable) {
+        throw error;
+      }
+      if (!this.degraded) {
+        logger.warn(`Shared ${this.name} store is unreachable, using memory until it is back: ${error.message}`);
+        this.degraded = true;
+      }
+      return this.fallback[method](...args);
+    }
+  }
+}
+
+module.exports = FallbackStore;
@@ -0,0 +1,32 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed audit log, shared by instances that use the same data
+// directory.
+class FileAuditStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { entries: [] });
+  }
+
+  async insert(entry) {
+    return this.file.update(data => {
+      data.entries.push(entry);
+      return structuredClone(entry);
+    });
+  }
+
+  async findAll(predicate = () => true) {
+    const data = await this.file.read();
+    return data.entries.filter(predicate);
+  }
+
+  async removeWhere(predicate) {
+    return this.file.update(data => {
+      const kept = data.entries.filter(entry => !predicate(entry));
+      const removedCount = data.entries.length - kept.length;
+      data.entries = kept;
+      return removedCount;
+    });
+  }
+}
+
+module.exports = FileAuditStore;
@@ -0,0 +1,54 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed broadcast campaigns, shared by instances that use the same
+// data directory.
+class FileCampaignStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { campaigns: [] });
+  }
+
+  async insert(campaign) {
+    return this.file.update(data => {
+      data.campaigns.push(campaign);
+      return structuredClone(campaign);
+    });
+  }
+
+  async findById(id) {
+    const data = await this.file.read();
+    return data.campaigns.find(campaign => campaign.id === id) || null;
+  }
+
+  async findAll(predicate = () => true) {
+    const data = await this.file.read();
+    return data.campaigns.filter(predicate);
+  }
+
+  // Compare-and-set under the file lock, safe across processes
+  async updateIf(id, predicate, changes) {
+    return this.file.update(data => {
+      const campaign = data.campaigns.find(c => c.id === id);
+      if (!campaign || !predicate(campaign)) {
+        return null;
+      }
+
+      Object.assign(campaign, changes);
+      return structuredClone(campaign);
+    });
+  }
+
+  async updateRecipient(id, phone, changes) {
+    return this.file.update(data => {
+      const campaign = data.campaigns.find(c => c.id === id);
+      const recipient = campaign && campaign.recipients.find(r => r.phone === phone);
+      if (!recipient) {
+        return null;
+      }
+
+      Object.assign(recipient, changes);
+      return structuredClone(campaign);
+    });
+  }
+}
+
+module.exports = FileCampaignStore;
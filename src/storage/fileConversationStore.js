@@ -0,0 +1,61 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed conversation storage, keyed by phone number.
+class FileConversationStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { conversations: {} });
+  }
+
+  async getMessages(phone) {
+    const data = await this.file.read();
+    return data.conversations[phone] || [];
+  }
+
+  async appendMessages(phone, messages) {
+    await this.file.update(data => {
+      if (!data.conversations[phone]) {
+        data.conversations[phone] = [];
+      }
+      data.conversations[phone].push(...messages);
+    });
+  }
+
+  async replaceMessages(phone, messages) {
+    await this.file.update(data => {
+      if (messages.length === 0) {
+        delete data.conversations[phone];
+      } else {
+        data.conversations[phone] = messages;
+      }
+    });
+  }
+
+  async clear(phone) {
+    return this.file.update(data => {
+      const existed = Boolean(data.conversations[phone]);
+      delete data.conversations[phone];
+      return existed;
+    });
+  }
+
+  async removeExpired(cutoff) {
+    return this.file.update(data => {
+      let removedCount = 0;
+
+      for (const [phone, messages] of Object.entries(data.conversations)) {
+        const kept = messages.filter(message => message.timestamp >= cutoff);
+        removedCount += messages.length - kept.length;
+
+        if (kept.length === 0) {
+          delete data.conversations[phone];
+        } else {
+          data.conversations[phone] = kept;
+        }
+      }
+
+      return removedCount;
+    });
+  }
+}
+
+module.exports = FileConversationStore;
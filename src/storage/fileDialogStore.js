@@ -0,0 +1,44 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed dialog state, keyed by phone number.
+class FileDialogStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { dialogs: {} });
+  }
+
+  async get(phone) {
+    const data = await this.file.read();
+    return data.dialogs[phone] || null;
+  }
+
+  async set(phone, dialog) {
+    await this.file.update(data => {
+      data.dialogs[phone] = dialog;
+    });
+  }
+
+  async delete(phone) {
+    return this.file.update(data => {
+      const existed = Boolean(data.dialogs[phone]);
+      delete data.dialogs[phone];
+      return existed;
+    });
+  }
+
+  async removeExpired(now) {
+    return this.file.update(data => {
+      let removedCount = 0;
+
+      for (const [phone, dialog] of Object.entries(data.dialogs)) {
+        if (dialog.expires_at <= now) {
+          delete data.dialogs[phone];
+          removedCount++;
+        }
+      }
+
+      return removedCount;
+    });
+  }
+}
+
+module.exports = FileDialogStore;
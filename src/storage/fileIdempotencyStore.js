@@ -0,0 +1,57 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed record of processed messages. Claims happen under the file
+// lock, so instances sharing the data directory process a message once.
+class FileIdempotencyStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { records: {} });
+  }
+
+  async claim(key, record, now) {
+    return this.file.update(data => {
+      const existing = data.records[key];
+      if (existing && existing.expires_at > now) {
+        return existing;
+      }
+
+      data.records[key] = record;
+      return null;
+    });
+  }
+
+  async get(key) {
+    const data = await this.file.read();
+    return data.records[key] || null;
+  }
+
+  async set(key, record) {
+    await this.file.update(data => {
+      data.records[key] = record;
+    });
+  }
+
+  async delete(key) {
+    return this.file.update(data => {
+      const existed = Boolean(data.records[key]);
+      delete data.records[key];
+      return existed;
+    });
+  }
+
+  async removeExpired(now) {
+    return this.file.update(data => {
+      let removedCount = 0;
+
+      for (const [key, record] of Object.entries(data.records)) {
+        if (record.expires_at <= now) {
+          delete data.records[key];
+          removedCount++;
+        }
+      }
+
+      return removedCount;
+    });
+  }
+}
+
+module.exports = FileIdempotencyStore;
@@ -0,0 +1,50 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed job storage. Queued jobs survive restarts and instances that
+// share the data directory work off the same queue.
+class FileJobStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { jobs: [] });
+  }
+
+  async insert(job) {
+    return this.file.update(data => {
+      data.jobs.push(job);
+      return structuredClone(job);
+    });
+  }
+
+  async findById(id) {
+    const data = await this.file.read();
+    return data.jobs.find(job => job.id === id) || null;
+  }
+
+  async findAll(predicate = () => true) {
+    const data = await this.file.read();
+    return data.jobs.filter(predicate);
+  }
+
+  // Compare-and-set under the file lock, safe across processes
+  async updateIf(id, predicate, changes) {
+    return this.file.update(data => {
+      const job = data.jobs.find(j => j.id === id);
+      if (!job || !predicate(job)) {
+        return null;
+      }
+
+      Object.assign(job, changes);
+      return structuredClone(job);
+    });
+  }
+
+  async removeWhere(predicate) {
+    return this.file.update(data => {
+      const kept = data.jobs.filter(job => !predicate(job));
+      const removedCount = data.jobs.length - kept.length;
+      data.jobs = kept;
+      return removedCount;
+    });
+  }
+}
+
+module.exports = FileJobStore;
@@ -0,0 +1,28 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed credit ledger, shared by instances that use the same data
+// directory.
+class FileLedgerStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { entries: [] });
+  }
+
+  // Returns null if an entry with the same ID was already recorded
+  async insert(entry) {
+    return this.file.update(data => {
+      if (data.entries.some(e => e.id === entry.id)) {
+        return null;
+      }
+
+      data.entries.push(entry);
+      return structuredClone(entry);
+    });
+  }
+
+  async findByPhone(phone) {
+    const data = await this.file.read();
+    return data.entries.filter(entry => entry.phone === phone);
+  }
+}
+
+module.exports = FileLedgerStore;
@@ -0,0 +1,45 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed outbound message log, shared by instances that use the same
+// data directory.
+class FileOutboundStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { messages: [] });
+  }
+
+  async insert(entry) {
+    return this.file.update(data => {
+      data.messages.push(entry);
+      return structuredClone(entry);
+    });
+  }
+
+  async findAll(predicate = () => true) {
+    const data = await this.file.read();
+    return data.messages.filter(predicate);
+  }
+
+  // Compare-and-set under the file lock, safe across processes
+  async updateIf(id, predicate, changes) {
+    return this.file.update(data => {
+      const entry = data.messages.find(e => e.id === id);
+      if (!entry || !predicate(entry)) {
+        return null;
+      }
+
+      Object.assign(entry, changes);
+      return structuredClone(entry);
+    });
+  }
+
+  async removeWhere(predicate) {
+    return this.file.update(data => {
+      const kept = data.messages.filter(entry => !predicate(entry));
+      const removedCount = data.messages.length - kept.length;
+      data.messages = kept;
+      return removedCount;
+    });
+  }
+}
+
+module.exports = FileOutboundStore;
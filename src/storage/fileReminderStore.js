@@ -0,0 +1,75 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed reminder storage. Reminders are kept in a JSON document keyed
+// by phone number and survive process restarts.
+class FileReminderStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { reminders: {} });
+  }
+
+  async insert(reminder) {
+    return this.file.update(data => {
+      if (!data.reminders[reminder.phone]) {
+        data.reminders[reminder.phone] = [];
+      }
+      data.reminders[reminder.phone].push(reminder);
+      return structuredClone(reminder);
+    });
+  }
+
+  async update(phone, reminderId, changes) {
+    return this.file.update(data => {
+      const reminder = (data.reminders[phone] || []).find(r => r.id === reminderId);
+      if (!reminder) {
+        return null;
+      }
+
+      Object.assign(reminder, changes);
+      return structuredClone(reminder);
+    });
+  }
+
+  // Compare-and-set under the file lock, safe across processes
+  async updateIf(phone, reminderId, predicate, changes) {
+    return this.file.update(data => {
+      const reminder = (data.reminders[phone] || []).find(r => r.id === reminderId);
+      if (!reminder || !predicate(reminder)) {
+        return null;
+      }
+
+      Object.assign(reminder, changes);
+      return structuredClone(reminder);
+    });
+  }
+
+  async findById(phone, reminderId) {
+    const data = await this.file.read();
+    return (data.reminders[phone] || []).find(r => r.id === reminderId) || null;
+  }
+
+  async findByPhone(phone) {
+    const data = await this.file.read();
+    return data.reminders[phone] || [];
+  }
+
+  async findAll(predicate = () => true) {
+    const data = await this.file.read();
+    return Object.values(data.reminders).flat().filter(predicate);
+  }
+
+  async removeWhere(predicate) {
+    return this.file.update(data => {
+      let removedCount = 0;
+
+      for (const [phone, userReminders] of Object.entries(data.reminders)) {
+        const kept = userReminders.filter(reminder => !predicate(reminder));
+        removedCount += userReminders.length - kept.length;
+        data.reminders[phone] = kept;
+      }
+
+      return removedCount;
+    });
+  }
+}
+
+module.exports = FileReminderStore;
@@ -0,0 +1,27 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// File-backed user profile storage, keyed by phone number.
+class FileUserStore {
+  constructor(filePath) {
+    this.file = new JsonFileStore(filePath, { users: {} });
+  }
+
+  async get(phone) {
+    const data = await this.file.read();
+    return data.users[phone] || null;
+  }
+
+  async upsert(phone, changes) {
+    return this.file.update(data => {
+      data.users[phone] = { ...(data.users[phone] || { phone }), ...changes };
+      return structuredClone(data.users[phone]);
+    });
+  }
+
+  async findAll(predicate = () => true) {
+    const data = await this.file.read();
+    return Object.values(data.users).filter(predicate);
+  }
+}
+
+module.exports = FileUserStore;
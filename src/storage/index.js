@@ -0,0 +1,213 @@
+const path = require('path');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const MemoryReminderStore = require('./memoryReminderStore');
+const FileReminderStore = require('./fileReminderStore');
+const MemoryConversationStore = require('./memoryConversationStore');
+const FileConversationStore = require('./fileConversationStore');
+const MemoryUserStore = require('./memoryUserStore');
+const FileUserStore = require('./fileUserStore');
+const MemoryDialogStore = require('./memoryDialogStore');
+const FileDialogStore = require('./fileDialogStore');
+const MemoryIdempotencyStore = require('./memoryIdempotencyStore');
+const FileIdempotencyStore = require('./fileIdempotencyStore');
+const MemoryJobStore = require('./memoryJobStore');
+const FileJobStore = require('./fileJobStore');
+const MemoryOutboundStore = require('./memoryOutboundStore');
+const FileOutboundStore = require('./fileOutboundStore');
+const MemoryLedgerStore = require('./memoryLedgerStore');
+const FileLedgerStore = require('./fileLedgerStore');
+const MemoryAuditStore = require('./memoryAuditStore');
+const FileAuditStore = require('./fileAuditStore');
+const MemoryCampaignStore = require('./memoryCampaignStore');
+const FileCampaignStore = require('./fileCampaignStore');
+const LocalMediaStore = require('./localMediaStore');
+const S3MediaStore = require('./s3MediaStore');
+const RedisClient = require('./redisClient');
+const RedisDialogStore = require('./redisDialogStore');
+const RedisIdempotencyStore = require('./redisIdempotencyStore');
+const RedisRateLimiter = require('./redisRateLimiter');
+const FallbackStore = require('./fallbackStore');
+
+const getDriver = () => (process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+const getDataDir = () => process.env.DATA_DIR || 'data';
+
+// Rate limits, processed-message records and dialog state can be kept in
+// Redis (STATE_DRIVER=redis) so every instance sees the same state
+const getStateDriver = () => (process.env.STATE_DRIVER || getDriver()).toLowerCase();
+const getKeyPrefix = () => process.env.REDIS_KEY_PREFIX || 'whatsapp-bot:';
+
+// One connection per process, opened on first use
+let redisClient = null;
+const getRedisClient = () => {
+  if (!redisClient) {
+    if (!process.env.REDIS_URL) {
+      throw new Error('REDIS_URL is required for the redis driver');
+    }
+    redisClient = new RedisClient(process.env.REDIS_URL);
+  }
+  return redisClient;
+};
+
+const createReminderStore = (driver = getDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryReminderStore();
+    case 'file':
+      return new FileReminderStore(path.join(getDataDir(), 'reminders.json'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createConversationStore = (driver = getDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryConversationStore();
+    case 'file':
+      return new FileConversationStore(path.join(getDataDir(), 'conversations.json'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createUserStore = (driver = getDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryUserStore();
+    case 'file':
+      return new FileUserStore(path.join(getDataDir(), 'users.json'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createDialogStore = (driver = getStateDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryDialogStore();
+    case 'file':
+      return new FileDialogStore(path.join(getDataDir(), 'dialogs.json'));
+    case 'redis':
+      return new FallbackStore(new RedisDialogStore(getRedisClient(), { keyPrefix: getKeyPrefix() }), new MemoryDialogStore(), 'dialog');
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createIdempotencyStore = (driver = getStateDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryIdempotencyStore();
+    case 'file':
+      return new FileIdempotencyStore(path.join(getDataDir(), 'processed-messages.json'));
+    case 'redis':
+      return new FallbackStore(new RedisIdempotencyStore(getRedisClient(), { keyPrefix: getKeyPrefix() }), new MemoryIdempotencyStore(), 'processed-message');
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createJobStore = (driver = (process.env.QUEUE_DRIVER || getDriver()).toLowerCase()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(path.join(getDataDir(), 'jobs.json'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createOutboundStore = (driver = getDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryOutboundStore();
+    case 'file':
+      return new FileOutboundStore(path.join(getDataDir(), 'outbound-messages.json'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createLedgerStore = (driver = getDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryLedgerStore();
+    case 'file':
+      return new FileLedgerStore(path.join(getDataDir(), 'credit-ledger.json'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createAuditStore = (driver = getDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryAuditStore();
+    case 'file':
+      return new FileAuditStore(path.join(getDataDir(), 'audit-log.json'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const createCampaignStore = (driver = getDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryCampaignStore();
+    case 'file':
+      return new FileCampaignStore(path.join(getDataDir(), 'campaigns.json'));
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// Rate limiters count in memory unless STATE_DRIVER is redis; a file
+// driver has no shared counters, so it counts in memory too
+const createRateLimiter = ({ keyPrefix, points, duration }, driver = getStateDriver()) => {
+  switch (driver) {
+    case 'memory':
+    case 'file':
+      return new RateLimiterMemory({ keyPrefix, points, duration });
+    case 'redis':
+      return new RedisRateLimiter(getRedisClient(), { keyPrefix: `${getKeyPrefix()}limit:${keyPrefix}`, points, duration });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// Generated images and other artifacts, selected separately from the data
+// stores by MEDIA_DRIVER (local | s3)
+const createMediaStore = (driver = (process.env.MEDIA_DRIVER || 'local').toLowerCase()) => {
+  switch (driver) {
+    case 'local':
+      return new LocalMediaStore(process.env.MEDIA_DIR || path.join(getDataDir(), 'media'));
+    case 's3':
+      return new S3MediaStore({
+        endpoint: process.env.MEDIA_S3_ENDPOINT || 'https://s3.amazonaws.com',
+        bucket: process.env.MEDIA_S3_BUCKET,
+        region: process.env.MEDIA_S3_REGION || 'us-east-1',
+        accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY,
+        prefix: process.env.MEDIA_S3_PREFIX || ''
+      });
+    default:
+      throw new Error(`Unknown media driver: ${driver}`);
+  }
+};
+
+module.exports = {
+  createReminderStore,
+  createConversationStore,
+  createUserStore,
+  createDialogStore,
+  createIdempotencyStore,
+  createJobStore,
+  createOutboundStore,
+  createLedgerStore,
+  createAuditStore,
+  createCampaignStore,
+  createMediaStore,
+  createRateLimiter,
+  getRedisClient
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// JSON document persisted to a single file. Writes are atomic (temp file +
+// rename) and serialized across processes with an exclusive lock file, so
+// several bot instances can share the same data directory.
+class JsonFileStore {
+  constructor(filePath, defaultData = {}) {
+    this.filePath = path.resolve(filePath);
+    this.lockPath = `${this.filePath}.lock`;
+    this.defaultData = defaultData;
+    this.queue = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  async read() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      return raw.trim() ? JSON.parse(raw) : structuredClone(this.defaultData);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return structuredClone(this.defaultData);
+      }
+      logger.error(`Error reading data file ${this.filePath}:`, error);
+      throw new Error('Failed to read data file');
+    }
+  }
+
+  // Run `mutator(data)` under the file lock and persist the result. The
+  // mutator may modify `data` in place; its return value is passed through.
+  async update(mutator) {
+    const run = this.queue.then(async () => {
+      await this.acquireLock();
+      try {
+        const data = await this.read();
+        const result = await mutator(data);
+        await this.write(data);
+        return result;
+      } finally {
+        await this.releaseLock();
+      }
+    });
+
+    // Keep the queue alive even if this update fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async write(data) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  async acquireLock() {
+    const startedAt = Date.now();
+
+    while (true) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      await this.removeStaleLock();
+
+      if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for lock on ${this.filePath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  async removeStaleLock() {
+    try {
+      const stats = await fs.promises.stat(this.lockPath);
+      if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+        logger.warn(`Removing stale lock file ${this.lockPath}`);
+        await fs.promises.unlink(this.lockPath);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async releaseLock() {
+    try {
+      await fs.promises.unlink(this.lockPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error releasing lock ${this.lockPath}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = JsonFileStore;
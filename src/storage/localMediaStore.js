@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// Media files in a local directory, one file per key. Writes go through a
+// temp file and a rename so readers never see a partial file.
+class LocalMediaStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  async put(key, data) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const tempPath = path.join(this.dir, `.${key}.${process.pid}.${Date.now()}.tmp`);
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, path.join(this.dir, key));
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(path.join(this.dir, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(path.join(this.dir, key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const items = [];
+    for (const name of names.filter(name => !name.startsWith('.'))) {
+      const stat = await fs.promises.stat(path.join(this.dir, name));
+      items.push({ key: name, size: stat.size, modified_at: stat.mtime.toISOString() });
+    }
+    return items;
+  }
+}
+
+module.exports = LocalMediaStore;
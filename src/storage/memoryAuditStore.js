@@ -0,0 +1,26 @@
+// In-memory audit log. Entries are lost when the process exits, so this
+// adapter suits tests and single-instance development.
+class MemoryAuditStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  async insert(entry) {
+    this.entries.push(structuredClone(entry));
+    return structuredClone(entry);
+  }
+
+  // Entries in the order they were recorded
+  async findAll(predicate = () => true) {
+    return structuredClone(this.entries.filter(predicate));
+  }
+
+  async removeWhere(predicate) {
+    const kept = this.entries.filter(entry => !predicate(entry));
+    const removedCount = this.entries.length - kept.length;
+    this.entries = kept;
+    return removedCount;
+  }
+}
+
+module.exports = MemoryAuditStore;
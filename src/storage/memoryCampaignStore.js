@@ -0,0 +1,48 @@
+// In-memory broadcast campaigns. Campaigns are lost when the process exits,
+// so this adapter suits tests and single-instance development.
+class MemoryCampaignStore {
+  constructor() {
+    this.campaigns = new Map(); // id -> campaign, in creation order
+  }
+
+  async insert(campaign) {
+    this.campaigns.set(campaign.id, structuredClone(campaign));
+    return structuredClone(campaign);
+  }
+
+  async findById(id) {
+    const campaign = this.campaigns.get(id);
+    return campaign ? structuredClone(campaign) : null;
+  }
+
+  // Campaigns in the order they were created
+  async findAll(predicate = () => true) {
+    return structuredClone([...this.campaigns.values()].filter(predicate));
+  }
+
+  // Apply `changes` only if `predicate(campaign)` holds, so a pause can't be
+  // undone by a batch finishing at the same time
+  async updateIf(id, predicate, changes) {
+    const campaign = this.campaigns.get(id);
+    if (!campaign || !predicate(campaign)) {
+      return null;
+    }
+
+    Object.assign(campaign, changes);
+    return structuredClone(campaign);
+  }
+
+  // Records the result of sending to one recipient
+  async updateRecipient(id, phone, changes) {
+    const campaign = this.campaigns.get(id);
+    const recipient = campaign && campaign.recipients.find(r => r.phone === phone);
+    if (!recipient) {
+      return null;
+    }
+
+    Object.assign(recipient, changes);
+    return structuredClone(campaign);
+  }
+}
+
+module.exports = MemoryCampaignStore;
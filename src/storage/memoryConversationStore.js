@@ -0,0 +1,49 @@
+// In-memory conversation storage. Each message carries its own timestamp so
+// expiry can be applied per message rather than per conversation.
+class MemoryConversationStore {
+  constructor() {
+    this.conversations = new Map(); // phone -> messages[]
+  }
+
+  async getMessages(phone) {
+    return structuredClone(this.conversations.get(phone) || []);
+  }
+
+  async appendMessages(phone, messages) {
+    if (!this.conversations.has(phone)) {
+      this.conversations.set(phone, []);
+    }
+    this.conversations.get(phone).push(...structuredClone(messages));
+  }
+
+  async replaceMessages(phone, messages) {
+    if (messages.length === 0) {
+      this.conversations.delete(phone);
+      return;
+    }
+    this.conversations.set(phone, structuredClone(messages));
+  }
+
+  async clear(phone) {
+    return this.conversations.delete(phone);
+  }
+
+  async removeExpired(cutoff) {
+    let removedCount = 0;
+
+    for (const [phone, messages] of this.conversations.entries()) {
+      const kept = messages.filter(message => message.timestamp >= cutoff);
+      removedCount += messages.length - kept.length;
+
+      if (kept.length === 0) {
+        this.conversations.delete(phone);
+      } else {
+        this.conversations.set(phone, kept);
+      }
+    }
+
+    return removedCount;
+  }
+}
+
+module.exports = MemoryConversationStore;
@@ -0,0 +1,34 @@
+// In-memory dialog state, one active dialog per phone number.
+class MemoryDialogStore {
+  constructor() {
+    this.dialogs = new Map();
+  }
+
+  async get(phone) {
+    const dialog = this.dialogs.get(phone);
+    return dialog ? structuredClone(dialog) : null;
+  }
+
+  async set(phone, dialog) {
+    this.dialogs.set(phone, structuredClone(dialog));
+  }
+
+  async delete(phone) {
+    return this.dialogs.delete(phone);
+  }
+
+  async removeExpired(now) {
+    let removedCount = 0;
+
+    for (const [phone, dialog] of this.dialogs.entries()) {
+      if (dialog.expires_at <= now) {
+        this.dialogs.delete(phone);
+        removedCount++;
+      }
+    }
+
+    return removedCount;
+  }
+}
+
+module.exports = MemoryDialogStore;
@@ -0,0 +1,46 @@
+// In-memory record of processed messages, keyed by provider message ID.
+class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  // Stores `record` unless an unexpired record exists for `key`, which is
+  // returned instead
+  async claim(key, record, now) {
+    const existing = this.records.get(key);
+    if (existing && existing.expires_at > now) {
+      return structuredClone(existing);
+    }
+
+    this.records.set(key, structuredClone(record));
+    return null;
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    return record ? structuredClone(record) : null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, structuredClone(record));
+  }
+
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  async removeExpired(now) {
+    let removedCount = 0;
+
+    for (const [key, record] of this.records.entries()) {
+      if (record.expires_at <= now) {
+        this.records.delete(key);
+        removedCount++;
+      }
+    }
+
+    return removedCount;
+  }
+}
+
+module.exports = MemoryIdempotencyStore;
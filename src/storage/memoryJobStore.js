@@ -0,0 +1,49 @@
+// In-memory job storage for the queue. Jobs are lost when the process
+// exits, so this adapter suits tests and single-instance development.
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map(); // id -> job, in insertion order
+  }
+
+  async insert(job) {
+    this.jobs.set(job.id, structuredClone(job));
+    return structuredClone(job);
+  }
+
+  async findById(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  // Jobs in the order they were enqueued
+  async findAll(predicate = () => true) {
+    return structuredClone([...this.jobs.values()].filter(predicate));
+  }
+
+  // Apply `changes` only if `predicate(job)` holds; used to claim jobs so
+  // that concurrent workers cannot both run the same one
+  async updateIf(id, predicate, changes) {
+    const job = this.jobs.get(id);
+    if (!job || !predicate(job)) {
+      return null;
+    }
+
+    Object.assign(job, changes);
+    return structuredClone(job);
+  }
+
+  async removeWhere(predicate) {
+    let removedCount = 0;
+
+    for (const [id, job] of this.jobs.entries()) {
+      if (predicate(job)) {
+        this.jobs.delete(id);
+        removedCount++;
+      }
+    }
+
+    return removedCount;
+  }
+}
+
+module.exports = MemoryJobStore;
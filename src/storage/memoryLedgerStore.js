@@ -0,0 +1,24 @@
+// In-memory credit ledger. Entries are lost when the process exits, so this
+// adapter suits tests and single-instance development.
+class MemoryLedgerStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  // Returns null if an entry with the same ID was already recorded
+  async insert(entry) {
+    if (this.entries.some(e => e.id === entry.id)) {
+      return null;
+    }
+
+    this.entries.push(structuredClone(entry));
+    return structuredClone(entry);
+  }
+
+  // Entries in the order they were recorded
+  async findByPhone(phone) {
+    return structuredClone(this.entries.filter(entry => entry.phone === phone));
+  }
+}
+
+module.exports = MemoryLedgerStore;
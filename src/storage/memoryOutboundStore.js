@@ -0,0 +1,37 @@
+// In-memory outbound message log. Entries are lost when the process exits,
+// so this adapter suits tests and single-instance development.
+class MemoryOutboundStore {
+  constructor() {
+    this.messages = [];
+  }
+
+  async insert(entry) {
+    this.messages.push(structuredClone(entry));
+    return structuredClone(entry);
+  }
+
+  // Entries in the order they were sent
+  async findAll(predicate = () => true) {
+    return structuredClone(this.messages.filter(predicate));
+  }
+
+  // Apply `changes` only if `predicate(entry)` holds
+  async updateIf(id, predicate, changes) {
+    const entry = this.messages.find(e => e.id === id);
+    if (!entry || !predicate(entry)) {
+      return null;
+    }
+
+    Object.assign(entry, changes);
+    return structuredClone(entry);
+  }
+
+  async removeWhere(predicate) {
+    const kept = this.messages.filter(entry => !predicate(entry));
+    const removedCount = this.messages.length - kept.length;
+    this.messages = kept;
+    return removedCount;
+  }
+}
+
+module.exports = MemoryOutboundStore;
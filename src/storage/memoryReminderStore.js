@@ -0,0 +1,68 @@
+// In-memory reminder storage. Data is lost when the process exits, so this
+// adapter is meant for tests and single-instance development.
+class MemoryReminderStore {
+  constructor() {
+    this.reminders = new Map(); // phone -> reminders[]
+  }
+
+  async insert(reminder) {
+    if (!this.reminders.has(reminder.phone)) {
+      this.reminders.set(reminder.phone, []);
+    }
+    this.reminders.get(reminder.phone).push(structuredClone(reminder));
+    return structuredClone(reminder);
+  }
+
+  async update(phone, reminderId, changes) {
+    const reminder = (this.reminders.get(phone) || []).find(r => r.id === reminderId);
+    if (!reminder) {
+      return null;
+    }
+
+    Object.assign(reminder, changes);
+    return structuredClone(reminder);
+  }
+
+  // Apply `changes` only if `predicate(reminder)` holds; used to claim
+  // reminders so that concurrent workers cannot both pick the same one
+  async updateIf(phone, reminderId, predicate, changes) {
+    const reminder = (this.reminders.get(phone) || []).find(r => r.id === reminderId);
+    if (!reminder || !predicate(reminder)) {
+      return null;
+    }
+
+    Object.assign(reminder, changes);
+    return structuredClone(reminder);
+  }
+
+  async findById(phone, reminderId) {
+    const reminder = (this.reminders.get(phone) || []).find(r => r.id === reminderId);
+    return reminder ? structuredClone(reminder) : null;
+  }
+
+  async findByPhone(phone) {
+    return structuredClone(this.reminders.get(phone) || []);
+  }
+
+  async findAll(predicate = () => true) {
+    const result = [];
+    for (const userReminders of this.reminders.values()) {
+      result.push(...userReminders.filter(predicate));
+    }
+    return structuredClone(result);
+  }
+
+  async removeWhere(predicate) {
+    let removedCount = 0;
+
+    for (const [phone, userReminders] of this.reminders.entries()) {
+      const kept = userReminders.filter(reminder => !predicate(reminder));
+      removedCount += userReminders.length - kept.length;
+      this.reminders.set(phone, kept);
+    }
+
+    return removedCount;
+  }
+}
+
+module.exports = MemoryReminderStore;
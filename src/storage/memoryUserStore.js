@@ -0,0 +1,23 @@
+// In-memory user profile storage, keyed by phone number.
+class MemoryUserStore {
+  constructor() {
+    this.users = new Map();
+  }
+
+  async get(phone) {
+    const user = this.users.get(phone);
+    return user ? structuredClone(user) : null;
+  }
+
+  async upsert(phone, changes) {
+    const user = { ...(this.users.get(phone) || { phone }), ...changes };
+    this.users.set(phone, user);
+    return structuredClone(user);
+  }
+
+  async findAll(predicate = () => true) {
+    return structuredClone([...this.users.values()].filter(predicate));
+  }
+}
+
+module.exports = MemoryUserStore;
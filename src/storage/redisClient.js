@@ -0,0 +1,264 @@
+const net = require('net');
+const tls = require('tls');
+const logger = require('../utils/logger');
+
+const CRLF = '\r\n';
+
+// Errors meaning the server can't be reached, as opposed to a command the
+// server refused. Stores fall back to memory on these.
+const unavailable = (message) => Object.assign(new Error(message), { unavailable: true });
+
+const encode = (args) => {
+  const parts = [`*${args.length}${CRLF}`];
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(`$${value.length}${CRLF}`, value, CRLF);
+  }
+  return Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+};
+
+// Parses one reply starting at `offset`. Returns { value, offset } or null
+// when the buffer doesn't hold the whole reply yet. Error replies become
+// Error values, so one failed command inside EXEC doesn't hide the others.
+const parse = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: Object.assign(new Error(line), { code: line.split(' ')[0] }), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parse(buffer, position);
+        if (!item) {
+          return null;
+        }
+        values.push(item.value);
+        position = item.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+};
+
+// Minimal Redis client (RESP2) for state shared between instances: one
+// connection per process, pipelined commands and MULTI/EXEC transactions.
+// `url` is redis://[user:password@]host:port[/db], or rediss:// for TLS.
+// When the server can't be reached, commands fail fast with
+// `error.unavailable` for retryDelayMs before a reconnect is tried. A server
+// that rejects the credentials or database fails them with its error
+// instead, so the misconfiguration isn't hidden by a fallback.
+class RedisClient {
+  constructor(url = process.env.REDIS_URL, { connectTimeoutMs = 2000, commandTimeoutMs = 2000, retryDelayMs = 5000 } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port, 10) || 6379;
+    this.tls = parsed.protocol === 'rediss:';
+    this.username = decodeURIComponent(parsed.username) || null;
+    this.password = decodeURIComponent(parsed.password) || null;
+    this.db = parseInt(parsed.pathname.slice(1), 10) || 0;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.commandTimeoutMs = commandTimeoutMs;
+    this.retryDelayMs = retryDelayMs;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = []; // { resolve, reject } in the order commands were written
+    this.buffer = Buffer.alloc(0);
+    this.down = false;
+    this.downUntil = 0;
+    this.refusal = null; // The server's error when it rejected the handshake
+  }
+
+  async command(...args) {
+    await this.connect();
+    const reply = await this.send(args);
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return reply;
+  }
+
+  // Runs `commands` (arrays of arguments) atomically and returns their
+  // replies. Throws the first error reply.
+  async transaction(commands) {
+    await this.connect();
+    const replies = await Promise.all([this.send(['MULTI']), ...commands.map(args => this.send(args)), this.send(['EXEC'])]);
+    const results = replies[replies.length - 1];
+
+    const error = replies.find(reply => reply instanceof Error) || (results || []).find(reply => reply instanceof Error);
+    if (error) {
+      throw error;
+    }
+    if (!results) {
+      throw new Error('Redis transaction was aborted');
+    }
+    return results;
+  }
+
+  connect() {
+    if (this.socket) {
+      return Promise.resolve();
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+    if (Date.now() < this.downUntil) {
+      return Promise.reject(this.refusal || unavailable(`Redis at ${this.host}:${this.port} is unavailable`));
+    }
+    this.refusal = null;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = this.tls
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+      const timer = setTimeout(() => socket.destroy(new Error('Connection timed out')), this.connectTimeoutMs);
+
+      socket.once(this.tls ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        socket.removeAllListeners('error');
+        resolve(socket);
+      });
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    })
+      .then(async (socket) => {
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('error', (error) => this.fail(socket, error));
+        socket.on('close', () => this.fail(socket, new Error('Connection closed')));
+        this.socket = socket;
+
+        if (this.password) {
+          await this.checked(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+        }
+        if (this.db) {
+          await this.checked(['SELECT', this.db]);
+        }
+
+        if (this.down) {
+          logger.info(`Redis at ${this.host}:${this.port} is reachable again`);
+          this.down = false;
+        }
+      })
+      .catch((error) => {
+        this.fail(this.socket, error);
+        if (error.refused) {
+          logger.error(`Redis at ${this.host}:${this.port} refused the connection: ${error.message}`);
+          this.refusal = Object.assign(new Error(`Redis at ${this.host}:${this.port} refused the connection: ${error.message}`), { code: error.code });
+          throw this.refusal;
+        }
+        throw unavailable(`Redis at ${this.host}:${this.port} is unavailable: ${error.message}`);
+      })
+      .finally(() => {
+        this.connecting = null;
+      });
+
+    return this.connecting;
+  }
+
+  // Handshake commands; an error reply means the server refused us
+  async checked(args) {
+    const reply = await this.send(args);
+    if (reply instanceof Error) {
+      throw Object.assign(reply, { refused: true });
+    }
+    return reply;
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(unavailable('Redis connection is closed'));
+        return;
+      }
+
+      // Replies come back in order, so a command that never gets one leaves
+      // the connection unusable
+      const timer = setTimeout(() => this.fail(this.socket, new Error('Command timed out')), this.commandTimeoutMs);
+      this.pending.push({
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (error) => { clearTimeout(timer); reject(error); }
+      });
+      this.socket.write(encode(args));
+    });
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.pending.length > 0 && (reply = parse(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      this.pending.shift().resolve(reply.value);
+    }
+  }
+
+  // Drops the connection and fails everything waiting on it
+  fail(socket, error) {
+    if (socket && socket !== this.socket) {
+      return;
+    }
+
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.buffer = Buffer.alloc(0);
+
+    if (!this.closed) {
+      this.downUntil = Date.now() + this.retryDelayMs;
+      if (!this.down) {
+        logger.warn(`Redis at ${this.host}:${this.port} is unavailable: ${error.message}`);
+        this.down = true;
+      }
+    }
+
+    const pending = this.pending;
+    this.pending = [];
+    for (const { reject } of pending) {
+      reject(unavailable(`Redis request failed: ${error.message}`));
+    }
+  }
+
+  async quit() {
+    this.closed = true;
+    if (this.socket) {
+      this.fail(this.socket, new Error('Connection closed by client'));
+    }
+  }
+}
+
+module.exports = RedisClient;
@@ -0,0 +1,27 @@
+// Dialog state in Redis, one key per phone number, expiring with the dialog.
+class RedisDialogStore {
+  constructor(client, { keyPrefix = '' } = {}) {
+    this.client = client;
+    this.keyPrefix = `${keyPrefix}dialog:`;
+  }
+
+  async get(phone) {
+    const value = await this.client.command('GET', this.keyPrefix + phone);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(phone, dialog) {
+    const ttlMs = Math.max(1, Date.parse(dialog.expires_at) - Date.now());
+    await this.client.command('SET', this.keyPrefix + phone, JSON.stringify(dialog), 'PX', ttlMs);
+  }
+
+  async delete(phone) {
+    return (await this.client.command('DEL', this.keyPrefix + phone)) > 0;
+  }
+
+  async removeExpired() {
+    return 0;
+  }
+}
+
+module.exports = RedisDialogStore;
@@ -0,0 +1,50 @@
+// Record of processed messages in Redis, shared by every instance. Keys
+// expire with their records, so removeExpired has nothing to do.
+const ttlMs = (record) => Math.max(1, Date.parse(record.expires_at) - Date.now());
+
+// Returns the unexpired record at KEYS[1], or stores ARGV[1] with a TTL of
+// ARGV[2] ms and returns nil. ISO timestamps compare as strings.
+const CLAIM_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing and cjson.decode(existing).expires_at > ARGV[3] then
+  return existing
+end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return false
+`;
+
+class RedisIdempotencyStore {
+  static CLAIM_SCRIPT = CLAIM_SCRIPT;
+
+  constructor(client, { keyPrefix = '' } = {}) {
+    this.client = client;
+    this.keyPrefix = `${keyPrefix}processed:`;
+  }
+
+  // Stores `record` unless an unexpired record exists for `key`, which is
+  // returned instead. Runs as one script so two instances can't both take
+  // over an expired record.
+  async claim(key, record, now) {
+    const existing = await this.client.command('EVAL', CLAIM_SCRIPT, 1, this.keyPrefix + key, JSON.stringify(record), ttlMs(record), now);
+    return existing ? JSON.parse(existing) : null;
+  }
+
+  async get(key) {
+    const value = await this.client.command('GET', this.keyPrefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, record) {
+    await this.client.command('SET', this.keyPrefix + key, JSON.stringify(record), 'PX', ttlMs(record));
+  }
+
+  async delete(key) {
+    return (await this.client.command('DEL', this.keyPrefix + key)) > 0;
+  }
+
+  async removeExpired() {
+    return 0;
+  }
+}
+
+module.exports = RedisIdempotencyStore;
@@ -0,0 +1,81 @@
+const { RateLimiterMemory, RateLimiterRes } = require('rate-limiter-flexible');
+const logger = require('../utils/logger');
+
+// Fixed-window rate limiter in Redis with the interface of
+// RateLimiterMemory (consume, get, points, duration), so limits hold across
+// instances. While Redis can't be reached, points are counted in memory.
+class RedisRateLimiter {
+  constructor(client, { keyPrefix = 'rlflx', points = 4, duration = 1 } = {}) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+    this.points = points;
+    this.duration = duration;
+    this.insurance = new RateLimiterMemory({ keyPrefix, points, duration });
+    this.degraded = false;
+  }
+
+  key(key) {
+    return `${this.keyPrefix}:${key}`;
+  }
+
+  // Resolves with a RateLimiterRes, or rejects with one once the key has
+  // used up its points in the current window
+  async consume(key, points = 1) {
+    let consumed;
+    let msBeforeNext;
+    try {
+      [, consumed, msBeforeNext] = await this.client.transaction([
+        ['SET', this.key(key), 0, 'PX', Math.round(this.duration * 1000), 'NX'],
+        ['INCRBY', this.key(key), points],
+        ['PTTL', this.key(key)]
+      ]);
+      this.recovered();
+    } catch (error) {
+      return this.fallBack(error, () => this.insurance.consume(key, points));
+    }
+
+    const res = new RateLimiterRes(Math.max(this.points - consumed, 0), msBeforeNext >= 0 ? msBeforeNext : this.duration * 1000, consumed, consumed === points);
+    if (consumed > this.points) {
+      throw res;
+    }
+    return res;
+  }
+
+  // The key's usage in the current window, or null if it has none
+  async get(key) {
+    let consumed;
+    let msBeforeNext;
+    try {
+      [consumed, msBeforeNext] = await this.client.transaction([['GET', this.key(key)], ['PTTL', this.key(key)]]);
+      this.recovered();
+    } catch (error) {
+      return this.fallBack(error, () => this.insurance.get(key));
+    }
+
+    if (consumed === null) {
+      return null;
+    }
+    consumed = parseInt(consumed, 10);
+    return new RateLimiterRes(Math.max(this.points - consumed, 0), msBeforeNext >= 0 ? msBeforeNext : this.duration * 1000, consumed, false);
+  }
+
+  fallBack(error, useMemory) {
+    if (!error.unavailable) {
+      throw error;
+    }
+    if (!this.degraded) {
+      logger.warn(`Rate limiter ${this.keyPrefix} can't reach Redis, counting in memory until it is back: ${error.message}`);
+      this.degraded = true;
+    }
+    return useMemory();
+  }
+
+  recovered() {
+    if (this.degraded) {
+      logger.info(`Rate limiter ${this.keyPrefix} is using Redis again`);
+      this.degraded = false;
+    }
+  }
+}
+
+module.exports = RedisRateLimiter;
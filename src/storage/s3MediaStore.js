@@ -0,0 +1,83 @@
+const axios = require('axios');
+const { sha256, encode, signRequest } = require('../utils/awsSignature');
+
+// Media objects in an S3-compatible bucket (AWS S3, MinIO, R2, ...), using
+// path-style URLs so a local MinIO works without DNS setup.
+class S3MediaStore {
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '' }) {
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+  }
+
+  async request(method, key, { body, contentType, query = {}, responseType } = {}) {
+    const path = `${this.endpoint.pathname.replace(/\/$/, '')}/${this.bucket}${key === null ? '' : `/${this.prefix}${key}`}`;
+    const payload = body || '';
+    const headers = signRequest({
+      method,
+      path,
+      query,
+      headers: { host: this.endpoint.host, ...(contentType ? { 'content-type': contentType } : {}) },
+      payloadHash: sha256(payload),
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+    delete headers.host;
+
+    const search = Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+    return axios({
+      method,
+      url: `${this.endpoint.origin}${path.split('/').map(encode).join('/')}${search ? `?${search}` : ''}`,
+      data: body,
+      headers,
+      responseType,
+      validateStatus: status => status < 300 || status === 404
+    });
+  }
+
+  async put(key, data, mimeType) {
+    await this.request('PUT', key, { body: data, contentType: mimeType });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key, { responseType: 'arraybuffer' });
+    return response.status === 404 ? null : Buffer.from(response.data);
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+    return true;
+  }
+
+  async list() {
+    const items = [];
+    let token = null;
+
+    do {
+      const query = { 'list-type': '2', ...(this.prefix ? { prefix: this.prefix } : {}), ...(token ? { 'continuation-token': token } : {}) };
+      const response = await this.request('GET', null, { query, responseType: 'text' });
+      const xml = String(response.data);
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const field = (name) => (contents.match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1];
+        items.push({
+          key: field('Key').substring(this.prefix.length),
+          size: parseInt(field('Size'), 10),
+          modified_at: new Date(field('LastModified')).toISOString()
+        });
+      }
+
+      token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+        ? (xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/) || [])[1]
+        : null;
+    } while (token);
+
+    return items;
+  }
+}
+
+module.exports = S3MediaStore;
@@ -0,0 +1,217 @@
+const IntentService = require('../services/intentService');
+
+// Labelled messages: [message, intent, expected slots (optional)]
+const CASES = [
+  // Image generation
+  ['generate image of a cat', 'image_generation', { prompt: 'a cat' }],
+  ['Generate an image of a sunset over the sea', 'image_generation', { prompt: 'a sunset over the sea' }],
+  ['draw a cat wearing a hat', 'image_generation', { prompt: 'a cat wearing a hat' }],
+  ['Can you draw a dragon breathing fire?', 'image_generation', { prompt: 'a dragon breathing fire' }],
+  ['please paint a lighthouse in a storm', 'image_generation', { prompt: 'a lighthouse in a storm' }],
+  ['sketch a mountain cabin in winter', 'image_generation', { prompt: 'a mountain cabin in winter' }],
+  ['draw me a picture of a dragon', 'image_generation', { prompt: 'a dragon' }],
+  ['make me a picture of a robot playing chess', 'image_generation', { prompt: 'a robot playing chess' }],
+  ['I want a picture of a horse on the beach', 'image_generation', { prompt: 'a horse on the beach' }],
+  ['show me an image of the northern lights', 'image_generation', { prompt: 'the northern lights' }],
+  ['generate a photo of a vintage car', 'image_generation', { prompt: 'a vintage car' }],
+  ['render a 3d image of a spaceship', 'image_generation', { prompt: 'a spaceship' }],
+  ['could you create an illustration of a fox reading a book', 'image_generation', { prompt: 'a fox reading a book' }],
+  ['create a drawing of my dog', 'image_generation', { prompt: 'my dog' }],
+  ['design a logo for my coffee shop', 'image_generation', { prompt: 'a logo for my coffee shop' }],
+  ['illustrate a fairy tale castle', 'image_generation', { prompt: 'a fairy tale castle' }],
+  ['create a wallpaper with neon cityscapes', 'image_generation'],
+  ['generate a picture', 'image_generation', {}],
+  ['draw', 'image_generation', {}],
+
+  // Reminders
+  ['remind me to call mom', 'reminder_setting', { reminder: 'call mom' }],
+  ['remind me to call mom at 3pm', 'reminder_setting', { reminder: 'call mom', time: 'at 3pm' }],
+  ['Remind me to take my pills tomorrow morning', 'reminder_setting', { reminder: 'take my pills', time: 'tomorrow morning' }],
+  ['remind me in 20 minutes to check the oven', 'reminder_setting', { reminder: 'check the oven', time: 'in 20 minutes' }],
+  ['set a reminder for the dentist on friday at 10am', 'reminder_setting', { reminder: 'the dentist', time: 'on friday at 10am' }],
+  ['can you remind me about the meeting at 2pm', 'reminder_setting', { reminder: 'the meeting', time: 'at 2pm' }],
+  ['don\'t let me forget to water the plants tonight', 'reminder_setting', { reminder: 'water the plants', time: 'tonight' }],
+  ['wake me up at 6:30', 'reminder_setting', { reminder: 'wake me up', time: 'at 6:30' }],
+  ['Reminder: pay the electricity bill on the 28th', 'reminder_setting', { reminder: 'pay the electricity bill', time: 'on the 28th' }],
+  ['please remind us to book the flights next week', 'reminder_setting', { reminder: 'book the flights', time: 'next week' }],
+  ['schedule a reminder to renew my passport in 2 weeks', 'reminder_setting', { reminder: 'renew my passport', time: 'in 2 weeks' }],
+  ['remind me every monday at 9am to submit the timesheet', 'reminder_setting'],
+  ['Good morning! Remind me to stretch at 10am', 'reminder_setting', { reminder: 'stretch', time: 'at 10am' }],
+  ['create a new reminder', 'reminder_setting', {}],
+
+  // Translation
+  ['translate hello world to Spanish', 'translation', { text: 'hello world', language: 'Spanish' }],
+  ['Translate "good night" into French', 'translation', { text: 'good night', language: 'French' }],
+  ['translate \'where is the bathroom?\' to German', 'translation', { text: 'where is the bathroom?', language: 'German' }],
+  ['translate to italian: where is the station', 'translation', { text: 'where is the station', language: 'italian' }],
+  ['can you translate this into Turkish: I am hungry', 'translation', { text: 'I am hungry', language: 'Turkish' }],
+  ['how do you say thank you in Japanese?', 'translation', { text: 'thank you', language: 'Japanese' }],
+  ['How do I say cheers in German', 'translation', { text: 'cheers', language: 'German' }],
+  ['translate', 'translation', {}],
+
+  // Questions
+  ['what is AI?', 'question'],
+  ['how are you?', 'question'],
+  ['Why is the sky blue', 'question'],
+  ['when does the sun set in Oslo?', 'question'],
+  ['where is the Eiffel Tower', 'question'],
+  ['who wrote Hamlet', 'question'],
+  ['which one is faster, a cheetah or a lion', 'question'],
+  ['which is better for beginners, python or javascript', 'question'],
+  ['Is it going to rain tomorrow?', 'question'],
+  ['can you explain quantum computing?', 'question'],
+  ['what\'s the capital of France', 'question'],
+  ['what time is it', 'question'],
+  ['How do I withdraw money from an ATM?', 'question'],
+  ['what does this picture mean?', 'question'],
+  ['what\'s on my schedule today?', 'question'],
+  ['Hi, what can you do?', 'question'],
+
+  // Greetings
+  ['hello there', 'greeting'],
+  ['Hi!', 'greeting'],
+  ['hey', 'greeting'],
+  ['good morning', 'greeting'],
+  ['Good evening bot', 'greeting'],
+  ['hiya', 'greeting'],
+  ['hey there 👋', 'greeting'],
+  ['Hello!!', 'greeting'],
+  ['yo', 'greeting'],
+
+  // Chat
+  ['this is great', 'chat'],
+  ['I think so too', 'chat'],
+  ['I left my keys in the drawer', 'chat'],
+  ['The withdrawal limit is too low', 'chat'],
+  ['It was a draw, 1-1 in the end', 'chat'],
+  ['highway traffic is terrible today', 'chat'],
+  ['Chicago is windy this week', 'chat'],
+  ['schedule a meeting with John', 'chat'],
+  ['I need to reschedule my flight', 'chat'],
+  ['thanks for the reminder', 'chat'],
+  ['hey can you tell me a joke', 'chat'],
+  ['tell me a joke', 'chat'],
+  ['I\'m bored', 'chat'],
+  ['Let\'s talk about football', 'chat'],
+  ['My favourite colour is blue', 'chat'],
+  ['thanks a lot', 'chat']
+];
+
+// How the stubbed model misbehaves for some messages. Everything else gets
+// the labelled answer with high confidence.
+const NOISE = {
+  'hey can you tell me a joke': { intent: 'greeting', confidence: 0.3 },
+  'It was a draw, 1-1 in the end': { intent: 'image_generation', confidence: 0.4 },
+  'Why is the sky blue': { intent: 'weather', confidence: 0.9 },
+  'wake me up at 6:30': 'not json',
+  'who wrote Hamlet': new Error('Request failed with status code 503')
+};
+
+const stubModel = (noise = {}) => ({
+  apiKey: 'test-key',
+  classifyIntent: jest.fn(async (message) => {
+    const override = noise[message];
+    if (override instanceof Error) {
+      throw override;
+    }
+    if (override === 'not json') {
+      throw new Error('Failed to classify intent: No JSON in answer');
+    }
+    if (override) {
+      return { ...override, slots: {} };
+    }
+
+    const [, intent, slots = {}] = CASES.find(([text]) => text === message);
+    return { intent, confidence: 0.95, slots };
+  })
+});
+
+// Classifies every case and returns the accuracy and the misses
+const evaluate = async (service) => {
+  const misses = [];
+  for (const [message, intent] of CASES) {
+    const result = await service.classify(message);
+    if (result.intent !== intent) {
+      misses.push(`"${message}": expected ${intent}, got ${result.intent} (${result.source})`);
+    }
+  }
+  return { accuracy: 1 - misses.length / CASES.length, misses };
+};
+
+describe('Intent classification', () => {
+  describe('Keyword fallback', () => {
+    const service = new IntentService(null);
+
+    // Pad rows so jest doesn't pass its `done` callback as `slots`
+    test.each(CASES.map(([message, intent, slots = null]) => [message, intent, slots]))('"%s" -> %s', (message, intent, slots) => {
+      const result = service.matchKeywords(message);
+      expect(result.intent).toBe(intent);
+      expect(result.source).toBe('keywords');
+      if (slots) {
+        expect(result.slots).toEqual(slots);
+      }
+    });
+  });
+
+  describe('Model with keyword fallback', () => {
+    test('Should classify the evaluation set with a stubbed model', async () => {
+      const service = new IntentService(stubModel(NOISE));
+      const { accuracy, misses } = await evaluate(service);
+
+      expect(misses).toEqual([]);
+      expect(accuracy).toBe(1);
+    });
+
+    test('Should use the model answer and its slots when confident', async () => {
+      const service = new IntentService(stubModel());
+
+      const result = await service.classify('remind me to call mom at 3pm');
+      expect(result).toEqual({
+        intent: 'reminder_setting',
+        slots: { reminder: 'call mom', time: 'at 3pm' },
+        confidence: 0.95,
+        source: 'model'
+      });
+    });
+
+    test('Should fall back to keywords when the model is unsure, wrong or down', async () => {
+      const service = new IntentService(stubModel(NOISE));
+
+      expect(await service.classify('hey can you tell me a joke')).toMatchObject({ intent: 'chat', source: 'keywords' });
+      expect(await service.classify('Why is the sky blue')).toMatchObject({ intent: 'question', source: 'keywords' });
+      expect(await service.classify('wake me up at 6:30')).toMatchObject({ intent: 'reminder_setting', source: 'keywords' });
+      expect(await service.classify('who wrote Hamlet')).toMatchObject({ intent: 'question', source: 'keywords' });
+    });
+
+    test('Should honour the confidence threshold', async () => {
+      const service = new IntentService(stubModel({ 'tell me a joke': { intent: 'question', confidence: 0.65 } }));
+
+      expect(await service.classify('tell me a joke')).toMatchObject({ intent: 'question', source: 'model' });
+      service.confidenceThreshold = 0.8;
+      expect(await service.classify('tell me a joke')).toMatchObject({ intent: 'chat', source: 'keywords' });
+    });
+
+    test('Should skip the model when disabled or without an API key', async () => {
+      const model = stubModel();
+      const service = new IntentService(model);
+      service.useModel = false;
+      await service.classify('what is AI?');
+
+      model.apiKey = undefined;
+      service.useModel = true;
+      await service.classify('what is AI?');
+
+      expect(model.classifyIntent).not.toHaveBeenCalled();
+    });
+
+    test('Should clean up the model answer', () => {
+      const service = new IntentService(null);
+
+      expect(service.normalizeResult({ intent: 'translation', confidence: '1.7', slots: { text: ' hola ', language: 'English', mood: 'happy', time: '' } }))
+        .toEqual({ intent: 'translation', slots: { text: 'hola', language: 'English' }, confidence: 1, source: 'model' });
+      expect(service.normalizeResult({ intent: 'chat' })).toMatchObject({ confidence: 0, slots: {} });
+      expect(service.normalizeResult({ intent: 'shopping', confidence: 1 })).toBeNull();
+      expect(service.normalizeResult('chat')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,414 @@
+const moment = require('moment-timezone');
+const { parseTimeExpression, extractTimeExpression } = require('../utils/timeParser');
+
+// All phrases are resolved against Wednesday 2030-01-09 10:00 UTC
+const NOW = '2030-01-09T10:00:00Z';
+const FORMAT = 'YYYY-MM-DD HH:mm';
+
+const parse = (text, timezone = 'UTC', now = NOW) => parseTimeExpression(text, { timezone, now });
+const local = (datetime, timezone = 'UTC') => moment.tz(datetime, timezone).format(FORMAT);
+
+describe('Time parser', () => {
+  describe('Times of day', () => {
+    test.each([
+      ['at 5pm', '2030-01-09 17:00'],
+      ['5pm', '2030-01-09 17:00'],
+      ['5 pm', '2030-01-09 17:00'],
+      ['5PM', '2030-01-09 17:00'],
+      ['5 p.m.', '2030-01-09 17:00'],
+      ['at 5:30pm', '2030-01-09 17:30'],
+      ['at 5.30pm', '2030-01-09 17:30'],
+      ['at 530pm', '2030-01-09 17:30'],
+      ['at 11:45 am', '2030-01-09 11:45'],
+      ['at 9am', '2030-01-10 09:00'],
+      ['9 a.m.', '2030-01-10 09:00'],
+      ['at 12pm', '2030-01-09 12:00'],
+      ['at 12am', '2030-01-10 00:00'],
+      ['at 12:30am', '2030-01-10 00:30'],
+      ['at 17:30', '2030-01-09 17:30'],
+      ['at 14:30', '2030-01-09 14:30'],
+      ['at 13', '2030-01-09 13:00'],
+      ['at 23:59', '2030-01-09 23:59'],
+      ['at 00:15', '2030-01-10 00:15'],
+      ['at 09:00', '2030-01-10 09:00'],
+      ['at 08:30', '2030-01-10 08:30'],
+      ['@ 6pm', '2030-01-09 18:00'],
+      ['around 4pm', '2030-01-09 16:00'],
+      ['by 3pm', '2030-01-09 15:00'],
+      ['noon', '2030-01-09 12:00'],
+      ['at noon', '2030-01-09 12:00'],
+      ['midday', '2030-01-09 12:00'],
+      ['midnight', '2030-01-10 00:00'],
+      ['at midnight', '2030-01-10 00:00'],
+      ['eod', '2030-01-09 17:00'],
+      ['end of day', '2030-01-09 17:00'],
+      ['by end of the day', '2030-01-09 17:00'],
+      ['half past 3pm', '2030-01-09 15:30'],
+      ['quarter past 4pm', '2030-01-09 16:15'],
+      ['quarter to 5pm', '2030-01-09 16:45'],
+      ['quarter to 12pm', '2030-01-09 11:45'],
+      ['ten past 6pm', '2030-01-09 18:10'],
+      ['20 to 8pm', '2030-01-09 19:40'],
+      ['twenty-five past 7pm', '2030-01-09 19:25'],
+      ['half past noon', '2030-01-09 12:30'],
+      ['quarter to midnight', '2030-01-09 23:45'],
+      ['half past 3 tonight', '2030-01-09 15:30'],
+      ['half past 8 in the evening', '2030-01-09 20:30'],
+      ['quarter past 7 in the morning', '2030-01-10 07:15'],
+      ['8 tonight', '2030-01-09 20:00'],
+      ['at 8 tonight', '2030-01-09 20:00'],
+      ['tonight at 8', '2030-01-09 20:00'],
+      ['tonight at 11:30', '2030-01-09 23:30'],
+      ['tonight', '2030-01-09 21:00'],
+      ['tonite', '2030-01-09 21:00'],
+      ['7 in the morning', '2030-01-10 07:00'],
+      ['at 7 in the morning', '2030-01-10 07:00'],
+      ['6 in the evening', '2030-01-09 18:00'],
+      ['at 3 in the afternoon', '2030-01-09 15:00'],
+      ['at 10 at night', '2030-01-09 22:00'],
+      ['in the morning', '2030-01-10 09:00'],
+      ['in the afternoon', '2030-01-09 15:00'],
+      ['in the evening', '2030-01-09 18:00'],
+      ['at night', '2030-01-09 21:00'],
+      ['this afternoon', '2030-01-09 15:00'],
+      ['this evening', '2030-01-09 18:00'],
+      ['this evening at 7', '2030-01-09 19:00'],
+      ['5 o\'clock in the afternoon', '2030-01-09 17:00'],
+      ['at 6 o\'clock in the evening', '2030-01-09 18:00']
+    ])('"%s" is %s', (text, expected) => {
+      const result = parse(text);
+      expect(result.status).toBe('ok');
+      expect(local(result.datetime)).toBe(expected);
+    });
+  });
+
+  describe('Days and dates', () => {
+    test.each([
+      ['tomorrow', '2030-01-10 09:00'],
+      ['tmrw', '2030-01-10 09:00'],
+      ['tomorrow morning', '2030-01-10 09:00'],
+      ['tomorrow afternoon', '2030-01-10 15:00'],
+      ['tomorrow evening', '2030-01-10 18:00'],
+      ['tomorrow night', '2030-01-10 21:00'],
+      ['today at 5pm', '2030-01-09 17:00'],
+      ['today at 5', '2030-01-09 17:00'],
+      ['the day after tomorrow', '2030-01-11 09:00'],
+      ['day after tomorrow at noon', '2030-01-11 12:00'],
+      ['friday', '2030-01-11 09:00'],
+      ['on friday', '2030-01-11 09:00'],
+      ['Friday', '2030-01-11 09:00'],
+      ['this friday', '2030-01-11 09:00'],
+      ['next friday', '2030-01-11 09:00'],
+      ['coming friday', '2030-01-11 09:00'],
+      ['on fri', '2030-01-11 09:00'],
+      ['next tues', '2030-01-15 09:00'],
+      ['on thurs', '2030-01-10 09:00'],
+      ['monday', '2030-01-14 09:00'],
+      ['next monday', '2030-01-14 09:00'],
+      ['on sunday', '2030-01-13 09:00'],
+      ['wednesday', '2030-01-16 09:00'],
+      ['wednesday at 5pm', '2030-01-09 17:00'],
+      ['next wednesday', '2030-01-16 09:00'],
+      ['next wednesday at 5pm', '2030-01-16 17:00'],
+      ['this weekend', '2030-01-12 09:00'],
+      ['weekend', '2030-01-12 09:00'],
+      ['next week', '2030-01-16 09:00'],
+      ['next month', '2030-02-09 09:00'],
+      ['next year', '2031-01-09 09:00'],
+      ['next Tuesday at noon', '2030-01-15 12:00'],
+      ['friday at midnight', '2030-01-12 00:00'],
+      ['on the 15th', '2030-01-15 09:00'],
+      ['the 15th', '2030-01-15 09:00'],
+      ['15th', '2030-01-15 09:00'],
+      ['on the 9th', '2030-02-09 09:00'],
+      ['on the 9th at 11am', '2030-01-09 11:00'],
+      ['on the 3rd', '2030-02-03 09:00'],
+      ['the 1st', '2030-02-01 09:00'],
+      ['the 31st', '2030-01-31 09:00'],
+      ['march 5', '2030-03-05 09:00'],
+      ['March 5th', '2030-03-05 09:00'],
+      ['mar 5', '2030-03-05 09:00'],
+      ['5 march', '2030-03-05 09:00'],
+      ['5th march', '2030-03-05 09:00'],
+      ['the 5th of march', '2030-03-05 09:00'],
+      ['5th of March 2031', '2031-03-05 09:00'],
+      ['March 5, 2031', '2031-03-05 09:00'],
+      ['dec 31', '2030-12-31 09:00'],
+      ['december 25th at 8am', '2030-12-25 08:00'],
+      ['jan 9', '2031-01-09 09:00'],
+      ['jan 9 at 11am', '2030-01-09 11:00'],
+      ['jan 1', '2031-01-01 09:00'],
+      ['sept 1', '2030-09-01 09:00'],
+      ['feb 29', '2032-02-29 09:00'],
+      ['12/25', '2030-12-25 09:00'],
+      ['25/12', '2030-12-25 09:00'],
+      ['12/25/2031', '2031-12-25 09:00'],
+      ['25/12/31', '2031-12-25 09:00'],
+      ['5/5', '2030-05-05 09:00'],
+      ['14.02.2030', '2030-02-14 09:00'],
+      ['2030-02-14', '2030-02-14 09:00'],
+      ['2030-02-14 18:30', '2030-02-14 18:30'],
+      ['2030-02-14T18:30', '2030-02-14 18:30']
+    ])('"%s" is %s', (text, expected) => {
+      const result = parse(text);
+      expect(result.status).toBe('ok');
+      expect(local(result.datetime)).toBe(expected);
+    });
+  });
+
+  describe('Relative times', () => {
+    test.each([
+      ['in 5 minutes', '2030-01-09 10:05'],
+      ['in 5 mins', '2030-01-09 10:05'],
+      ['in 5m', '2030-01-09 10:05'],
+      ['in 90 minutes', '2030-01-09 11:30'],
+      ['in 1 hour', '2030-01-09 11:00'],
+      ['in an hour', '2030-01-09 11:00'],
+      ['in one hour', '2030-01-09 11:00'],
+      ['in 2 hours', '2030-01-09 12:00'],
+      ['in 2 hrs', '2030-01-09 12:00'],
+      ['in 2h', '2030-01-09 12:00'],
+      ['in 1.5 hours', '2030-01-09 11:30'],
+      ['in 2.25 hours', '2030-01-09 12:15'],
+      ['in half an hour', '2030-01-09 10:30'],
+      ['in a half hour', '2030-01-09 10:30'],
+      ['in an hour and a half', '2030-01-09 11:30'],
+      ['in 2 and a half hours', '2030-01-09 12:30'],
+      ['in 2 hours and 30 minutes', '2030-01-09 12:30'],
+      ['in 2 hours 15 minutes', '2030-01-09 12:15'],
+      ['in 1h30m', '2030-01-09 11:30'],
+      ['in 1h 30m', '2030-01-09 11:30'],
+      ['in a couple of hours', '2030-01-09 12:00'],
+      ['in twenty minutes', '2030-01-09 10:20'],
+      ['in fifteen mins', '2030-01-09 10:15'],
+      ['in 3 days', '2030-01-12 10:00'],
+      ['in 1.5 days', '2030-01-10 22:00'],
+      ['in 2 weeks', '2030-01-23 10:00'],
+      ['in two weeks', '2030-01-23 10:00'],
+      ['in 1 month', '2030-02-09 10:00'],
+      ['in a year', '2031-01-09 10:00'],
+      ['after 10 minutes', '2030-01-09 10:10'],
+      ['2 hours from now', '2030-01-09 12:00'],
+      ['an hour from now', '2030-01-09 11:00'],
+      ['in 10 minutes from now', '2030-01-09 10:10'],
+      ['30 minutes later', '2030-01-09 10:30'],
+      ['in 2 days at 5pm', '2030-01-11 17:00'],
+      ['in 3 days in the morning', '2030-01-12 09:00'],
+      ['in a week at noon', '2030-01-16 12:00']
+    ])('"%s" is %s', (text, expected) => {
+      const result = parse(text);
+      expect(result.status).toBe('ok');
+      expect(local(result.datetime)).toBe(expected);
+    });
+  });
+
+  describe('Day and time combinations', () => {
+    const days = [
+      ['tomorrow', '2030-01-10'],
+      ['tmrw', '2030-01-10'],
+      ['on friday', '2030-01-11'],
+      ['next friday', '2030-01-11'],
+      ['this saturday', '2030-01-12'],
+      ['next wednesday', '2030-01-16'],
+      ['on sat', '2030-01-12'],
+      ['next mon', '2030-01-14'],
+      ['the day after tomorrow', '2030-01-11'],
+      ['on the 15th', '2030-01-15'],
+      ['on the 3rd', '2030-02-03'],
+      ['march 5', '2030-03-05'],
+      ['5 march', '2030-03-05'],
+      ['the 5th of march', '2030-03-05'],
+      ['on dec 31', '2030-12-31'],
+      ['12/25', '2030-12-25'],
+      ['25/12', '2030-12-25'],
+      ['2030-02-14', '2030-02-14'],
+      ['14.02.2030', '2030-02-14'],
+      ['next week', '2030-01-16'],
+      ['in 2 days', '2030-01-11'],
+      ['jan 9 2031', '2031-01-09']
+    ];
+    const times = [
+      ['at 5pm', '17:00'],
+      ['5pm', '17:00'],
+      ['at 5:30pm', '17:30'],
+      ['at 17:30', '17:30'],
+      ['at noon', '12:00'],
+      ['at 9am', '09:00'],
+      ['9 a.m.', '09:00'],
+      ['at 09:15', '09:15'],
+      ['at half past 3pm', '15:30'],
+      ['at quarter to 8pm', '19:45'],
+      ['at 7 in the evening', '19:00'],
+      ['in the morning', '09:00'],
+      ['at 11:45 am', '11:45']
+    ];
+
+    const cases = [];
+    for (const [day, date] of days) {
+      for (const [time, clock] of times) {
+        cases.push([`${day} ${time}`, `${date} ${clock}`]);
+        cases.push([`${time} ${day}`, `${date} ${clock}`]);
+      }
+    }
+
+    test.each(cases)('"%s" is %s', (text, expected) => {
+      const result = parse(text);
+      expect(result.status).toBe('ok');
+      expect(local(result.datetime)).toBe(expected);
+    });
+  });
+
+  describe('Ambiguous phrases', () => {
+    test.each([
+      ['at 5', ['2030-01-10 05:00', '2030-01-09 17:00']],
+      ['5 o\'clock', ['2030-01-10 05:00', '2030-01-09 17:00']],
+      ['at 12', ['2030-01-10 00:00', '2030-01-09 12:00']],
+      ['at 5:30', ['2030-01-10 05:30', '2030-01-09 17:30']],
+      ['at 11', ['2030-01-09 11:00', '2030-01-09 23:00']],
+      ['half past 3', ['2030-01-10 03:30', '2030-01-09 15:30']],
+      ['10 past 6', ['2030-01-10 06:10', '2030-01-09 18:10']],
+      ['quarter to 1', ['2030-01-10 00:45', '2030-01-09 12:45']],
+      ['tomorrow at 5', ['2030-01-10 05:00', '2030-01-10 17:00']],
+      ['friday at 8:30', ['2030-01-11 08:30', '2030-01-11 20:30']],
+      ['on the 15th at 7', ['2030-01-15 07:00', '2030-01-15 19:00']],
+      ['3/4', ['2030-03-04 09:00', '2030-04-03 09:00']],
+      ['1/2/2031', ['2031-01-02 09:00', '2031-02-01 09:00']],
+      ['3/4 at 5pm', ['2030-03-04 17:00', '2030-04-03 17:00']]
+    ])('"%s" could be %j', (text, expected) => {
+      const result = parse(text);
+      expect(result.status).toBe('ambiguous');
+      expect(result.datetime).toBeNull();
+      expect(result.alternatives.map(a => local(a))).toEqual(expected);
+      expect(result.error).toMatch(/^Did you mean .+ or .+\?$/);
+    });
+
+    test('Should phrase the question with just the times when the day is the same', () => {
+      expect(parse('tomorrow at 5').error).toBe('Did you mean 5:00 AM or 5:00 PM?');
+      expect(parse('3/4').error).toBe('Did you mean Mon, Mar 4 or Wed, Apr 3?');
+    });
+
+    test('Should drop readings that have already passed', () => {
+      expect(local(parse('today at 5').datetime)).toBe('2030-01-09 17:00');
+      expect(local(parse('today at 9').datetime)).toBe('2030-01-09 21:00');
+    });
+  });
+
+  describe('Rejected phrases', () => {
+    test.each([
+      'feb 30',
+      'april 31',
+      '31/31',
+      '25pm',
+      'at 13pm',
+      'at 0am',
+      'at 24:00',
+      'at 10:75',
+      'tomorrow on friday',
+      'tomorrow today',
+      'in 2 hours tomorrow',
+      'in 1.5 months',
+      'in 2 hours at 5pm',
+      'the 32nd'
+    ])('"%s" is invalid', (text) => {
+      const result = parse(text);
+      expect(result.status).toBe('invalid');
+      expect(result.datetime).toBeNull();
+      expect(result.error).toBeTruthy();
+    });
+
+    test.each([
+      ['today at 8am', '2030-01-09 08:00'],
+      ['today at 9:59am', '2030-01-09 09:59'],
+      ['this morning', '2030-01-09 09:00'],
+      ['jan 1 2029', '2029-01-01 09:00'],
+      ['2029-12-31', '2029-12-31 09:00'],
+      ['12/25/2029', '2029-12-25 09:00']
+    ])('"%s" is in the past', (text, expected) => {
+      const result = parse(text);
+      expect(result.status).toBe('past');
+      expect(local(result.datetime)).toBe(expected);
+    });
+
+    test.each([
+      '',
+      'hello',
+      'call mom',
+      'whenever',
+      'soon',
+      'later',
+      'sun',
+      'sat',
+      'in the sun',
+      'the report',
+      'in a few',
+      'at home',
+      '5',
+      'on',
+      'next'
+    ])('"%s" is not a time', (text) => {
+      expect(parse(text).status).toBe('unrecognized');
+    });
+  });
+
+  describe('Timezones', () => {
+    test('Should resolve times as wall-clock time in the timezone', () => {
+      // 10:00 UTC is 05:00 in New York
+      const result = parse('tomorrow at 9am', 'America/New_York');
+      expect(result.datetime.toISOString()).toBe('2030-01-10T14:00:00.000Z');
+      expect(local(parse('at 7am', 'America/New_York').datetime, 'America/New_York')).toBe('2030-01-09 07:00');
+      expect(local(parse('tonight', 'Asia/Tokyo').datetime, 'Asia/Tokyo')).toBe('2030-01-09 21:00');
+    });
+
+    test('Should use the local date when it differs from UTC', () => {
+      // 10:00 UTC is already Thursday 00:00 in Kiritimati (UTC+14)
+      expect(local(parse('tomorrow', 'Pacific/Kiritimati').datetime, 'Pacific/Kiritimati')).toBe('2030-01-11 09:00');
+    });
+
+    test('Should keep the wall-clock time across DST changes', () => {
+      const now = '2030-03-09T17:00:00Z';
+      const result = parse('tomorrow at 9am', 'America/New_York', now);
+      expect(result.datetime.toISOString()).toBe('2030-03-10T13:00:00.000Z');
+      expect(parse('in 1 day', 'America/New_York', now).datetime.toISOString()).toBe('2030-03-10T16:00:00.000Z');
+    });
+  });
+
+  describe('Finding times in sentences', () => {
+    const extract = (text) => extractTimeExpression(text, { timezone: 'UTC', now: NOW });
+
+    test.each([
+      ['call mom at 3pm', 'call mom', '2030-01-09 15:00'],
+      ['Call mom tomorrow at 5pm', 'Call mom', '2030-01-10 17:00'],
+      ['meeting in 2 hours', 'meeting', '2030-01-09 12:00'],
+      ['look at the report tomorrow', 'look at the report', '2030-01-10 09:00'],
+      ['buy milk in the morning', 'buy milk', '2030-01-10 09:00'],
+      ['pay bills on the 15th at 9am', 'pay bills', '2030-01-15 09:00'],
+      ['submit the 2nd draft next friday', 'submit the 2nd draft', '2030-01-11 09:00'],
+      ['take 2 pills at 8pm', 'take 2 pills', '2030-01-09 20:00'],
+      ['dentist on march 5 at 10:30am', 'dentist', '2030-03-05 10:30'],
+      ['water the plants tonight', 'water the plants', '2030-01-09 21:00'],
+      ['check the oven in 45 minutes', 'check the oven', '2030-01-09 10:45'],
+      ['tomorrow at 9am call the bank', 'call the bank', '2030-01-10 09:00'],
+      ['next monday, send the invoice', 'send the invoice', '2030-01-14 09:00'],
+      ['at noon to stretch', 'stretch', '2030-01-09 12:00']
+    ])('"%s"', (text, message, expected) => {
+      const result = extract(text);
+      expect(result.status).toBe('ok');
+      expect(result.message).toBe(message);
+      expect(local(result.datetime)).toBe(expected);
+    });
+
+    test('Should report ambiguity together with the message', () => {
+      const result = extract('call mom at 5');
+      expect(result.status).toBe('ambiguous');
+      expect(result.message).toBe('call mom');
+      expect(result.text).toBe('at 5');
+      expect(result.alternatives).toHaveLength(2);
+    });
+
+    test('Should leave sentences without a time alone', () => {
+      const result = extract('put the towels in the sun');
+      expect(result.status).toBe('unrecognized');
+      expect(result.message).toBe('put the towels in the sun');
+    });
+  });
+});
@@ -0,0 +1,21 @@
+// Audio container detection from the file header.
+
+const SIGNATURES = [
+  { mimeType: 'audio/ogg', extension: 'ogg', matches: (b) => b.length > 4 && b.toString('ascii', 0, 4) === 'OggS' },
+  { mimeType: 'audio/wav', extension: 'wav', matches: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WAVE' },
+  // ID3 tag, or a bare MPEG frame sync
+  { mimeType: 'audio/mpeg', extension: 'mp3', matches: (b) => b.length > 3 && (b.toString('ascii', 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0)) },
+  { mimeType: 'audio/mp4', extension: 'm4a', matches: (b) => b.length > 12 && b.toString('ascii', 4, 8) === 'ftyp' && /^(?:M4A |M4B |mp42|isom)$/.test(b.toString('ascii', 8, 12)) },
+  { mimeType: 'audio/amr', extension: 'amr', matches: (b) => b.length > 6 && b.toString('ascii', 0, 6) === '#!AMR\n' },
+  { mimeType: 'audio/webm', extension: 'webm', matches: (b) => b.length > 4 && b.readUInt32BE(0) === 0x1a45dfa3 }
+];
+
+// Returns { mimeType, extension } or null for anything else
+const detectAudioType = (buffer) => {
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+module.exports = {
+  detectAudioType
+};
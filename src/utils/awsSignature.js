@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by AWS Signature Version 4
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Signs a request with AWS Signature Version 4. `headers` must include every
+// header that will be sent (host included); the signed headers are added.
+const signRequest = ({ method, path, query = {}, headers, payloadHash, region, service = 's3', accessKeyId, secretAccessKey, date = new Date() }) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.substring(0, 8);
+  const scope = `${day}/${region}/${service}/aws4_request`;
+
+  const allHeaders = { ...headers, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const names = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    path.split('/').map(encode).join('/'),
+    Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&'),
+    names.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['aws4_request', service, region, day].reduceRight((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...allHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+module.exports = {
+  sha256,
+  encode,
+  signRequest
+};
@@ -0,0 +1,81 @@
+// Image type and dimensions read from the file header, without decoding
+// the image.
+
+// Magic bytes of the image types we handle
+const SIGNATURES = [
+  { mimeType: 'image/png', extension: 'png', matches: (b) => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/gif', extension: 'gif', matches: (b) => b.length > 6 && /^GIF8[79]a$/.test(b.toString('ascii', 0, 6)) },
+  { mimeType: 'image/webp', extension: 'webp', matches: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Returns { mimeType, extension } or null for anything else
+const detectImageType = (buffer) => {
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+const jpegSize = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    // Start-of-frame markers carry the size; C4, C8 and CC are not frames
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+};
+
+const webpSize = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+
+  return null;
+};
+
+// Returns { mimeType, extension, width, height }, or null if the buffer is
+// not an image we understand. Width and height are null when the header is
+// cut short.
+const readImageInfo = (buffer) => {
+  const type = detectImageType(buffer);
+  if (!type) {
+    return null;
+  }
+
+  let size = null;
+  if (type.mimeType === 'image/png' && buffer.length >= 24) {
+    size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  } else if (type.mimeType === 'image/gif' && buffer.length >= 10) {
+    size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  } else if (type.mimeType === 'image/jpeg') {
+    size = jpegSize(buffer);
+  } else if (type.mimeType === 'image/webp') {
+    size = webpSize(buffer);
+  }
+
+  return { ...type, width: size ? size.width : null, height: size ? size.height : null };
+};
+
+module.exports = {
+  detectImageType,
+  readImageInfo
+};
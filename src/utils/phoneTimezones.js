@@ -0,0 +1,99 @@
+// Default IANA timezone for a phone number's country calling code. Countries
+// spanning several zones map to the zone of their capital; users there can
+// still pick the right one with /timezone.
+const CALLING_CODE_TIMEZONES = {
+  '1': 'America/New_York',
+  '7': 'Europe/Moscow',
+  '20': 'Africa/Cairo',
+  '27': 'Africa/Johannesburg',
+  '30': 'Europe/Athens',
+  '31': 'Europe/Amsterdam',
+  '32': 'Europe/Brussels',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '36': 'Europe/Budapest',
+  '39': 'Europe/Rome',
+  '40': 'Europe/Bucharest',
+  '41': 'Europe/Zurich',
+  '43': 'Europe/Vienna',
+  '44': 'Europe/London',
+  '45': 'Europe/Copenhagen',
+  '46': 'Europe/Stockholm',
+  '47': 'Europe/Oslo',
+  '48': 'Europe/Warsaw',
+  '49': 'Europe/Berlin',
+  '51': 'America/Lima',
+  '52': 'America/Mexico_City',
+  '54': 'America/Argentina/Buenos_Aires',
+  '55': 'America/Sao_Paulo',
+  '56': 'America/Santiago',
+  '57': 'America/Bogota',
+  '60': 'Asia/Kuala_Lumpur',
+  '61': 'Australia/Sydney',
+  '62': 'Asia/Jakarta',
+  '63': 'Asia/Manila',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '66': 'Asia/Bangkok',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '84': 'Asia/Ho_Chi_Minh',
+  '86': 'Asia/Shanghai',
+  '90': 'Europe/Istanbul',
+  '91': 'Asia/Kolkata',
+  '92': 'Asia/Karachi',
+  '93': 'Asia/Kabul',
+  '94': 'Asia/Colombo',
+  '98': 'Asia/Tehran',
+  '212': 'Africa/Casablanca',
+  '213': 'Africa/Algiers',
+  '216': 'Africa/Tunis',
+  '218': 'Africa/Tripoli',
+  '234': 'Africa/Lagos',
+  '254': 'Africa/Nairobi',
+  '351': 'Europe/Lisbon',
+  '353': 'Europe/Dublin',
+  '358': 'Europe/Helsinki',
+  '380': 'Europe/Kyiv',
+  '880': 'Asia/Dhaka',
+  '961': 'Asia/Beirut',
+  '962': 'Asia/Amman',
+  '963': 'Asia/Damascus',
+  '964': 'Asia/Baghdad',
+  '965': 'Asia/Kuwait',
+  '966': 'Asia/Riyadh',
+  '968': 'Asia/Muscat',
+  '970': 'Asia/Gaza',
+  '971': 'Asia/Dubai',
+  '972': 'Asia/Jerusalem',
+  '973': 'Asia/Bahrain',
+  '974': 'Asia/Qatar',
+  '994': 'Asia/Baku',
+  '995': 'Asia/Tbilisi'
+};
+
+// Calling codes are prefix-free, so the first match from 3 down to 1 digits wins
+const timezoneFromPhone = (phone) => {
+  // A second WhatsApp provider's "wa:"/"sp:" addresses are still phone
+  // numbers; chat addresses such as Telegram's "tg:12345" are not
+  const number = String(phone || '').replace(/^(?:wa|sp):/, '');
+  if (!/^\+?[\d\s().-]+$/.test(number)) {
+    return null;
+  }
+
+  const digits = number.replace(/\D/g, '');
+
+  for (let length = 3; length >= 1; length--) {
+    const timezone = CALLING_CODE_TIMEZONES[digits.substring(0, length)];
+    if (timezone) {
+      return timezone;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  CALLING_CODE_TIMEZONES,
+  timezoneFromPhone
+};
@@ -0,0 +1,87 @@
+// Latency and outcome of calls to external providers (messaging channels,
+// Stability, Mistral, S3), grouped by host, over the last hour. Kept in
+// process memory for /admin stats.
+const WINDOW_MS = 60 * 60 * 1000;
+const MAX_SAMPLES = 1000; // per provider
+
+const samples = new Map(); // host -> [{ at, ms, ok }], oldest first
+
+const record = (provider, ms, ok, at = Date.now()) => {
+  const list = samples.get(provider) || [];
+  list.push({ at, ms, ok });
+  while (list.length > MAX_SAMPLES || (list.length > 0 && list[0].at < at - WINDOW_MS)) {
+    list.shift();
+  }
+  samples.set(provider, list);
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * p) - 1)];
+
+// provider -> { calls, errors, errorRate, avgMs, p95Ms } for the last hour
+const summary = (now = Date.now()) => {
+  const result = {};
+
+  for (const [provider, list] of samples) {
+    const recent = list.filter(sample => sample.at >= now - WINDOW_MS);
+    if (recent.length === 0) {
+      continue;
+    }
+
+    const latencies = recent.map(sample => sample.ms).sort((a, b) => a - b);
+    const errors = recent.filter(sample => !sample.ok).length;
+    result[provider] = {
+      calls: recent.length,
+      errors,
+      errorRate: errors / recent.length,
+      avgMs: Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length),
+      p95Ms: percentile(latencies, 0.95)
+    };
+  }
+
+  return result;
+};
+
+const reset = () => samples.clear();
+
+const hostOf = (config) => {
+  try {
+    return new URL(config.url, config.baseURL).host;
+  } catch (error) {
+    return 'unknown';
+  }
+};
+
+// Times every request made through an axios instance. Failed calls (error
+// responses, timeouts, network errors) count as errors.
+const instrument = (client) => {
+  client.interceptors.request.use((config) => {
+    config.metadata = { ...config.metadata, startedAt: Date.now() };
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      const startedAt = response.config?.metadata?.startedAt;
+      if (startedAt) {
+        record(hostOf(response.config), Date.now() - startedAt, true);
+      }
+      return response;
+    },
+    (error) => {
+      const startedAt = error.config?.metadata?.startedAt;
+      if (startedAt) {
+        record(hostOf(error.config), Date.now() - startedAt, false);
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return client;
+};
+
+module.exports = {
+  record,
+  summary,
+  reset,
+  instrument
+};
@@ -0,0 +1,484 @@
+const moment = require('moment-timezone');
+
+// RRULE-style recurrence rules for reminders.
+//
+// A rule is a plain object so it can be stored alongside the reminder:
+//   {
+//     freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+//     interval: 1,              // every N days/weeks/months/years
+//     byDay: ['MO', 'TH'],      // weekdays (weekly), or the weekday for bySetPos
+//     bySetPos: -1,             // monthly: 1st..5th (1..5) or last (-1) weekday
+//     byMonthDay: [15],         // monthly: day(s) of the month, -1 = last day
+//     hour: 9, minute: 0,       // wall-clock time in the reminder's timezone
+//     until: '2024-12-31T23:59:59.999Z',
+//     count: 10                 // total number of occurrences
+//   }
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR'];
+const MAX_SEARCH_DAYS = 366 * 10;
+
+const DAY_PATTERN = '(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?s?';
+const DAY_LIST_PATTERN = `${DAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${DAY_PATTERN})*`;
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, fifth: 5, '5th': 5, last: -1 };
+const ORDINAL_PATTERN = Object.keys(ORDINALS).join('|');
+const UNTIL_FORMATS = [
+  'YYYY-MM-DD', 'M/D/YYYY', 'M/D', 'MMM D YYYY', 'MMMM D YYYY', 'MMM D, YYYY', 'MMMM D, YYYY',
+  'MMM D', 'MMMM D', 'D MMM YYYY', 'D MMMM YYYY', 'D MMM', 'D MMMM', 'MMM Do', 'MMMM Do'
+];
+
+const recurrenceError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const parseDayCode = (word) => {
+  const prefix = word.toLowerCase().substring(0, 2);
+  const code = { mo: 'MO', tu: 'TU', we: 'WE', th: 'TH', fr: 'FR', sa: 'SA', su: 'SU' }[prefix];
+  if (!code) {
+    throw recurrenceError(`Unknown day: ${word}`);
+  }
+  return code;
+};
+
+const parseDayList = (text) => {
+  const codes = text.split(/\s*(?:,|and|&)\s*/i).filter(Boolean).map(parseDayCode);
+  return DAY_CODES.filter(code => codes.includes(code)); // de-duplicated, week order
+};
+
+const parseOrdinalDay = (text) => parseInt(text, 10);
+
+// Parses a time of day such as "9am", "9:30", "21:00", "9.30 pm", "noon"
+const parseTimeOfDay = (text) => {
+  const trimmed = (text || '').trim().toLowerCase();
+
+  if (trimmed === 'noon' || trimmed === 'midday') return { hour: 12, minute: 0 };
+  if (trimmed === 'midnight') return { hour: 0, minute: 0 };
+
+  const match = trimmed.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) {
+    return null;
+  }
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3][0] : null;
+
+  if (minute > 59 || hour > 23 || (meridiem && (hour < 1 || hour > 12))) {
+    return null;
+  }
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+
+  return { hour, minute };
+};
+
+// End of the given day in `timezone`; dates without a year roll forward
+const parseUntil = (text, timezone, now) => {
+  const date = moment.tz(text.trim(), UNTIL_FORMATS, true, timezone);
+  if (!date.isValid()) {
+    const iso = moment.tz(text.trim(), moment.ISO_8601, timezone);
+    if (!iso.isValid()) {
+      throw recurrenceError(`Invalid end date: ${text}`);
+    }
+    return iso.toISOString();
+  }
+
+  if (!/\d{4}/.test(text)) {
+    date.year(now.year());
+    if (date.clone().endOf('day').isBefore(now)) {
+      date.add(1, 'year');
+    }
+  }
+
+  return date.endOf('day').toISOString();
+};
+
+const parseRRule = (text) => {
+  const rule = {};
+  const parts = text.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+    switch ((key || '').toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        break;
+      case 'BYDAY': {
+        const days = value.toUpperCase().split(',');
+        const positioned = days[0].match(/^([+-]?\d)([A-Z]{2})$/);
+        if (positioned) {
+          rule.bySetPos = parseInt(positioned[1], 10);
+          rule.byDay = [positioned[2]];
+        } else {
+          rule.byDay = days;
+        }
+        break;
+      }
+      case 'BYSETPOS':
+        rule.bySetPos = parseInt(value, 10);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(v => parseInt(v, 10));
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        break;
+      case 'UNTIL':
+        rule.until = moment.utc(value, ['YYYYMMDD[T]HHmmss[Z]', 'YYYYMMDD'], true).isValid()
+          ? moment.utc(value, ['YYYYMMDD[T]HHmmss[Z]', 'YYYYMMDD'], true).toISOString()
+          : value;
+        break;
+      default:
+        throw recurrenceError(`Unsupported recurrence rule part: ${part}`);
+    }
+  }
+
+  return rule;
+};
+
+const validateRule = (rule) => {
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw recurrenceError(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const normalized = { freq: rule.freq, interval: rule.interval === undefined ? 1 : rule.interval };
+
+  if (!Number.isInteger(normalized.interval) || normalized.interval < 1 || normalized.interval > 365) {
+    throw recurrenceError('Recurrence interval must be a whole number between 1 and 365');
+  }
+
+  if (rule.byDay !== undefined && rule.byDay !== null) {
+    if (!Array.isArray(rule.byDay) || rule.byDay.length === 0 || !rule.byDay.every(day => DAY_CODES.includes(day))) {
+      throw recurrenceError(`Recurrence days must be a list of: ${DAY_CODES.join(', ')}`);
+    }
+    normalized.byDay = DAY_CODES.filter(code => rule.byDay.includes(code));
+  }
+
+  if (rule.bySetPos !== undefined && rule.bySetPos !== null) {
+    if (![-1, 1, 2, 3, 4, 5].includes(rule.bySetPos) || rule.freq !== 'monthly' || !normalized.byDay || normalized.byDay.length !== 1) {
+      throw recurrenceError('A weekday position (e.g. last Friday) needs a monthly rule with a single day');
+    }
+    normalized.bySetPos = rule.bySetPos;
+  }
+
+  if (rule.byMonthDay !== undefined && rule.byMonthDay !== null) {
+    if (!Array.isArray(rule.byMonthDay) || rule.byMonthDay.length === 0 ||
+        !rule.byMonthDay.every(day => Number.isInteger(day) && (day === -1 || (day >= 1 && day <= 31)))) {
+      throw recurrenceError('Recurrence month days must be between 1 and 31, or -1 for the last day');
+    }
+    if (rule.freq !== 'monthly') {
+      throw recurrenceError('Month days are only supported for monthly rules');
+    }
+    normalized.byMonthDay = [...new Set(rule.byMonthDay)];
+  }
+
+  if (rule.hour !== undefined && rule.hour !== null) {
+    if (!Number.isInteger(rule.hour) || rule.hour < 0 || rule.hour > 23 ||
+        !Number.isInteger(rule.minute || 0) || (rule.minute || 0) < 0 || (rule.minute || 0) > 59) {
+      throw recurrenceError('Recurrence time must be a valid time of day');
+    }
+    normalized.hour = rule.hour;
+    normalized.minute = rule.minute || 0;
+  }
+
+  if (rule.until !== undefined && rule.until !== null) {
+    const until = moment(rule.until, moment.ISO_8601);
+    if (!until.isValid()) {
+      throw recurrenceError('Recurrence end date is invalid');
+    }
+    normalized.until = until.toISOString();
+  }
+
+  if (rule.count !== undefined && rule.count !== null) {
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      throw recurrenceError('Recurrence count must be a positive whole number');
+    }
+    normalized.count = rule.count;
+  }
+
+  return normalized;
+};
+
+// Finds a recurrence phrase in free text ("every weekday", "every 2 weeks on
+// Monday and Thursday", "last Friday of the month", "until Dec 31", "10 times")
+// and returns the rule plus the text with those phrases removed.
+const extractRecurrence = (text, timezone = 'UTC', now = moment.tz(timezone)) => {
+  const patterns = [
+    {
+      regex: /\b(?:every|each)\s+weekdays?\b/i,
+      build: () => ({ freq: 'weekly', byDay: WEEKDAYS })
+    },
+    {
+      regex: /\b(?:every|each)\s+weekends?\b/i,
+      build: () => ({ freq: 'weekly', byDay: ['SA', 'SU'] })
+    },
+    {
+      regex: new RegExp(`\\b(?:(?:on|every|each)\\s+)?(?:the\\s+)?(${ORDINAL_PATTERN})\\s+(${DAY_PATTERN})\\s+of\\s+(?:the|every|each)\\s+month\\b`, 'i'),
+      build: (m) => ({ freq: 'monthly', byDay: [parseDayCode(m[2])], bySetPos: ORDINALS[m[1].toLowerCase()] })
+    },
+    {
+      regex: /\b(?:(?:on|every|each)\s+)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+of\s+(?:the|every|each)\s+month\b/i,
+      build: (m) => ({ freq: 'monthly', byMonthDay: [parseOrdinalDay(m[1])] })
+    },
+    {
+      regex: /\b(?:on\s+)?(?:the\s+)?last\s+day\s+of\s+(?:the|every|each)\s+month\b/i,
+      build: () => ({ freq: 'monthly', byMonthDay: [-1] })
+    },
+    {
+      regex: new RegExp(`\\b(?:every|each)\\s+(?:(\\d+|other)\\s+)?(day|week|month|year)s?(?:\\s+on\\s+(?:the\\s+)?(${DAY_LIST_PATTERN}|\\d{1,2}(?:st|nd|rd|th)?)\\b)?`, 'i'),
+      build: (m) => {
+        const interval = !m[1] ? 1 : m[1].toLowerCase() === 'other' ? 2 : parseInt(m[1], 10);
+        const freq = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' }[m[2].toLowerCase()];
+        const rule = { freq, interval };
+
+        if (m[3] && /^\d/.test(m[3])) {
+          rule.freq = 'monthly';
+          rule.byMonthDay = [parseOrdinalDay(m[3])];
+        } else if (m[3]) {
+          rule.freq = 'weekly';
+          rule.byDay = parseDayList(m[3]);
+        }
+        return rule;
+      }
+    },
+    {
+      regex: new RegExp(`\\b(?:every|each|on)\\s+(${DAY_LIST_PATTERN})\\b`, 'i'),
+      // "on Mondays" is recurring, "on Monday" is a one-off date
+      build: (m) => (/^(?:every|each)/i.test(m[0]) || /s$/i.test(m[1]))
+        ? { freq: 'weekly', byDay: parseDayList(m[1]) }
+        : null
+    },
+    {
+      regex: /\b(daily|weekly|monthly|yearly|annually)\b(?=\s+at\b|\s*$)/i,
+      build: (m) => ({ freq: m[1].toLowerCase() === 'annually' ? 'yearly' : m[1].toLowerCase() })
+    }
+  ];
+
+  let rule = null;
+  let remaining = text;
+
+  for (const { regex, build } of patterns) {
+    const match = remaining.match(regex);
+    if (match) {
+      rule = build(match);
+      if (rule) {
+        remaining = remaining.slice(0, match.index) + remaining.slice(match.index + match[0].length);
+        break;
+      }
+    }
+  }
+
+  if (!rule) {
+    return null;
+  }
+
+  const untilMatch = remaining.match(/\b(?:until|till|through)\s+(.+?)(?=\s+(?:at|for)\b|$)/i);
+  if (untilMatch) {
+    rule.until = parseUntil(untilMatch[1], timezone, now);
+    remaining = remaining.replace(untilMatch[0], '');
+  }
+
+  const countMatch = remaining.match(/\b(?:for\s+)?(\d+)\s+(?:times|occurrences)\b/i);
+  if (countMatch) {
+    rule.count = parseInt(countMatch[1], 10);
+    remaining = remaining.replace(countMatch[0], '');
+  }
+
+  const durationMatch = remaining.match(/\bfor\s+(\d+)\s+(day|week|month|year)s?\b/i);
+  if (durationMatch && !rule.until) {
+    rule.until = now.clone().add(parseInt(durationMatch[1], 10), durationMatch[2].toLowerCase()).endOf('day').toISOString();
+    remaining = remaining.replace(durationMatch[0], '');
+  }
+
+  return {
+    rule: validateRule(rule),
+    text: remaining.replace(/\s{2,}/g, ' ').trim()
+  };
+};
+
+// Accepts a rule object, an RRULE string, a legacy recurrence type
+// ('daily', 'weekly', 'monthly') or a natural-language phrase.
+const normalizeRule = (input, timezone = 'UTC') => {
+  if (!input) {
+    return null;
+  }
+
+  if (typeof input === 'object') {
+    return validateRule(input);
+  }
+
+  if (typeof input !== 'string') {
+    throw recurrenceError('Recurrence must be a rule object or a string');
+  }
+
+  const trimmed = input.trim();
+  const lower = trimmed.toLowerCase();
+
+  if (FREQUENCIES.includes(lower)) {
+    return validateRule({ freq: lower });
+  }
+  if (lower === 'weekdays') {
+    return validateRule({ freq: 'weekly', byDay: WEEKDAYS });
+  }
+  if (/FREQ=/i.test(trimmed)) {
+    return validateRule(parseRRule(trimmed));
+  }
+
+  const extracted = extractRecurrence(trimmed, timezone);
+  if (!extracted) {
+    throw recurrenceError(`Could not understand the recurrence: ${input}`);
+  }
+
+  const timeOfDay = parseTimeOfDay(extracted.text.replace(/^at\s+/i, ''));
+  if (timeOfDay) {
+    return validateRule({ ...extracted.rule, ...timeOfDay });
+  }
+  if (extracted.text) {
+    throw recurrenceError(`Could not understand the recurrence: ${input}`);
+  }
+  return extracted.rule;
+};
+
+const matchesDay = (rule, day, anchor) => {
+  switch (rule.freq) {
+    case 'daily':
+      return day.diff(anchor.clone().startOf('day'), 'days') % rule.interval === 0;
+
+    case 'weekly': {
+      const weeks = day.clone().startOf('isoWeek').diff(anchor.clone().startOf('isoWeek'), 'weeks');
+      const days = rule.byDay || [DAY_CODES[anchor.day()]];
+      return weeks % rule.interval === 0 && days.includes(DAY_CODES[day.day()]);
+    }
+
+    case 'monthly': {
+      const months = (day.year() - anchor.year()) * 12 + (day.month() - anchor.month());
+      if (months % rule.interval !== 0) {
+        return false;
+      }
+
+      const daysInMonth = day.daysInMonth();
+
+      if (rule.bySetPos) {
+        if (DAY_CODES[day.day()] !== rule.byDay[0]) {
+          return false;
+        }
+        return rule.bySetPos === -1
+          ? day.date() + 7 > daysInMonth
+          : Math.ceil(day.date() / 7) === rule.bySetPos;
+      }
+
+      if (rule.byMonthDay) {
+        return rule.byMonthDay.some(monthDay => monthDay === -1 ? day.date() === daysInMonth : day.date() === monthDay);
+      }
+
+      // Same day as the start, clamped to the end of shorter months
+      return day.date() === Math.min(anchor.date(), daysInMonth);
+    }
+
+    case 'yearly': {
+      const years = day.year() - anchor.year();
+      return years % rule.interval === 0 &&
+        day.month() === anchor.month() &&
+        day.date() === Math.min(anchor.date(), day.daysInMonth());
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Next occurrence strictly after `after`, or null once the rule has ended.
+// `anchor` is the series start; it fixes the interval phase and, when the rule
+// has no explicit time, the time of day.
+const nextOccurrence = (rule, after, timezone = 'UTC', anchor = after) => {
+  const start = moment.tz(anchor, timezone);
+  const from = moment.tz(after, timezone);
+  const hour = rule.hour !== undefined ? rule.hour : start.hour();
+  const minute = rule.hour !== undefined ? rule.minute || 0 : start.minute();
+  const until = rule.until ? moment(rule.until) : null;
+  const day = from.clone().startOf('day');
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, day.add(1, 'day')) {
+    if (!matchesDay(rule, day, start)) {
+      continue;
+    }
+
+    const candidate = moment.tz({ year: day.year(), month: day.month(), date: day.date(), hour, minute }, timezone);
+    if (!candidate.isAfter(from)) {
+      continue;
+    }
+    if (until && candidate.isAfter(until)) {
+      return null;
+    }
+    return candidate;
+  }
+
+  return null;
+};
+
+// First occurrence at or after `now` for a new series
+const firstOccurrence = (rule, timezone = 'UTC', now = moment()) => {
+  return nextOccurrence(rule, moment(now).subtract(1, 'millisecond'), timezone, now);
+};
+
+const ordinal = (n) => {
+  if (n === -1) return 'last';
+  const suffix = ['th', 'st', 'nd', 'rd'][(n % 100 - 20) % 10] || ['th', 'st', 'nd', 'rd'][n % 100] || 'th';
+  return `${n}${suffix}`;
+};
+
+const describeRule = (rule, timezone = 'UTC') => {
+  const every = (unit) => rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  const dayNames = (codes) => codes.map(code => DAY_NAMES[DAY_CODES.indexOf(code)]).join(', ');
+  let description;
+
+  switch (rule.freq) {
+    case 'daily':
+      description = every('day');
+      break;
+    case 'weekly':
+      if (rule.interval === 1 && rule.byDay && rule.byDay.join() === WEEKDAYS.join()) {
+        description = 'every weekday';
+      } else {
+        description = rule.byDay ? `${every('week')} on ${dayNames(rule.byDay)}` : every('week');
+      }
+      break;
+    case 'monthly':
+      if (rule.bySetPos) {
+        description = `on the ${ordinal(rule.bySetPos)} ${dayNames(rule.byDay)} of ${rule.interval > 1 ? `every ${rule.interval} months` : 'every month'}`;
+      } else if (rule.byMonthDay) {
+        const days = rule.byMonthDay.map(day => day === -1 ? 'last day' : ordinal(day)).join(', ');
+        description = `on the ${days} of ${rule.interval > 1 ? `every ${rule.interval} months` : 'every month'}`;
+      } else {
+        description = every('month');
+      }
+      break;
+    default:
+      description = every('year');
+  }
+
+  if (rule.hour !== undefined) {
+    description += ` at ${String(rule.hour).padStart(2, '0')}:${String(rule.minute || 0).padStart(2, '0')}`;
+  }
+  if (rule.until) {
+    description += ` until ${moment.tz(rule.until, timezone).format('MMM D, YYYY')}`;
+  }
+  if (rule.count) {
+    description += `, ${rule.count} times`;
+  }
+
+  return description;
+};
+
+module.exports = {
+  FREQUENCIES,
+  extractRecurrence,
+  normalizeRule,
+  nextOccurrence,
+  firstOccurrence,
+  describeRule,
+  parseTimeOfDay
+};
@@ -0,0 +1,512 @@
+const moment = require('moment-timezone');
+
+// Natural-language date/time expressions ("tomorrow at 5pm", "next Tuesday
+// noon", "in 1.5 hours", "half past 3 tonight"). Every result has a status:
+//   ok           - `datetime` is the resolved moment
+//   ambiguous    - several readings are possible ("at 5", "3/4"); they are in
+//                  `alternatives` and `error` holds a question for the user
+//   past         - a valid time that has already passed (`datetime` is set)
+//   invalid      - looks like a time but cannot exist ("Feb 30", "25pm")
+//   unrecognized - not a time expression at all
+
+// Hour used when a phrase names a day but no time ("tomorrow", "on Friday")
+const DEFAULT_HOUR = 9;
+
+const PERIODS = {
+  morning: { hour: 9, meridiem: 'am' },
+  afternoon: { hour: 15, meridiem: 'pm' },
+  evening: { hour: 18, meridiem: 'pm' },
+  night: { hour: 21, meridiem: 'pm' }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, 'twenty-five': 25, thirty: 30,
+  'forty-five': 45, ninety: 90, 'a couple of': 2, 'couple of': 2, 'a half': 0.5
+};
+
+const UNITS = {
+  s: 'seconds', sec: 'seconds', secs: 'seconds', second: 'seconds', seconds: 'seconds',
+  m: 'minutes', min: 'minutes', mins: 'minutes', minute: 'minutes', minutes: 'minutes',
+  h: 'hours', hr: 'hours', hrs: 'hours', hour: 'hours', hours: 'hours',
+  d: 'days', day: 'days', days: 'days',
+  w: 'weeks', wk: 'weeks', wks: 'weeks', week: 'weeks', weeks: 'weeks',
+  mo: 'months', mos: 'months', month: 'months', months: 'months',
+  y: 'years', yr: 'years', yrs: 'years', year: 'years', years: 'years'
+};
+
+// Words that may be left over once every date and time part is consumed
+const FILLER_WORDS = ['at', 'on', 'in', 'by', 'around', 'about', 'the', 'of', 'this', 'and', 'for', '@'];
+
+const NUMBER_PATTERN = '(?:\\d+(?:\\.\\d+)?|\\b(?:a couple of|couple of|a half|twenty-five|forty-five|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|thirty|ninety)\\b)';
+const UNIT_PATTERN = '(?:seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|wks?|months?|mos?|years?|yrs?|[smhdwy])';
+const AMOUNT_PATTERN = `(?:\\bhalf\\s+an?\\b|${NUMBER_PATTERN}(?:\\s+and\\s+a\\s+half)?)`;
+const PART_PATTERN = `${AMOUNT_PATTERN}\\s*${UNIT_PATTERN}(?![a-z])`;
+const DURATION_PATTERN = `${PART_PATTERN}(?:\\s*(?:,|and)?\\s*${PART_PATTERN})*(?:\\s+and\\s+a\\s+half)?`;
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY_PATTERN = '(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const WEEKDAY_SHORT_PATTERN = '(?:mon|tues?|weds?|thur?s?|fri|sat|sun)';
+const MINUTE_WORD_PATTERN = '(?:half|quarter|twenty-five|twenty|ten|five|\\d{1,2})';
+
+const result = (status, fields = {}) => ({ status, datetime: null, alternatives: [], error: null, ...fields });
+
+const normalize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[‘’]/g, '\'')
+  .replace(/(?<![a-z])a\.\s?m\.?(?=\s|$)/g, 'am')
+  .replace(/(?<![a-z])p\.\s?m\.?(?=\s|$)/g, 'pm')
+  .replace(/[.!?]+$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const parseNumber = (text) => {
+  const value = text.trim();
+  if (/^half\s+an?$/.test(value)) return 0.5;
+  const withHalf = value.match(/^(.+?)\s+and\s+a\s+half$/);
+  if (withHalf) return parseNumber(withHalf[1]) + 0.5;
+  return NUMBER_WORDS[value] !== undefined ? NUMBER_WORDS[value] : parseFloat(value);
+};
+
+const parseDuration = (text) => {
+  const parts = [];
+  const partRegex = new RegExp(`(${AMOUNT_PATTERN})\\s*(${UNIT_PATTERN})(?![a-z])`, 'g');
+  let match;
+  while ((match = partRegex.exec(text)) !== null) {
+    parts.push({ amount: parseNumber(match[1]), unit: UNITS[match[2]] });
+  }
+  if (/\sand\s+a\s+half$/.test(text) && parts.length > 0 && !/and\s+a\s+half\s*\S+$/.test(text)) {
+    parts[parts.length - 1].amount += 0.5;
+  }
+  return parts;
+};
+
+const monthIndex = (name) => MONTHS.indexOf(name.substring(0, 3));
+
+const weekdayIndex = (name) => WEEKDAYS.indexOf(name.substring(0, 3));
+
+const parseYear = (text) => {
+  if (!text) return null;
+  const year = parseInt(text, 10);
+  return text.length === 2 ? 2000 + year : year;
+};
+
+const minuteWord = (word) => {
+  if (word === 'half') return 30;
+  if (word === 'quarter') return 15;
+  return NUMBER_WORDS[word] !== undefined ? NUMBER_WORDS[word] : parseInt(word, 10);
+};
+
+// A clock time as written; `meridiem` and `explicit24` tell whether the hour
+// is already unambiguous
+const clock = (hourText, minute = 0, meridiem = null) => {
+  const hour = parseInt(hourText, 10);
+  return {
+    hour,
+    minute,
+    meridiem,
+    explicit24: /^0\d/.test(hourText) || hour === 0 || hour >= 13
+  };
+};
+
+// Each pattern consumes its match from the text and fills one slot. A slot
+// filled twice ("tomorrow on Friday") makes the expression invalid.
+const PATTERNS = [
+  {
+    regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})(?:(?:t|\s+)(\d{1,2}):(\d{2})(?::\d{2})?)?\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'dates', dates: [{ year: +m[1], month: +m[2] - 1, day: +m[3] }] }) &&
+      (!m[4] || slots.set('time', { hour: +m[4], minute: +m[5], meridiem: null, explicit24: true }))
+  },
+  {
+    regex: new RegExp(`\\b(?:in|after)\\s+(${DURATION_PATTERN})(?:\\s+from\\s+now)?(?![a-z])`),
+    apply: (m, slots) => slots.set('offset', parseDuration(m[1]))
+  },
+  {
+    regex: new RegExp(`\\b(${DURATION_PATTERN})\\s+(?:from\\s+now|later)\\b`),
+    apply: (m, slots) => slots.set('offset', parseDuration(m[1]))
+  },
+  {
+    regex: /\b(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'dates', dates: [{ year: parseYear(m[3]), month: +m[2] - 1, day: +m[1] }] })
+  },
+  {
+    // Numeric dates read month-first unless that is impossible; when both
+    // readings are valid ("3/4") the user is asked
+    regex: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/,
+    apply: (m, slots) => {
+      const [a, b, year] = [+m[1], +m[2], parseYear(m[3])];
+      const dates = [];
+      if (a <= 12) dates.push({ year, month: a - 1, day: b });
+      if (b <= 12 && a !== b) dates.push({ year, month: b - 1, day: a });
+      return slots.set('date', { kind: 'dates', dates: dates.length ? dates : [{ year, month: a - 1, day: b }] });
+    }
+  },
+  {
+    regex: new RegExp(`(?<![:.\\d])\\b(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\b\\.?(?:,?\\s+(\\d{4}))?`),
+    apply: (m, slots) => slots.set('date', { kind: 'dates', dates: [{ year: parseYear(m[3]), month: monthIndex(m[2]), day: +m[1] }] })
+  },
+  {
+    regex: new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\b(?![:.]\\d)(?:,?\\s+(\\d{4}))?`),
+    apply: (m, slots) => slots.set('date', { kind: 'dates', dates: [{ year: parseYear(m[3]), month: monthIndex(m[1]), day: +m[2] }] })
+  },
+  {
+    // "8 tonight", "7 in the morning"
+    regex: /(?<![:.\d]|(?:past|after|to|till|before)\s)\b(\d{1,2})\s+(?=(?:(?:in\s+the|this|at)\s+)?(?:morning|afternoon|evening|night|tonight)\b)/,
+    apply: (m, slots) => slots.set('time', clock(m[1]))
+  },
+  {
+    regex: /\b(?:the\s+)?day\s+after\s+(?:tomorrow|tmrw)\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'days', days: 2 })
+  },
+  {
+    regex: /\b(?:tomorrow|tomorow|tmrw|tmr)\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'days', days: 1 })
+  },
+  {
+    regex: /\btoday\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'days', days: 0 })
+  },
+  {
+    regex: /\b(?:tonight|tonite)\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'days', days: 0 }) && slots.set('period', 'night')
+  },
+  {
+    regex: /\bthis\s+(morning|afternoon|evening)\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'days', days: 0 }) && slots.set('period', m[1])
+  },
+  {
+    regex: /\bnext\s+(week|month|year)\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'next', unit: `${m[1]}s` })
+  },
+  {
+    regex: /\b(?:this\s+)?weekend\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'weekday', day: 6, next: false })
+  },
+  {
+    regex: new RegExp(`\\b(?:(next|this|coming)\\s+)?(${WEEKDAY_PATTERN})\\b|\\b(next|this|coming|on)\\s+(${WEEKDAY_SHORT_PATTERN})\\b\\.?`),
+    apply: (m, slots) => slots.set('date', {
+      kind: 'weekday',
+      day: weekdayIndex(m[2] || m[4]),
+      next: (m[1] || m[3]) === 'next'
+    })
+  },
+  {
+    regex: /\b(?:the\s+(\d{1,2})(?:st|nd|rd|th)?|(\d{1,2})(?:st|nd|rd|th))\b/,
+    apply: (m, slots) => slots.set('date', { kind: 'monthDay', day: +(m[1] || m[2]) })
+  },
+  {
+    regex: new RegExp(`\\b(${MINUTE_WORD_PATTERN})\\s+(?:minutes?\\s+)?(past|after|to|till|before)\\s+(\\d{1,2}|noon|midnight)(?:\\s*(am|pm)\\b)?`),
+    apply: (m, slots) => {
+      const minutes = minuteWord(m[1]);
+      const before = ['to', 'till', 'before'].includes(m[2]);
+      if (minutes >= 60) return slots.invalidate();
+
+      let time;
+      if (m[3] === 'noon' || m[3] === 'midnight' || m[4]) {
+        const base = m[3] === 'noon' ? 12 : m[3] === 'midnight' ? 24 : to24(+m[3], m[4]);
+        if (base === null) return slots.invalidate();
+        const total = base * 60 + (before ? -minutes : minutes);
+        time = { hour: Math.floor(total / 60) % 24, minute: total % 60, meridiem: null, explicit24: true };
+      } else {
+        const hour = +m[3];
+        time = before
+          ? { ...clock(String(hour === 1 ? 12 : hour === 0 ? 23 : hour - 1)), minute: 60 - minutes }
+          : { ...clock(m[3]), minute: minutes };
+      }
+      return slots.set('time', time);
+    }
+  },
+  {
+    regex: /\b(?:noon|midday)\b/,
+    apply: (m, slots) => slots.set('time', { hour: 12, minute: 0, meridiem: null, explicit24: true })
+  },
+  {
+    regex: /\bmidnight\b/,
+    apply: (m, slots) => slots.set('time', { hour: 0, minute: 0, meridiem: null, explicit24: true, endOfDay: true })
+  },
+  {
+    regex: /\b(?:eod|end\s+of\s+(?:the\s+)?day)\b/,
+    apply: (m, slots) => slots.set('time', { hour: 17, minute: 0, meridiem: null, explicit24: true })
+  },
+  {
+    regex: /\b(\d{1,2})[:.](\d{2})(?:\s*(am|pm)\b)?(?![\d.:])/,
+    apply: (m, slots) => slots.set('time', clock(m[1], +m[2], m[3] || null))
+  },
+  {
+    regex: /\b(\d{1,2})(\d{2})?\s*(am|pm)\b/,
+    apply: (m, slots) => slots.set('time', clock(m[1], m[2] ? +m[2] : 0, m[3]))
+  },
+  {
+    regex: /\b(\d{1,2})\s*o'?clock\b/,
+    apply: (m, slots) => slots.set('time', clock(m[1]))
+  },
+  {
+    regex: /(?:\b(?:at|around|about|by)|@)\s*(\d{1,2})\b(?![:./]\d)/,
+    apply: (m, slots) => slots.set('time', clock(m[1]))
+  },
+  {
+    regex: /\b(?:(?:in\s+the|at)\s+)?(morning|afternoon|evening|night)\b/,
+    apply: (m, slots) => slots.set('period', m[1])
+  }
+];
+
+const to24 = (hour, meridiem) => {
+  if (!meridiem) return hour;
+  if (hour < 1 || hour > 12) return null;
+  if (meridiem === 'am') return hour === 12 ? 0 : hour;
+  return hour === 12 ? 12 : hour + 12;
+};
+
+const collectSlots = (text) => {
+  const values = {};
+  let invalid = false;
+  let remaining = ` ${text} `;
+
+  const slots = {
+    set: (name, value) => {
+      if (values[name] !== undefined) {
+        invalid = true;
+        return false;
+      }
+      values[name] = value;
+      return true;
+    },
+    invalidate: () => {
+      invalid = true;
+      return false;
+    }
+  };
+
+  for (const { regex, apply } of PATTERNS) {
+    const global = new RegExp(regex.source, 'g');
+    remaining = remaining.replace(global, (...match) => {
+      apply(match, slots);
+      return ' ';
+    });
+  }
+
+  const leftover = remaining
+    .replace(/,/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.includes(word));
+
+  return { values, invalid, leftover };
+};
+
+// Hour/minute readings of the time slot; two when am/pm is unknown
+const timeCandidates = ({ time, period }) => {
+  if (!time) {
+    const hour = period ? PERIODS[period].hour : DEFAULT_HOUR;
+    return [{ hour, minute: 0 }];
+  }
+
+  const { hour, minute, meridiem, explicit24, endOfDay } = time;
+  if (minute > 59 || hour > 23) return null;
+
+  if (meridiem) {
+    const converted = to24(hour, meridiem);
+    return converted === null ? null : [{ hour: converted, minute }];
+  }
+  if (explicit24) {
+    return [{ hour, minute, endOfDay }];
+  }
+  if (period) {
+    return [{ hour: to24(hour, PERIODS[period].meridiem), minute }];
+  }
+  return [
+    { hour: to24(hour, 'am'), minute },
+    { hour: to24(hour, 'pm'), minute }
+  ];
+};
+
+const atTime = (day, { hour, minute, endOfDay }) => {
+  const datetime = day.clone().hour(hour).minute(minute).second(0).millisecond(0);
+  return endOfDay ? datetime.add(1, 'day') : datetime;
+};
+
+const dateFromParts = ({ year, month, day }, timezone) => {
+  const date = moment.tz({ year, month, day }, timezone);
+  return date.isValid() && date.date() === day ? date : null;
+};
+
+// Places one time reading on the day(s) the date slot describes, moving to
+// the next matching day when the time has passed
+const placeTime = (date, time, now, timezone) => {
+  const today = now.clone().startOf('day');
+
+  if (!date) {
+    const datetime = atTime(today, { ...time, endOfDay: false });
+    return datetime.isAfter(now) ? datetime : datetime.add(1, 'day');
+  }
+
+  switch (date.kind) {
+    case 'days':
+      return atTime(today.clone().add(date.days, 'days'), time);
+    case 'offsetDays':
+      return atTime(today.clone().add(date.amount, date.unit), time);
+    case 'next':
+      return atTime(today.clone().add(1, date.unit), time);
+    case 'weekday': {
+      let ahead = (date.day - today.day() + 7) % 7;
+      if (date.next && ahead === 0) ahead = 7;
+      const datetime = atTime(today.clone().add(ahead, 'days'), time);
+      return datetime.isAfter(now) || date.next ? datetime : datetime.add(7, 'days');
+    }
+    case 'monthDay': {
+      if (date.day < 1 || date.day > 31) return null;
+      for (let i = 0; i <= 12; i++) {
+        const month = today.clone().startOf('month').add(i, 'months');
+        if (date.day <= month.daysInMonth()) {
+          const datetime = atTime(month.date(date.day), time);
+          if (datetime.isAfter(now)) return datetime;
+        }
+      }
+      return null;
+    }
+    case 'date': {
+      const { year, month, day } = date;
+      if (year !== null) {
+        const base = dateFromParts({ year, month, day }, timezone);
+        return base ? atTime(base, time) : null;
+      }
+      // Without a year the next such date is meant; Feb 29 may be years away
+      for (let offset = 0; offset <= 8; offset++) {
+        const base = dateFromParts({ year: today.year() + offset, month, day }, timezone);
+        if (base && atTime(base, time).isAfter(now)) return atTime(base, time);
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+const formatAlternatives = (alternatives, timezone) => {
+  const local = alternatives.map(a => a.clone().tz(timezone));
+  const sameDay = local.every(a => a.isSame(local[0], 'day'));
+  const sameTime = local.every(a => a.format('HH:mm') === local[0].format('HH:mm'));
+  const format = sameDay ? 'h:mm A' : sameTime ? 'ddd, MMM D' : 'ddd, MMM D [at] h:mm A';
+  return local.map(a => a.format(format));
+};
+
+const resolve = (values, now, timezone) => {
+  let { offset, date } = values;
+
+  if (offset) {
+    const wholeDays = offset.every(p => ['days', 'weeks', 'months', 'years'].includes(p.unit) && Number.isInteger(p.amount));
+    if (date) {
+      return result('invalid', { error: 'That time mixes a relative and a fixed date' });
+    }
+    // "in 2 days at 5pm" - a relative day with a fixed time
+    if (values.time || values.period) {
+      if (!wholeDays || offset.length !== 1) {
+        return result('invalid', { error: 'That time mixes a relative and a fixed time' });
+      }
+      date = { kind: 'offsetDays', amount: offset[0].amount, unit: offset[0].unit };
+    } else {
+      const datetime = now.clone();
+      for (const { amount, unit } of offset) {
+        const whole = Math.trunc(amount);
+        const fraction = amount - whole;
+        if (fraction && ['months', 'years'].includes(unit)) {
+          return result('invalid', { error: `Please use whole ${unit}` });
+        }
+        datetime.add(whole, unit);
+        if (fraction) datetime.add(moment.duration(fraction, unit).asMilliseconds(), 'milliseconds');
+      }
+      if (!datetime.isAfter(now)) {
+        return result('invalid', { error: 'That duration is too short' });
+      }
+      return result('ok', { datetime });
+    }
+  }
+
+  if (!date && !values.time && !values.period) {
+    return result('unrecognized', { error: 'I couldn\'t understand that time' });
+  }
+
+  const times = timeCandidates(values);
+  if (!times) {
+    return result('invalid', { error: 'That time doesn\'t exist' });
+  }
+
+  const dates = date && date.kind === 'dates'
+    ? date.dates.map(d => ({ kind: 'date', ...d }))
+    : [date];
+
+  const candidates = [];
+  for (const d of dates) {
+    for (const time of times) {
+      const datetime = placeTime(d, time, now, timezone);
+      if (datetime) candidates.push(datetime);
+    }
+  }
+
+  if (candidates.length === 0) {
+    return result('invalid', { error: 'That date doesn\'t exist' });
+  }
+
+  const upcoming = candidates.filter(c => c.isAfter(now));
+  if (upcoming.length === 0) {
+    return result('past', { datetime: candidates[0], error: 'That time has already passed' });
+  }
+  if (upcoming.length === 1) {
+    return result('ok', { datetime: upcoming[0] });
+  }
+
+  const labels = formatAlternatives(upcoming, timezone);
+  return result('ambiguous', {
+    alternatives: upcoming,
+    error: `Did you mean ${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}?`
+  });
+};
+
+// Parses a complete time expression such as "next tuesday at noon"
+const parseTimeExpression = (text, { timezone = 'UTC', now } = {}) => {
+  const reference = now ? moment.tz(now, timezone) : moment.tz(timezone);
+  const normalized = normalize(text);
+  if (!normalized) {
+    return result('unrecognized', { error: 'I couldn\'t understand that time' });
+  }
+
+  const { values, invalid, leftover } = collectSlots(normalized);
+  if (leftover.length > 0 || Object.keys(values).length === 0) {
+    return result('unrecognized', { error: 'I couldn\'t understand that time' });
+  }
+  if (invalid) {
+    return result('invalid', { error: 'That time doesn\'t make sense' });
+  }
+
+  return resolve(values, reference, timezone);
+};
+
+// Finds the time expression at the end (or start) of a sentence such as
+// "call mom tomorrow at 5pm" and returns the rest as `message`
+const extractTimeExpression = (text, options = {}) => {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean);
+
+  for (let i = 1; i < words.length; i++) {
+    const parsed = parseTimeExpression(words.slice(i).join(' '), options);
+    if (parsed.status !== 'unrecognized') {
+      return { ...parsed, message: words.slice(0, i).join(' ').replace(/[,\s]+$/, ''), text: words.slice(i).join(' ') };
+    }
+  }
+
+  for (let i = words.length - 1; i > 0; i--) {
+    const parsed = parseTimeExpression(words.slice(0, i).join(' '), options);
+    if (parsed.status !== 'unrecognized') {
+      const message = words.slice(i).join(' ').replace(/^(?:,\s*)?(?:to|that)\s+/i, '');
+      return { ...parsed, message, text: words.slice(0, i).join(' ') };
+    }
+  }
+
+  return { ...result('unrecognized', { error: 'I couldn\'t find a time in that message' }), message: text, text: null };
+};
+
+module.exports = {
+  DEFAULT_HOUR,
+  parseTimeExpression,
+  extractTimeExpression
+};
@@ -0,0 +1,130 @@
+// Converts model output (Markdown) to WhatsApp formatting and splits long
+// texts into message-sized parts.
+
+// Stand-ins while converting: kept text (code, URLs) and bold markers
+const KEPT = '\u0000';
+const BOLD = '\u0001';
+
+// **bold** -> *bold*, *italic* -> _italic_, ~~strike~~ -> ~strike~,
+// headings -> bold lines, bullets -> •, [text](url) -> text (url). Code is
+// left as written, in ``` monospace.
+const markdownToWhatsApp = (markdown) => {
+  if (!markdown) {
+    return '';
+  }
+
+  const kept = [];
+  const keep = (text) => {
+    kept.push(text);
+    return `${KEPT}${kept.length - 1}${KEPT}`;
+  };
+
+  let text = markdown.replace(/\r\n/g, '\n');
+
+  text = text.replace(/^[ \t]*```[^\n`]*\n([\s\S]*?)\n?[ \t]*```[ \t]*$/gm, (match, code) => keep(`\`\`\`${code}\`\`\``));
+  text = text.replace(/`([^`\n]+)`/g, (match, code) => keep(`\`\`\`${code}\`\`\``));
+  text = text.replace(/!?\[([^\]\n]*)\]\((\S+?)(?:\s+"[^"]*")?\)/g, (match, label, url) =>
+    (label && label !== url ? `${label} (${keep(url)})` : keep(url)));
+  // Underscores and asterisks in URLs are not formatting
+  text = text.replace(/https?:\/\/[^\s)]+/g, url => keep(url));
+
+  text = text.replace(/^#{1,6}[ \t]+(.+?)[ \t#]*$/gm, (match, heading) => `${BOLD}${heading.replace(/\*\*|__/g, '')}${BOLD}`);
+  text = text.replace(/^[ \t]*([-*_])(?:[ \t]*\1){2,}[ \t]*$/gm, '');
+  text = text.replace(/^([ \t]*)[*+-][ \t]+/gm, '$1• ');
+
+  text = text.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/g, (match, stars, underscores) => `${BOLD}${stars || underscores}${BOLD}`);
+  text = text.replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?!\w)/gm, '$1_$2_');
+  text = text.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '~$1~');
+  text = text.replace(new RegExp(BOLD, 'g'), '*');
+
+  text = text.replace(new RegExp(`${KEPT}(\\d+)${KEPT}`, 'g'), (match, index) => kept[index]);
+  return text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+// Finer and finer places to break a paragraph: lines, sentences, words
+const BREAKS = [
+  { pattern: /\n/, separator: '\n' },
+  { pattern: /(?<=[.!?…])\s+/, separator: ' ' },
+  { pattern: /\s+/, separator: ' ' }
+];
+
+// Returns [{ text, separator }] pieces of at most maxLength; `separator`
+// goes between a piece and the one before it
+const splitPieces = (text, maxLength, level = 0) => {
+  if (text.length <= maxLength) {
+    return [{ text, separator: '' }];
+  }
+
+  if (level === BREAKS.length) {
+    const chunks = [];
+    for (let start = 0; start < text.length; start += maxLength) {
+      chunks.push({ text: text.substring(start, start + maxLength), separator: '' });
+    }
+    return chunks;
+  }
+
+  const { pattern, separator } = BREAKS[level];
+  return text.split(pattern)
+    .filter(segment => segment.trim())
+    .flatMap((segment, index) => splitPieces(segment, maxLength, level + 1)
+      .map((piece, pieceIndex) => (index > 0 && pieceIndex === 0 ? { ...piece, separator } : piece)));
+};
+
+// Paragraphs, with ``` blocks kept whole
+const paragraphs = (text) => {
+  const blocks = [];
+  let inCode = false;
+
+  for (const chunk of text.split(/\n{2,}/)) {
+    if (inCode) {
+      blocks[blocks.length - 1] += `\n\n${chunk}`;
+    } else {
+      blocks.push(chunk);
+    }
+    if ((chunk.match(/```/g) || []).length % 2 === 1) {
+      inCode = !inCode;
+    }
+  }
+
+  return blocks.filter(block => block.trim());
+};
+
+// Splits text into parts of at most maxLength, preferring paragraph, then
+// line, sentence and word boundaries. A code block that has to be split is
+// closed and reopened around each part.
+const splitMessage = (text, maxLength) => {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const pieces = paragraphs(text).flatMap((paragraph, index) => {
+    const trimmed = paragraph.trim();
+    const split = /^```[\s\S]*```$/.test(trimmed) && trimmed.length > maxLength
+      ? splitPieces(trimmed.slice(3, -3), maxLength - 6).map(piece => ({ ...piece, text: `\`\`\`${piece.text}\`\`\``, separator: piece.separator && '\n' }))
+      : splitPieces(paragraph, maxLength);
+    return split.map((piece, pieceIndex) => (index > 0 && pieceIndex === 0 ? { ...piece, separator: '\n\n' } : piece));
+  });
+
+  const parts = [];
+  let current = '';
+  for (const { text: piece, separator } of pieces) {
+    if (current && current.length + separator.length + piece.length <= maxLength) {
+      current += separator + piece;
+    } else {
+      if (current) {
+        parts.push(current);
+      }
+      current = piece;
+    }
+  }
+  if (current) {
+    parts.push(current);
+  }
+
+  return parts;
+};
+
+module.exports = {
+  markdownToWhatsApp,
+  splitMessage
+};